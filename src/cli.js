@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+'use strict';
+
+const debug = require('debug')('mocha-gitlab-reporter:cli');
+
+/**
+ * Available commands, keyed by name. Each module exports a `summary` and a `run(argv)` function
+ * returning the process exit code.
+ */
+const COMMANDS = {
+  merge: require('./commands/merge'),
+  convert: require('./commands/convert'),
+  shard: require('./commands/shard'),
+  'rerun-args': require('./commands/rerun-args'),
+};
+
+const USAGE = `Usage: mocha-gitlab-reporter <command> [options]
+
+Commands:
+${Object.entries(COMMANDS)
+  .map(([name, command]) => `  ${name.padEnd(12)} ${command.summary}`)
+  .join('\n')}
+
+Run "mocha-gitlab-reporter <command> --help" for the options of a command.`;
+
+/**
+ * Runs the command line interface.
+ * @param {string[]} argv - The arguments, without the node executable and script path
+ * @returns {number} The process exit code
+ */
+function main(argv) {
+  const [name, ...args] = argv;
+  if (!name || name === '--help' || name === '-h') {
+    console.log(USAGE);
+    return name ? 0 : 1;
+  }
+
+  const command = Object.prototype.hasOwnProperty.call(COMMANDS, name) ? COMMANDS[name] : null;
+  if (!command) {
+    console.error(`Unknown command: ${name}\n\n${USAGE}`);
+    return 1;
+  }
+
+  try {
+    return command.run(args);
+  } catch (error) {
+    console.error(`mocha-gitlab-reporter ${name}: ${error.message}`);
+    debug('main: Command failed:', { name, stack: error.stack });
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  main,
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const debug = require('debug')('mocha-gitlab-reporter:convert');
+const { parseArgs } = require('../lib/args');
+const { readFile, writeFile } = require('../lib/files');
+const { convertJsonReport } = require('../lib/json-converter');
+const { DEFAULTS } = require('../constants');
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  'reporter-option': { type: 'string', short: 'O', multiple: true },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const USAGE = `Usage: mocha-gitlab-reporter convert [options] <file>
+
+Convert the output of Mocha's "json" reporter into a JUnit report.
+
+Options:
+  -o, --output <file>                 File to write the report to (default: ${DEFAULTS.MOCHA_FILE})
+  -O, --reporter-option <key=value>   Reporter option, as passed to Mocha; can be repeated
+  -h, --help                          Show this help`;
+
+/**
+ * Parses `key=value` reporter options the way Mocha's `--reporter-option` does.
+ * @param {string[]} entries - The option values, each may hold several comma-separated options
+ * @returns {Object} The reporter options
+ * @throws {TypeError} If an entry has no key
+ */
+function parseReporterOptions(entries) {
+  const reporterOptions = {};
+  for (const option of entries.flatMap((entry) => entry.split(','))) {
+    const equals = option.indexOf('=');
+    const key = equals === -1 ? option : option.slice(0, equals);
+    if (!key) {
+      throw new TypeError(`Invalid reporter option: ${option}`);
+    }
+    reporterOptions[key] = equals === -1 ? true : option.slice(equals + 1);
+  }
+  return reporterOptions;
+}
+
+/**
+ * Runs the `convert` command.
+ * @param {string[]} argv - The command arguments
+ * @returns {number} The process exit code
+ * @throws {Error} If the arguments are invalid or the results cannot be read, parsed or written
+ */
+function run(argv) {
+  const { values, positionals } = parseArgs(argv, OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    throw new TypeError('Expected exactly one results file.\n\n' + USAGE);
+  }
+
+  const [file] = positionals;
+  const reporterOptions = parseReporterOptions(values['reporter-option']);
+  const output = values.output ?? DEFAULTS.MOCHA_FILE;
+  debug('run: Converting Mocha JSON results:', { file, output, reporterOptions });
+
+  const json = readFile(file);
+  let results;
+  try {
+    results = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Failed to parse ${file}: ${error.message}`, { cause: error });
+  }
+
+  writeFile(output, convertJsonReport(results, reporterOptions));
+  console.log(`Converted ${file} into ${output}`);
+  return 0;
+}
+
+module.exports = {
+  summary: "Convert Mocha's JSON reporter output into a report",
+  run,
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const path = require('node:path');
+const debug = require('debug')('mocha-gitlab-reporter:merge');
+const { parseArgs } = require('../lib/args');
+const { expandGlob } = require('../lib/glob');
+const { readFile, writeFile } = require('../lib/files');
+const { parseXml } = require('../lib/xml-parser');
+const { mergeParsedReports } = require('../lib/report-merger');
+const { DEFAULTS } = require('../constants');
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  name: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const USAGE = `Usage: mocha-gitlab-reporter merge [options] <file|glob>...
+
+Combine several JUnit report files into one report.
+
+Options:
+  -o, --output <file>  File to write the merged report to (default: ${DEFAULTS.MOCHA_FILE})
+      --name <name>    Name of the merged <testsuites> element (default: ${DEFAULTS.ROOT_TESTSUITES_NAME})
+  -h, --help           Show this help`;
+
+/**
+ * Runs the `merge` command.
+ * @param {string[]} argv - The command arguments
+ * @returns {number} The process exit code
+ * @throws {Error} If the arguments are invalid or a report cannot be read, parsed or written
+ */
+function run(argv) {
+  const { values, positionals } = parseArgs(argv, OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length === 0) {
+    throw new TypeError('No report files given.\n\n' + USAGE);
+  }
+
+  const output = values.output ?? DEFAULTS.MOCHA_FILE;
+  const outputPath = path.resolve(output);
+  const files = [...new Set(positionals.flatMap((pattern) => expandGlob(pattern)))].filter(
+    // The output file may match the input glob when a merge is re-run
+    (file) => path.resolve(file) !== outputPath
+  );
+  if (files.length === 0) {
+    throw new Error(`No report files matched: ${positionals.join(' ')}`);
+  }
+  debug('run: Merging report files:', { files, output });
+
+  const roots = files.map((file) => {
+    const xml = readFile(file);
+    try {
+      return parseXml(xml);
+    } catch (error) {
+      throw new Error(`Failed to parse ${file}: ${error.message}`, { cause: error });
+    }
+  });
+
+  writeFile(output, mergeParsedReports(roots, { name: values.name }));
+  console.log(`Merged ${files.length} report file(s) into ${output}`);
+  return 0;
+}
+
+module.exports = {
+  summary: 'Combine several report files into one report',
+  run,
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+const debug = require('debug')('mocha-gitlab-reporter:rerun-args');
+const { parseArgs } = require('../lib/args');
+const { readRerunManifest, getRerunArgs, quoteShellArg } = require('../lib/rerun');
+
+const OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+};
+
+const USAGE = `Usage: mocha-gitlab-reporter rerun-args [options] <file>
+
+Print the Mocha arguments rerunning the failed tests of a rerun manifest written with the "rerunFile"
+reporter option, quoted for the shell. Prints nothing if no tests failed.
+
+Options:
+  -h, --help  Show this help`;
+
+/**
+ * Runs the `rerun-args` command.
+ * @param {string[]} argv - The command arguments
+ * @returns {number} The process exit code
+ * @throws {Error} If the arguments are invalid or the manifest cannot be read or parsed
+ */
+function run(argv) {
+  const { values, positionals } = parseArgs(argv, OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    throw new TypeError('Expected exactly one rerun manifest.\n\n' + USAGE);
+  }
+
+  const [file] = positionals;
+  const manifest = readRerunManifest(file);
+  const args = getRerunArgs(manifest);
+  debug('run: Read rerun manifest:', { file, failures: manifest.failures, args: args.length });
+  if (args.length > 0) {
+    console.log(args.map((arg) => quoteShellArg(arg)).join(' '));
+  }
+  return 0;
+}
+
+module.exports = {
+  summary: 'Print the Mocha arguments rerunning the failed tests',
+  run,
+};
@@ -0,0 +1,104 @@
+'use strict';
+
+const debug = require('debug')('mocha-gitlab-reporter:shard');
+const { parseArgs } = require('../lib/args');
+const { expandGlob } = require('../lib/glob');
+const { readFile } = require('../lib/files');
+const { parseXml } = require('../lib/xml-parser');
+const { getTestsuites } = require('../lib/report-merger');
+const { readFileDurations, planShards } = require('../lib/sharding');
+const { ENV_VARS } = require('../constants');
+
+const OPTIONS = {
+  reports: { type: 'string', short: 'r', multiple: true },
+  index: { type: 'string', short: 'i' },
+  total: { type: 'string', short: 't' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const USAGE = `Usage: mocha-gitlab-reporter shard [options] <file|glob>...
+
+Print the spec files this node of a GitLab "parallel:" job should run, one per line,
+balanced by the durations recorded in previous reports.
+
+Options:
+  -r, --reports <file|glob>  Reports of previous runs to take durations from; can be repeated
+  -i, --index <n>            Index of this node, from 1 (default: $${ENV_VARS.CI_NODE_INDEX}, or 1)
+  -t, --total <n>            Number of nodes (default: $${ENV_VARS.CI_NODE_TOTAL}, or 1)
+  -h, --help                 Show this help`;
+
+/**
+ * Parses a positive integer argument.
+ * @param {string} value - The argument
+ * @param {string} name - The name of the argument, for the error message
+ * @returns {number} The integer
+ * @throws {TypeError} If the argument is not a positive integer
+ */
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!/^\d+$/.test(String(value).trim()) || number < 1) {
+    throw new TypeError(`${name} must be a positive integer, got: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Reads the reports of previous runs, skipping those that cannot be read or are not JUnit reports, since a
+ * missing or broken cache should leave the files evenly distributed rather than fail the job.
+ * @param {string[]} patterns - Glob patterns of the reports
+ * @returns {Array<Object>} The root elements of the reports
+ */
+function readReports(patterns) {
+  const roots = [];
+  for (const file of new Set(patterns.flatMap((pattern) => expandGlob(pattern)))) {
+    try {
+      const root = parseXml(readFile(file));
+      // Throws for well-formed documents that are not JUnit reports
+      getTestsuites(root);
+      roots.push(root);
+    } catch (error) {
+      console.warn(`Warning: Skipping report ${file}: ${error.message}`);
+    }
+  }
+  return roots;
+}
+
+/**
+ * Runs the `shard` command.
+ * @param {string[]} argv - The command arguments
+ * @returns {number} The process exit code
+ * @throws {Error} If the arguments are invalid or no spec files match
+ */
+function run(argv) {
+  const { values, positionals } = parseArgs(argv, OPTIONS);
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length === 0) {
+    throw new TypeError('No spec files given.\n\n' + USAGE);
+  }
+
+  const index = parsePositiveInteger(values.index ?? process.env[ENV_VARS.CI_NODE_INDEX] ?? 1, 'index');
+  const total = parsePositiveInteger(values.total ?? process.env[ENV_VARS.CI_NODE_TOTAL] ?? 1, 'total');
+  if (index > total) {
+    throw new RangeError(`index must not be greater than total, got: ${index} of ${total}`);
+  }
+  const files = positionals.flatMap((pattern) => expandGlob(pattern));
+  if (files.length === 0) {
+    throw new Error(`No spec files matched: ${positionals.join(' ')}`);
+  }
+
+  const durations = readFileDurations(readReports(values.reports));
+  const shard = planShards(files, durations, total)[index - 1];
+  debug('run: Planned shard:', { index, total, files: shard.files.length, duration: shard.duration });
+  if (shard.files.length > 0) {
+    console.log(shard.files.join('\n'));
+  }
+  return 0;
+}
+
+module.exports = {
+  summary: 'Print the spec files of one node of a parallel job',
+  run,
+};
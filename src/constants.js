@@ -13,6 +13,43 @@ const DEFAULTS = {
   ROOT_TESTSUITES_NAME: 'Mocha Tests',
   ATTACHMENTS: false,
   CONSOLE_REPORTER: null,
+  INCREMENTAL: false,
+  CAPTURE_CONSOLE: false,
+  CAPTURE_CONSOLE_LIMIT: 65536,
+  HOOK_FAILURES: 'error',
+  FAILURE_TYPES: 'AssertionError',
+  CODE_QUALITY_FILE: null,
+  SUMMARY_FILE: null,
+  ATTACHMENTS_DIR: null,
+  ENVIRONMENT_PROPERTIES: false,
+  TAGS: false,
+  STRIP_TAGS: true,
+  TAG_CLASSNAME: false,
+  INCLUDE_TAGS: '',
+  EXCLUDE_TAGS: '',
+  CLASSNAME_TEMPLATE: null,
+  NAME_TEMPLATE: null,
+  CLASSNAME_SEPARATOR: '.',
+  TITLE_DOT_REPLACEMENT: null,
+  FILTER_STACK: false,
+  STACK_FILTER_PATTERNS: '',
+  SOURCE_MAPS: false,
+  SOURCE_EXCERPT: false,
+  SOURCE_EXCERPT_LINES: 2,
+  BLOB_LINKS: false,
+  BLOB_URL: null,
+  DURATION_HISTORY_FILE: null,
+  DURATION_HISTORY_SIZE: 10,
+  DURATION_REGRESSION_FACTOR: 5,
+  // In milliseconds, like Mocha's slow threshold
+  DURATION_REGRESSION_MIN_TIME: 100,
+  FLAKINESS_REPORTS: null,
+  FLAKINESS_FILE: 'flaky-tests.json',
+  QUARANTINE_FILE: null,
+  QUARANTINE_PASSES: 3,
+  RERUN_FILE: null,
+  // GitLab's maximum note length
+  SUMMARY_MAX_LENGTH: 1000000,
 };
 
 /**
@@ -22,6 +59,46 @@ const ENV_VARS = {
   MOCHA_FILE: 'MOCHA_FILE',
   ATTACHMENTS: 'ATTACHMENTS',
   CONSOLE_REPORTER: 'CONSOLE_REPORTER',
+  INCREMENTAL: 'INCREMENTAL_REPORT',
+  CAPTURE_CONSOLE: 'CAPTURE_CONSOLE',
+  CAPTURE_CONSOLE_LIMIT: 'CAPTURE_CONSOLE_LIMIT',
+  HOOK_FAILURES: 'HOOK_FAILURES',
+  FAILURE_TYPES: 'FAILURE_TYPES',
+  CODE_QUALITY_FILE: 'CODE_QUALITY_FILE',
+  SUMMARY_FILE: 'SUMMARY_FILE',
+  SUMMARY_MAX_LENGTH: 'SUMMARY_MAX_LENGTH',
+  ATTACHMENTS_DIR: 'ATTACHMENTS_DIR',
+  ENVIRONMENT_PROPERTIES: 'ENVIRONMENT_PROPERTIES',
+  TAGS: 'TAGS',
+  STRIP_TAGS: 'STRIP_TAGS',
+  TAG_CLASSNAME: 'TAG_CLASSNAME',
+  INCLUDE_TAGS: 'INCLUDE_TAGS',
+  EXCLUDE_TAGS: 'EXCLUDE_TAGS',
+  CLASSNAME_TEMPLATE: 'CLASSNAME_TEMPLATE',
+  NAME_TEMPLATE: 'NAME_TEMPLATE',
+  CLASSNAME_SEPARATOR: 'CLASSNAME_SEPARATOR',
+  TITLE_DOT_REPLACEMENT: 'TITLE_DOT_REPLACEMENT',
+  FILTER_STACK: 'FILTER_STACK',
+  STACK_FILTER_PATTERNS: 'STACK_FILTER_PATTERNS',
+  SOURCE_MAPS: 'SOURCE_MAPS',
+  SOURCE_EXCERPT: 'SOURCE_EXCERPT',
+  SOURCE_EXCERPT_LINES: 'SOURCE_EXCERPT_LINES',
+  BLOB_LINKS: 'BLOB_LINKS',
+  BLOB_URL: 'BLOB_URL',
+  DURATION_HISTORY_FILE: 'DURATION_HISTORY_FILE',
+  DURATION_HISTORY_SIZE: 'DURATION_HISTORY_SIZE',
+  DURATION_REGRESSION_FACTOR: 'DURATION_REGRESSION_FACTOR',
+  DURATION_REGRESSION_MIN_TIME: 'DURATION_REGRESSION_MIN_TIME',
+  FLAKINESS_REPORTS: 'FLAKINESS_REPORTS',
+  FLAKINESS_FILE: 'FLAKINESS_FILE',
+  QUARANTINE_FILE: 'QUARANTINE_FILE',
+  QUARANTINE_PASSES: 'QUARANTINE_PASSES',
+  RERUN_FILE: 'RERUN_FILE',
+  CI_PROJECT_URL: 'CI_PROJECT_URL',
+  CI_COMMIT_SHA: 'CI_COMMIT_SHA',
+  // Set by GitLab for jobs with `parallel:`, used by the shard command
+  CI_NODE_INDEX: 'CI_NODE_INDEX',
+  CI_NODE_TOTAL: 'CI_NODE_TOTAL',
 };
 
 /**
@@ -33,6 +110,170 @@ const PLACEHOLDERS = {
   SUITE_NAME: '[suiteName]',
 };
 
+/**
+ * Value substituted for every placeholder in the filename of an incremental report,
+ * since placeholder values are only known once the run has finished
+ */
+const INCREMENTAL_PLACEHOLDER_VALUE = 'partial';
+
+/**
+ * How failing hooks are reported (hookFailures option)
+ */
+const HOOK_FAILURE_POLICIES = {
+  // a testcase named after the hook, with an <error>
+  ERROR: 'error',
+  // every test the hook prevented from running, with the hook's error attached
+  FAIL: 'fail',
+  // every test the hook prevented from running as skipped, plus the testcase for the hook
+  SKIP: 'skip',
+};
+
+/**
+ * Value of the failureTypes option that reports every error as a failure
+ */
+const FAILURE_TYPES_WILDCARD = '*';
+
+/**
+ * GitLab Code Quality report values
+ * See https://docs.gitlab.com/ee/ci/testing/code_quality.html#implement-a-custom-tool
+ */
+const CODE_QUALITY = {
+  CHECK_NAME_FAILURE: 'mocha-test-failure',
+  CHECK_NAME_ERROR: 'mocha-test-error',
+  SEVERITY_FAILURE: 'major',
+  SEVERITY_ERROR: 'critical',
+  DEFAULT_LINE: 1,
+};
+
+/**
+ * Markdown summary layout
+ */
+const SUMMARY = {
+  SLOWEST_TESTS: 10,
+  MESSAGE_LENGTH: 500,
+};
+
+/**
+ * Reporting of runs that end without Mocha's `end` event
+ */
+const INTERRUPTION = {
+  SIGNALS: ['SIGINT', 'SIGTERM'],
+  EXIT: 'exit',
+  ERROR_TYPE: 'Interrupted',
+  PROPERTY_INCOMPLETE: 'incomplete',
+  PROPERTY_INTERRUPTED_BY: 'interruptedBy',
+};
+
+/**
+ * Properties describing the environment of the run (environmentProperties option)
+ */
+const ENVIRONMENT = {
+  // Properties that aren't environment variables
+  NODE_VERSION: 'node.version',
+  MOCHA_VERSION: 'mocha.version',
+  HOSTNAME: 'os.hostname',
+  PLATFORM: 'os.platform',
+  // Recorded with "environmentProperties=true"
+  DEFAULT_PROPERTIES: [
+    'CI_COMMIT_SHA',
+    'CI_PIPELINE_ID',
+    'CI_JOB_ID',
+    'CI_NODE_INDEX',
+    'node.version',
+    'mocha.version',
+    'os.hostname',
+    'os.platform',
+  ],
+};
+
+/**
+ * Tags in test and suite titles (tags option)
+ */
+const TAGS = {
+  PREFIX: '@',
+  // Name of the property each tag of a testcase is recorded as
+  PROPERTY: 'tag',
+  // Separates the tags of the classname with "tagClassname"
+  CLASSNAME_SEPARATOR: ' ',
+};
+
+/**
+ * Placeholders of the classnameTemplate and nameTemplate options
+ */
+const TEMPLATES = {
+  SUITES: 'suites',
+  PLACEHOLDERS: ['title', 'file', 'suites'],
+};
+
+/**
+ * Source map resolution (sourceMaps option)
+ */
+const SOURCE_MAPS = {
+  EXTENSION: '.map',
+  // Compiled files larger than this are not searched for a source map comment
+  MAX_FILE_SIZE: 10 * 1024 * 1024,
+};
+
+/**
+ * Source excerpts of failing lines (sourceExcerpt option)
+ */
+const SOURCE_EXCERPT = {
+  HEADER: 'Source:',
+  // Marks the failing line
+  MARKER: '>',
+  GUTTER: ' | ',
+  CARET: '^',
+  // Source files larger than this are not read
+  MAX_FILE_SIZE: 1024 * 1024,
+};
+
+/**
+ * Duration history and regression detection (durationHistoryFile option)
+ */
+const DURATION_HISTORY = {
+  VERSION: 1,
+  // Previous durations a testcase needs before it is checked for a regression
+  MIN_RUNS: 3,
+  // Mocha measures durations in whole milliseconds, so a median of 0 is taken as this many seconds
+  RESOLUTION: 0.001,
+  // Property added to testcases that regressed
+  PROPERTY: 'durationRegression',
+  // Regressions listed in the console summary
+  SUMMARY_LIMIT: 10,
+};
+
+/**
+ * Flakiness scoring from previous reports (flakinessReports option)
+ */
+const FLAKINESS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  // Reports read from a directory given as flakinessReports
+  REPORT_PATTERN: 'test-results*.xml',
+  // Property added to testcases whose outcome flipped
+  PROPERTY: 'flakiness',
+  DECIMAL_PLACES: 2,
+};
+
+/**
+ * Quarantine of known-flaky tests (quarantineFile option)
+ */
+const QUARANTINE = {
+  // Skipped message of quarantined testcases that failed, followed by the issue and owner
+  MESSAGE: 'quarantined',
+  // Matches any text in classname and name patterns
+  WILDCARD: '*',
+  // Quarantine files read as YAML, others are read as JSON
+  YAML_EXTENSIONS: ['.yml', '.yaml'],
+};
+
+/**
+ * Rerun manifest of failed tests (rerunFile option)
+ */
+const RERUN = {
+  VERSION: 1,
+};
+
 /**
  * File operation constants
  */
@@ -42,6 +283,8 @@ const FILE_CONSTANTS = {
   HASH_DIGEST: 'hex',
   PACKAGE_JSON_PATH: '/package.json',
   MOCHA_STATS_COLLECTOR_PATH: 'mocha/lib/stats-collector',
+  // Directory in the system's temporary directory for attachments added while no attachmentsDir is set
+  ATTACHMENTS_TMP_DIR: 'mocha-gitlab-reporter-attachments',
 };
 
 /**
@@ -79,6 +322,16 @@ const MOCHA_VERSION = {
   RADIX: 10,
 };
 
+/**
+ * Properties of the objects Mocha emits in parallel mode
+ */
+const MOCHA_SERIALIZED = {
+  // Unique ID of a suite, test or hook, which serialized objects use to refer to their parent
+  ID_PROP: '__mocha_id__',
+  TYPE_TEST: 'test',
+  TYPE_HOOK: 'hook',
+};
+
 /**
  * XML formatting options
  */
@@ -87,6 +340,27 @@ const XML_OPTIONS = {
   DECLARATION: true,
 };
 
+/**
+ * JUnit XML element names
+ */
+const XML_ELEMENTS = {
+  TESTSUITES: 'testsuites',
+  TESTSUITE: 'testsuite',
+  TESTCASE: 'testcase',
+  FAILURE: 'failure',
+  ERROR: 'error',
+  SKIPPED: 'skipped',
+  FLAKY_FAILURE: 'flakyFailure',
+  FLAKY_ERROR: 'flakyError',
+  RERUN_FAILURE: 'rerunFailure',
+  RERUN_ERROR: 'rerunError',
+  STACK_TRACE: 'stackTrace',
+  SYSTEM_OUT: 'system-out',
+  SYSTEM_ERR: 'system-err',
+  PROPERTIES: 'properties',
+  PROPERTY: 'property',
+};
+
 /**
  * A subset of invalid characters as defined in http://www.w3.org/TR/xml/#charsets
  * that can occur in e.g. stacktraces.
@@ -98,11 +372,28 @@ module.exports = {
   DEFAULTS,
   ENV_VARS,
   PLACEHOLDERS,
+  INCREMENTAL_PLACEHOLDER_VALUE,
+  HOOK_FAILURE_POLICIES,
+  FAILURE_TYPES_WILDCARD,
+  CODE_QUALITY,
+  SUMMARY,
+  INTERRUPTION,
+  ENVIRONMENT,
+  TAGS,
+  TEMPLATES,
+  SOURCE_MAPS,
+  SOURCE_EXCERPT,
+  DURATION_HISTORY,
+  FLAKINESS,
+  QUARANTINE,
+  RERUN,
   FILE_CONSTANTS,
   ERROR_CODES,
   TRANSFORM_PROPS,
   TIME_CONVERSION,
   MOCHA_VERSION,
+  MOCHA_SERIALIZED,
   XML_OPTIONS,
+  XML_ELEMENTS,
   INVALID_CHARACTERS_REGEX,
 };
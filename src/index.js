@@ -8,31 +8,80 @@ const debug = require('debug')('mocha-gitlab-reporter');
 const nodeCrypto = require('node:crypto');
 const stripAnsi = require('strip-ansi');
 const { toXml } = require('./lib/xml-builder');
+const { IncrementalXmlWriter } = require('./lib/incremental-writer');
+const { SuiteTree } = require('./lib/suite-tree');
+const { ConsoleCapture } = require('./lib/console-capture');
+const { parseStackFrames, findTestFrame, cleanStack } = require('./lib/stack');
+const { SourceMapResolver } = require('./lib/source-maps');
+const { readSourceExcerpt } = require('./lib/source-excerpt');
+const { buildBlobUrl } = require('./lib/blob-url');
+const { DurationHistory, formatRatio, formatRegression, formatRegressionSummary } = require('./lib/duration-history');
+const {
+  getTestcaseKey,
+  collectOutcomes,
+  readPreviousRuns,
+  scoreFlakiness,
+  formatFlakiness,
+  formatFlakinessReport,
+} = require('./lib/flakiness');
+const {
+  loadQuarantine,
+  findQuarantineEntry,
+  formatQuarantineMessage,
+  formatReleasableSummary,
+  isQuarantineMessage,
+} = require('./lib/quarantine');
+const { formatRerunManifest } = require('./lib/rerun');
+const { createIssue, formatCodeQualityReport } = require('./lib/code-quality');
+const { buildMarkdownSummary } = require('./lib/markdown-summary');
+const { storeAttachment, setAttachmentsDirectory } = require('./lib/attachments');
+const { normalizeProperties, getSuiteProperties } = require('./lib/properties');
+const { parseEnvironmentProperties, getEnvironmentProperties } = require('./lib/environment');
+const { extractTags, normalizeTags, matchesTags } = require('./lib/tags');
+const { compileTemplate } = require('./lib/templates');
+const { writeFile } = require('./lib/files');
 const {
   DEFAULTS,
   ENV_VARS,
   PLACEHOLDERS,
+  INCREMENTAL_PLACEHOLDER_VALUE,
+  HOOK_FAILURE_POLICIES,
+  FAILURE_TYPES_WILDCARD,
+  CODE_QUALITY,
+  INTERRUPTION,
+  TAGS,
+  DURATION_HISTORY,
+  FLAKINESS,
   FILE_CONSTANTS,
   ERROR_CODES,
   TRANSFORM_PROPS,
   TIME_CONVERSION,
   MOCHA_VERSION,
+  MOCHA_SERIALIZED,
   XML_OPTIONS,
+  XML_ELEMENTS,
   INVALID_CHARACTERS_REGEX,
 } = require('./constants');
 
+// Matches the error type at the start of a stack, e.g. "TypeError: ..." or "AssertionError [ERR_ASSERTION]: ..."
+const ERROR_NAME_REGEX = /^([A-Za-z_$][\w$]*)(?: \[[^\]\n]*\])?:/;
+// Titles of the hooks that run for a test after its `test` event
+const BEFORE_EACH_HOOK_TITLE_REGEX = /^"before each" hook/;
+
 // Save timer references so that times are correct even if Date is stubbed.
 // See https://github.com/mochajs/mocha/issues/237
 const GlobalDate = globalThis.Date;
 
 let createStatsCollector;
 let mocha6plus = false;
+let mochaVersion;
 
 try {
   const json = JSON.parse(
     fs.readFileSync(path.dirname(require.resolve('mocha')) + FILE_CONSTANTS.PACKAGE_JSON_PATH, FILE_CONSTANTS.ENCODING)
   );
   const version = json.version;
+  mochaVersion = version;
   const majorVersion = Number.parseInt(version.split('.')[MOCHA_VERSION.VERSION_INDEX_MAJOR], MOCHA_VERSION.RADIX);
   if (majorVersion >= MOCHA_VERSION.MIN_FOR_STATS_COLLECTOR) {
     createStatsCollector = require(FILE_CONSTANTS.MOCHA_STATS_COLLECTOR_PATH);
@@ -52,19 +101,181 @@ try {
  * @param {string} [options.reporterOptions.mochaFile] - Path to output XML file
  * @param {boolean} [options.reporterOptions.attachments] - Whether to include attachments
  * @param {boolean} [options.reporterOptions.toConsole] - Whether to output XML to console
+ * @param {boolean} [options.reporterOptions.outputs] - Whether to include test output in system-out
+ * @param {boolean} [options.reporterOptions.includePending] - Whether to include pending tests in the report
  * @param {string} [options.reporterOptions.consoleReporter] - Name of console reporter to use alongside XML
  * @param {string} [options.reporterOptions.filePathTransforms] - File path transformation rules
+ * @param {boolean} [options.reporterOptions.incremental] - Whether to write testcases to disk as they finish
+ * @param {boolean} [options.reporterOptions.captureConsole] - Whether to capture process output into the report
+ * @param {number} [options.reporterOptions.captureConsoleLimit] - Maximum number of captured characters per stream
+ * @param {string} [options.reporterOptions.hookFailures] - How failing hooks are reported: 'error', 'fail' or 'skip'
+ * @param {string|string[]} [options.reporterOptions.failureTypes] - Error types reported as failures rather than errors
+ * @param {string} [options.reporterOptions.codeQualityFile] - Path to output GitLab Code Quality JSON file
+ * @param {string} [options.reporterOptions.summaryFile] - Path to output Markdown summary file
+ * @param {number} [options.reporterOptions.summaryMaxLength] - Maximum length of the Markdown summary in characters
+ * @param {string} [options.reporterOptions.attachmentsDir] - Directory to collect attachments in,
+ *   relative to the report's directory
+ * @param {boolean|string|string[]} [options.reporterOptions.environmentProperties] - Environment properties to
+ *   record in the report: true for the defaults, or a list of names
+ * @param {boolean} [options.reporterOptions.tags] - Whether to report the `@tags` of test titles as properties
+ * @param {boolean} [options.reporterOptions.stripTags] - Whether to remove tags from names and classnames
+ * @param {boolean} [options.reporterOptions.tagClassname] - Whether to use the tags of tagged tests as classname
+ * @param {string|string[]} [options.reporterOptions.includeTags] - Tags of which a test needs one to be reported
+ * @param {string|string[]} [options.reporterOptions.excludeTags] - Tags of tests left out of the report
+ * @param {string} [options.reporterOptions.classnameTemplate] - Template for testcase classnames
+ * @param {string} [options.reporterOptions.nameTemplate] - Template for testcase names
+ * @param {string} [options.reporterOptions.classnameSeparator] - Separator of the suite titles of classnames
+ * @param {string} [options.reporterOptions.titleDotReplacement] - Replaces dots in the titles of classnames
+ * @param {boolean} [options.reporterOptions.filterStack] - Whether to remove Node.js and Mocha frames from stacks
+ * @param {string|string[]} [options.reporterOptions.stackFilterPatterns] - Patterns of stack frames to remove
+ * @param {boolean} [options.reporterOptions.sourceMaps] - Whether to map stack frames and test files to their
+ *   sources using source maps
+ * @param {boolean} [options.reporterOptions.sourceExcerpt] - Whether to add the source lines around the failing line
+ *   to failures
+ * @param {number} [options.reporterOptions.sourceExcerptLines] - Number of source lines shown before and after
+ *   the failing line
+ * @param {boolean} [options.reporterOptions.blobLinks] - Whether to add a link to the failing line in GitLab
+ *   to failures and system-out
+ * @param {string} [options.reporterOptions.blobUrl] - URL of the repository files at the tested commit, instead of
+ *   the one derived from the GitLab CI/CD variables
+ * @param {string} [options.reporterOptions.durationHistoryFile] - Path of the JSON file keeping testcase durations
+ *   of previous runs, to detect duration regressions
+ * @param {number} [options.reporterOptions.durationHistorySize] - Number of durations kept per testcase
+ * @param {number} [options.reporterOptions.durationRegressionFactor] - How many times its median duration a testcase
+ *   needs to take to regress
+ * @param {number} [options.reporterOptions.durationRegressionMinTime] - How many milliseconds longer than its median
+ *   duration a testcase needs to take to regress
+ * @param {string} [options.reporterOptions.flakinessReports] - Glob pattern of the reports of previous runs,
+ *   or a directory holding them, to score the flakiness of testcases from
+ * @param {string} [options.reporterOptions.flakinessFile] - Path to output the ranked flaky testcases JSON file
+ * @param {string} [options.reporterOptions.quarantineFile] - Path of the JSON or YAML file listing known-flaky tests,
+ *   whose failures are reported as skipped
+ * @param {number} [options.reporterOptions.quarantinePasses] - How many runs in a row a quarantined test needs
+ *   to pass to be flagged for release
+ * @param {string} [options.reporterOptions.rerunFile] - Path to output the JSON manifest of the failed spec files
+ *   and a `--grep` pattern of the failed tests, to rerun them
  * @returns {Object} The complete configuration object with all options resolved
- * @throws {TypeError} If filePathTransforms has invalid format
+ * @throws {TypeError} If filePathTransforms has invalid format, hookFailures is not a known policy
+ *   or environmentProperties lists an invalid name
+ *   or a template has an unknown placeholder or stackFilterPatterns has an invalid pattern
+ *   or sourceExcerptLines is not a non-negative integer or durationRegressionFactor is not a positive number
+ *   or quarantinePasses is not a positive integer
  */
 function configureDefaults(options) {
   debug('configureDefaults: Received Mocha options:', JSON.stringify(options, null, 2));
   const config = options?.reporterOptions ?? {};
   debug('configureDefaults: Extracted reporter options:', JSON.stringify(config, null, 2));
   config.mochaFile = getSetting(config.mochaFile, ENV_VARS.MOCHA_FILE, DEFAULTS.MOCHA_FILE);
-  config.attachments = getSetting(config.attachments, ENV_VARS.ATTACHMENTS, DEFAULTS.ATTACHMENTS);
-  config.toConsole = !!config.toConsole;
+  config.attachments = parseBoolean(getSetting(config.attachments, ENV_VARS.ATTACHMENTS, DEFAULTS.ATTACHMENTS));
+  config.toConsole = parseBoolean(config.toConsole);
+  config.outputs = parseBoolean(config.outputs);
+  config.includePending = parseBoolean(config.includePending);
   config.consoleReporter = getSetting(config.consoleReporter, ENV_VARS.CONSOLE_REPORTER, DEFAULTS.CONSOLE_REPORTER);
+  config.incremental = parseBoolean(getSetting(config.incremental, ENV_VARS.INCREMENTAL, DEFAULTS.INCREMENTAL));
+  config.captureConsole = parseBoolean(
+    getSetting(config.captureConsole, ENV_VARS.CAPTURE_CONSOLE, DEFAULTS.CAPTURE_CONSOLE)
+  );
+  config.captureConsoleLimit = Number(
+    getSetting(config.captureConsoleLimit, ENV_VARS.CAPTURE_CONSOLE_LIMIT, DEFAULTS.CAPTURE_CONSOLE_LIMIT)
+  );
+  config.hookFailures = getSetting(config.hookFailures, ENV_VARS.HOOK_FAILURES, DEFAULTS.HOOK_FAILURES);
+  config.failureTypes = parseList(getSetting(config.failureTypes, ENV_VARS.FAILURE_TYPES, DEFAULTS.FAILURE_TYPES));
+  config.codeQualityFile = getSetting(config.codeQualityFile, ENV_VARS.CODE_QUALITY_FILE, DEFAULTS.CODE_QUALITY_FILE);
+  config.summaryFile = getSetting(config.summaryFile, ENV_VARS.SUMMARY_FILE, DEFAULTS.SUMMARY_FILE);
+  config.summaryMaxLength = Number(
+    getSetting(config.summaryMaxLength, ENV_VARS.SUMMARY_MAX_LENGTH, DEFAULTS.SUMMARY_MAX_LENGTH)
+  );
+  config.attachmentsDir = getSetting(config.attachmentsDir, ENV_VARS.ATTACHMENTS_DIR, DEFAULTS.ATTACHMENTS_DIR);
+  config.environmentProperties = parseEnvironmentProperties(
+    getSetting(config.environmentProperties, ENV_VARS.ENVIRONMENT_PROPERTIES, DEFAULTS.ENVIRONMENT_PROPERTIES)
+  );
+  config.tags = parseBoolean(getSetting(config.tags, ENV_VARS.TAGS, DEFAULTS.TAGS));
+  config.stripTags = parseBoolean(getSetting(config.stripTags, ENV_VARS.STRIP_TAGS, DEFAULTS.STRIP_TAGS));
+  config.tagClassname = parseBoolean(getSetting(config.tagClassname, ENV_VARS.TAG_CLASSNAME, DEFAULTS.TAG_CLASSNAME));
+  config.includeTags = normalizeTags(
+    parseList(getSetting(config.includeTags, ENV_VARS.INCLUDE_TAGS, DEFAULTS.INCLUDE_TAGS))
+  );
+  config.excludeTags = normalizeTags(
+    parseList(getSetting(config.excludeTags, ENV_VARS.EXCLUDE_TAGS, DEFAULTS.EXCLUDE_TAGS))
+  );
+  config.classnameTemplate = getSetting(
+    config.classnameTemplate,
+    ENV_VARS.CLASSNAME_TEMPLATE,
+    DEFAULTS.CLASSNAME_TEMPLATE
+  );
+  config.nameTemplate = getSetting(config.nameTemplate, ENV_VARS.NAME_TEMPLATE, DEFAULTS.NAME_TEMPLATE);
+  config.classnameSeparator = getSetting(
+    config.classnameSeparator,
+    ENV_VARS.CLASSNAME_SEPARATOR,
+    DEFAULTS.CLASSNAME_SEPARATOR
+  );
+  config.titleDotReplacement = getSetting(
+    config.titleDotReplacement,
+    ENV_VARS.TITLE_DOT_REPLACEMENT,
+    DEFAULTS.TITLE_DOT_REPLACEMENT
+  );
+  config.filterStack = parseBoolean(getSetting(config.filterStack, ENV_VARS.FILTER_STACK, DEFAULTS.FILTER_STACK));
+  config.stackFilterPatterns = parseList(
+    getSetting(config.stackFilterPatterns, ENV_VARS.STACK_FILTER_PATTERNS, DEFAULTS.STACK_FILTER_PATTERNS)
+  ).map(function (pattern) {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new TypeError(`stackFilterPatterns has an invalid pattern: ${pattern}`, { cause: error });
+    }
+  });
+  config.sourceMaps = parseBoolean(getSetting(config.sourceMaps, ENV_VARS.SOURCE_MAPS, DEFAULTS.SOURCE_MAPS));
+  config.sourceExcerpt = parseBoolean(
+    getSetting(config.sourceExcerpt, ENV_VARS.SOURCE_EXCERPT, DEFAULTS.SOURCE_EXCERPT)
+  );
+  config.sourceExcerptLines = Number(
+    getSetting(config.sourceExcerptLines, ENV_VARS.SOURCE_EXCERPT_LINES, DEFAULTS.SOURCE_EXCERPT_LINES)
+  );
+  if (!Number.isInteger(config.sourceExcerptLines) || config.sourceExcerptLines < 0) {
+    throw new TypeError(`sourceExcerptLines must be a non-negative integer, got: ${config.sourceExcerptLines}`);
+  }
+  config.blobLinks = parseBoolean(getSetting(config.blobLinks, ENV_VARS.BLOB_LINKS, DEFAULTS.BLOB_LINKS));
+  config.blobUrl = getSetting(config.blobUrl, ENV_VARS.BLOB_URL, DEFAULTS.BLOB_URL);
+  config.durationHistoryFile = getSetting(
+    config.durationHistoryFile,
+    ENV_VARS.DURATION_HISTORY_FILE,
+    DEFAULTS.DURATION_HISTORY_FILE
+  );
+  config.durationHistorySize = Number(
+    getSetting(config.durationHistorySize, ENV_VARS.DURATION_HISTORY_SIZE, DEFAULTS.DURATION_HISTORY_SIZE)
+  );
+  config.durationRegressionFactor = Number(
+    getSetting(
+      config.durationRegressionFactor,
+      ENV_VARS.DURATION_REGRESSION_FACTOR,
+      DEFAULTS.DURATION_REGRESSION_FACTOR
+    )
+  );
+  config.durationRegressionMinTime = Number(
+    getSetting(
+      config.durationRegressionMinTime,
+      ENV_VARS.DURATION_REGRESSION_MIN_TIME,
+      DEFAULTS.DURATION_REGRESSION_MIN_TIME
+    )
+  );
+  config.flakinessReports = getSetting(config.flakinessReports, ENV_VARS.FLAKINESS_REPORTS, DEFAULTS.FLAKINESS_REPORTS);
+  config.flakinessFile = getSetting(config.flakinessFile, ENV_VARS.FLAKINESS_FILE, DEFAULTS.FLAKINESS_FILE);
+  config.quarantineFile = getSetting(config.quarantineFile, ENV_VARS.QUARANTINE_FILE, DEFAULTS.QUARANTINE_FILE);
+  config.quarantinePasses = Number(
+    getSetting(config.quarantinePasses, ENV_VARS.QUARANTINE_PASSES, DEFAULTS.QUARANTINE_PASSES)
+  );
+  config.rerunFile = getSetting(config.rerunFile, ENV_VARS.RERUN_FILE, DEFAULTS.RERUN_FILE);
+  if (!(config.durationRegressionFactor > 0)) {
+    throw new TypeError(`durationRegressionFactor must be a positive number, got: ${config.durationRegressionFactor}`);
+  }
+  if (!Number.isInteger(config.quarantinePasses) || config.quarantinePasses < 1) {
+    throw new TypeError(`quarantinePasses must be a positive integer, got: ${config.quarantinePasses}`);
+  }
+  if (!Object.values(HOOK_FAILURE_POLICIES).includes(config.hookFailures)) {
+    throw new TypeError(
+      `hookFailures must be one of ${Object.values(HOOK_FAILURE_POLICIES).join(', ')}, got: ${config.hookFailures}`
+    );
+  }
 
   // Normalize to array of pattern pairs
   let transforms = [];
@@ -114,8 +325,45 @@ function configureDefaults(options) {
     mochaFile: config.mochaFile,
     attachments: config.attachments,
     toConsole: config.toConsole,
+    outputs: config.outputs,
+    includePending: config.includePending,
     consoleReporter: config.consoleReporter,
     filePathTransforms: config.filePathTransforms,
+    incremental: config.incremental,
+    captureConsole: config.captureConsole,
+    captureConsoleLimit: config.captureConsoleLimit,
+    hookFailures: config.hookFailures,
+    failureTypes: config.failureTypes,
+    codeQualityFile: config.codeQualityFile,
+    summaryFile: config.summaryFile,
+    summaryMaxLength: config.summaryMaxLength,
+    attachmentsDir: config.attachmentsDir,
+    environmentProperties: config.environmentProperties,
+    tags: config.tags,
+    stripTags: config.stripTags,
+    tagClassname: config.tagClassname,
+    includeTags: config.includeTags,
+    excludeTags: config.excludeTags,
+    classnameTemplate: config.classnameTemplate,
+    nameTemplate: config.nameTemplate,
+    classnameSeparator: config.classnameSeparator,
+    titleDotReplacement: config.titleDotReplacement,
+    filterStack: config.filterStack,
+    stackFilterPatterns: config.stackFilterPatterns,
+    sourceMaps: config.sourceMaps,
+    sourceExcerpt: config.sourceExcerpt,
+    sourceExcerptLines: config.sourceExcerptLines,
+    blobLinks: config.blobLinks,
+    blobUrl: config.blobUrl,
+    durationHistoryFile: config.durationHistoryFile,
+    durationHistorySize: config.durationHistorySize,
+    durationRegressionFactor: config.durationRegressionFactor,
+    durationRegressionMinTime: config.durationRegressionMinTime,
+    flakinessReports: config.flakinessReports,
+    flakinessFile: config.flakinessFile,
+    quarantineFile: config.quarantineFile,
+    quarantinePasses: config.quarantinePasses,
+    rerunFile: config.rerunFile,
   });
   return config;
 }
@@ -253,20 +501,82 @@ function getSetting(value, key, defaultVal, transform) {
 }
 
 /**
- * Checks if a suite is invalid
+ * Parses the value of a boolean option.
+ * Reporter options and environment variables arrive as strings, so "false" and "0" turn an option off;
+ * any other value turns it on if it is truthy.
+ * @param {*} value - the option value
+ * @returns {boolean} the parsed value
+ */
+function parseBoolean(value) {
+  if (value === 'false' || value === '0') {
+    return false;
+  }
+  return Boolean(value);
+}
+
+/**
+ * Normalizes a list option, given either as an array or as a comma-separated string.
+ * @param {string|string[]} value - the option value
+ * @returns {string[]} the trimmed, non-empty entries
+ * @example
+ * parseList('AssertionError, ChaiError') // ['AssertionError', 'ChaiError']
+ */
+function parseList(value) {
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  return entries.map((entry) => String(entry).trim()).filter(Boolean);
+}
+
+/**
+ * Checks if a suite is invalid.
+ * Suites serialized in parallel mode don't list their tests and suites, so only their title is checked.
  * @param {string} suite - the suite to check
  * @returns {boolean} true if the suite is invalid, false otherwise
  */
 function isInvalidSuite(suite) {
-  return (!suite.root && suite.title === '') || (suite.tests.length === 0 && suite.suites.length === 0);
+  return (
+    (!suite.root && suite.title === '') ||
+    (Array.isArray(suite.tests) && suite.tests.length === 0 && suite.suites.length === 0)
+  );
+}
+
+/**
+ * Checks if a runner is running tests in parallel mode (`mocha --parallel`)
+ * @param {EventEmitter} runner - the test runner
+ * @returns {boolean} true if the runner emits serialized objects from worker processes
+ */
+function isParallelMode(runner) {
+  return typeof runner.isParallelMode === 'function' && runner.isParallelMode();
+}
+
+/**
+ * Collects the tests of a suite and its sub-suites that have not run.
+ * Called when a hook fails, this returns the tests the failure prevented from running.
+ * Serialized suites in parallel mode don't list their tests, so none are returned for them.
+ * @param {Object} suite - the suite the hook belongs to
+ * @returns {Array<Object>} the tests that have neither run nor been marked pending
+ */
+function getUnrunTests(suite) {
+  if (!Array.isArray(suite.tests)) {
+    return [];
+  }
+  const tests = suite.tests.filter((test) => test.state === undefined && !test.isPending());
+  for (const childSuite of suite.suites) {
+    tests.push(...getUnrunTests(childSuite));
+  }
+  return tests;
 }
 
 /**
- * Generates the GitLab suite classname for a given test
- * @param {string} test - the test to generate the classname for
- * @returns {string} the GitLab suite classname
+ * Lists the titles of the suites a test is in, outermost first
+ * @param {string} test - the test
+ * @param {SuiteTree} [suiteTree] - the rebuilt suite hierarchy, used in parallel mode
+ * @returns {string[]} the non-empty suite titles
  */
-function getGitLabSuiteClassname(test) {
+function getSuiteTitles(test, suiteTree) {
+  const treeTitles = suiteTree?.getTitles(test);
+  if (treeTitles) {
+    return treeTitles;
+  }
   let parent = test.parent;
   const titles = [];
   while (parent) {
@@ -275,7 +585,127 @@ function getGitLabSuiteClassname(test) {
     }
     parent = parent.parent;
   }
-  return titles.join('.');
+  return titles;
+}
+
+/**
+ * Determines the type of an error from the first line of its stack.
+ * Errors serialized in parallel mode lose their `name`, but their stack still starts with it.
+ * @param {string} [stack] - the error stack
+ * @returns {string} the error type, or an empty string if the stack doesn't start with one
+ * @example
+ * getErrorNameFromStack('AssertionError [ERR_ASSERTION]: 1 == 2\n    at ...') // 'AssertionError'
+ */
+function getErrorNameFromStack(stack) {
+  if (typeof stack !== 'string') {
+    return '';
+  }
+  const match = ERROR_NAME_REGEX.exec(stack);
+  return match ? match[1] : '';
+}
+
+/**
+ * Identifies a test across its attempts.
+ * Mocha clones a test for every retry, and in parallel mode every attempt arrives as a separate serialized object.
+ * @param {Object} test - the test
+ * @returns {string} a key shared by all attempts of the test
+ */
+function getRetryKey(test) {
+  return `${test.file ?? ''}\u0000${test.fullTitle()}`;
+}
+
+/**
+ * Determines whether an error is a test failure, i.e. a failed assertion, rather than an error in the test
+ * code or its environment, such as a TypeError or a timeout.
+ * @param {Error} err - the error
+ * @param {string[]} failureTypes - the error types that are failures; `*` makes every error a failure
+ * @returns {boolean} true if the error is one of the failure types or carries the values an assertion compared
+ * @example
+ * isFailure(new assert.AssertionError({ actual: 1, expected: 2 }), ['AssertionError']) // true
+ * isFailure(new TypeError('x is not a function'), ['AssertionError']) // false
+ */
+function isFailure(err, failureTypes) {
+  if (failureTypes.includes(FAILURE_TYPES_WILDCARD)) {
+    return true;
+  }
+  const type = err.name || getErrorNameFromStack(err.stack);
+  return failureTypes.includes(type) || err.actual !== undefined || err.expected !== undefined;
+}
+
+/**
+ * Counts the failed, errored and skipped testcases of a testsuite
+ * @param {Array<Object>} testsuite - the testsuite xml config: its attributes followed by its child nodes
+ * @returns {{failures: number, errors: number, skipped: number}} the counts
+ */
+function countTestcaseResults(testsuite) {
+  const counts = { failures: 0, errors: 0, skipped: 0 };
+  for (const node of testsuite.slice(1)) {
+    if (!(XML_ELEMENTS.TESTCASE in node)) {
+      continue;
+    }
+    // failed testcases may be followed by rerunFailure elements, so look at every node
+    const nodes = node.testcase.slice(1);
+    counts.skipped += Number(nodes.some((child) => XML_ELEMENTS.SKIPPED in child));
+    counts.failures += Number(nodes.some((child) => XML_ELEMENTS.FAILURE in child));
+    counts.errors += Number(nodes.some((child) => XML_ELEMENTS.ERROR in child));
+  }
+  return counts;
+}
+
+/**
+ * Formats a duration in seconds the way it appears in the report
+ * @param {number|string} seconds - the duration, or an already formatted duration
+ * @returns {string} the duration with a fixed number of decimal places
+ */
+function formatSeconds(seconds) {
+  return typeof seconds === 'number' ? seconds.toFixed(TIME_CONVERSION.DECIMAL_PLACES) : seconds;
+}
+
+/**
+ * Formats a timestamp the way it appears in the report
+ * @param {Function} LocalDate - the Date constructor to use
+ * @param {number} timestamp - milliseconds since the epoch
+ * @returns {string} the ISO timestamp truncated to the second
+ */
+function formatTimestamp(LocalDate, timestamp) {
+  return new LocalDate(timestamp).toISOString().slice(0, -5);
+}
+
+/**
+ * Produces an xml node for a list of properties
+ * @param {Array<{name: string, value: string}>} properties - the properties
+ * @returns {Object} the `<properties>` xml config
+ */
+function formatProperties(properties) {
+  return {
+    [XML_ELEMENTS.PROPERTIES]: {
+      [XML_ELEMENTS.PROPERTY]: properties.map(({ name, value }) => ({ _attr: { name, value } })),
+    },
+  };
+}
+
+/**
+ * Creates a copy of a testcase xml config with its time formatted for output,
+ * leaving the original untouched so `getXml` can still format it later
+ * @param {Object} testcase - the testcase xml config
+ * @returns {Object} the formatted copy
+ */
+function formatTestcaseForOutput(testcase) {
+  const [head, ...children] = testcase.testcase;
+  return {
+    testcase: [{ _attr: { ...head._attr, time: formatSeconds(head._attr.time) } }, ...children],
+  };
+}
+
+/**
+ * Lists the testcases of a list of testsuite xml configs
+ * @param {Array.<Object>} testsuites - the testsuite xml configs
+ * @returns {Array.<Array>} the child nodes of each testcase, starting with its attributes
+ */
+function getTestcaseNodes(testsuites) {
+  return testsuites.flatMap((suite) =>
+    suite.testsuite.filter((node) => XML_ELEMENTS.TESTCASE in node).map((node) => node.testcase)
+  );
 }
 
 /**
@@ -292,8 +722,17 @@ class MochaGitLabReporter {
       createStatsCollector(runner);
     }
     this._options = configureDefaults(options);
+    // Compiled here so that an invalid template fails before the run starts
+    this._classnameTemplate = this._options.classnameTemplate ? compileTemplate(this._options.classnameTemplate) : null;
+    this._nameTemplate = this._options.nameTemplate ? compileTemplate(this._options.nameTemplate) : null;
+    this._sourceMaps = this._options.sourceMaps ? new SourceMapResolver() : null;
+    this._durationHistory = this._options.durationHistoryFile
+      ? new DurationHistory(this._options.durationHistoryFile, { size: this._options.durationHistorySize })
+      : null;
+    this._quarantine = this._options.quarantineFile ? loadQuarantine(this._options.quarantineFile) : null;
     this._runner = runner;
     this._Date = options?.Date ?? GlobalDate;
+    this._parallel = isParallelMode(runner);
 
     const testsuites = [];
     this._testsuites = testsuites;
@@ -301,10 +740,77 @@ class MochaGitLabReporter {
     // Use WeakMap to cache file paths without modifying Mocha's suite objects
     this._suiteFileCache = new WeakMap();
 
+    // Failed attempts of tests that are being retried, keyed by getRetryKey
+    this._retries = new Map();
+
+    // Code Quality findings for failed tests and hooks, written when the codeQualityFile option is set
+    this._codeQualityIssues = [];
+    // Failed tests and hooks, for the rerun manifest
+    this._rerunFailures = [];
+    // Totals of the last report built by getXml
+    this._totals = null;
+    // Properties of the <testsuites> element, e.g. the environment of the run or to flag an interrupted run
+    this._rootProperties = getEnvironmentProperties(this._options.environmentProperties, { mochaVersion });
+    // Pending tests left out by "includeTags" or "excludeTags", which Mocha's stats still count
+    this._excludedPending = 0;
+    // Whether the report has been written, see flush
+    this._flushed = false;
+    // Signal and exit listeners, installed while the run is in progress
+    this._interruptionHandlers = null;
+
+    // In parallel mode events arrive as serialized objects, so testsuites are looked up by suite ID
+    // instead of relying on the order of events
+    this._suiteTree = new SuiteTree();
+    this._testsuitesById = new Map();
+    let rootTestsuite = null;
+
+    // Testsuites by suite outside parallel mode, see testsuiteOfSuite
+    const testsuitesBySuite = new WeakMap();
+    // Testsuites whose totals have been written to the incremental report
+    const endedTestsuites = new WeakSet();
+
     function lastSuite() {
       return testsuites.at(-1).testsuite;
     }
 
+    const testsuiteFor = function (runnable) {
+      if (this._parallel) {
+        const testsuite = this._testsuitesById.get(SuiteTree.getId(runnable.parent));
+        if (testsuite) {
+          return testsuite.testsuite;
+        }
+      }
+      if (testsuites.length === 0) {
+        // e.g. an uncaught error reported before any suite has started
+        testsuites.push(this.getTestsuiteData(this._runner.suite));
+      }
+      return lastSuite();
+    }.bind(this);
+
+    const testsuiteOfSuite = function (suite) {
+      const testsuite = this._parallel
+        ? this._testsuitesById.get(SuiteTree.getId(suite))
+        : testsuitesBySuite.get(suite);
+      return testsuite?.testsuite;
+    }.bind(this);
+
+    const addTestcase = function (testcase, runnable, testsuite = testsuiteFor(runnable)) {
+      if (!this.isReported(runnable)) {
+        debug('addTestcase: Leaving out test excluded by its tags:', runnable.title);
+        return;
+      }
+      testsuite.push(testcase);
+      if (this._parallel) {
+        this._suiteTree.setFile(SuiteTree.getId(runnable.parent), runnable.file);
+      }
+      if (this._incrementalWriter) {
+        this._incrementalWriter.appendTestcase(testsuite, formatTestcaseForOutput(testcase));
+        if (endedTestsuites.has(testsuite)) {
+          this._incrementalWriter.updateTestsuite(testsuite, this.getIncrementalTestsuiteAttributes(testsuite));
+        }
+      }
+    }.bind(this);
+
     // get functionality from the Base reporter
     Base.call(this, runner);
 
@@ -341,6 +847,16 @@ class MochaGitLabReporter {
       }
     }
 
+    if (this._options.captureConsole) {
+      if (this._parallel) {
+        // Tests run in worker processes, whose output never passes through this process' streams
+        console.warn('Warning: captureConsole is not supported in parallel mode and has been disabled');
+      } else {
+        this._consoleCapture = new ConsoleCapture({ limit: this._options.captureConsoleLimit });
+        this.listenForConsoleOutput(runner);
+      }
+    }
+
     // remove old results
     this._runner.on(
       'start',
@@ -361,12 +877,52 @@ class MochaGitLabReporter {
             debug('runner.start: Report file does not exist (expected on first run):', this._options.mochaFile);
           }
         }
+
+        if (this._consoleCapture) {
+          this._consoleCapture.install();
+        }
+
+        this.installInterruptionHandlers(flushInterrupted);
+
+        if (this._options.attachmentsDir) {
+          setAttachmentsDirectory(this.getAttachmentsDir());
+        }
+
+        if (this._options.incremental) {
+          this._incrementalWriter = new IncrementalXmlWriter(this.getIncrementalFilename(), {
+            rootAttributes: { name: DEFAULTS.ROOT_TESTSUITES_NAME },
+          });
+          this._incrementalWriter.open();
+        }
       }.bind(this)
     );
 
     this._onSuiteBegin = function (suite) {
+      if (this._parallel) {
+        this._suiteTree.add(suite);
+        // Every worker emits its own root suite; report them as one
+        if (suite.root && rootTestsuite) {
+          this._testsuitesById.set(SuiteTree.getId(suite), rootTestsuite);
+          return;
+        }
+      }
       if (!isInvalidSuite(suite)) {
-        testsuites.push(this.getTestsuiteData(suite));
+        const testsuite = this.getTestsuiteData(suite);
+        testsuites.push(testsuite);
+        testsuitesBySuite.set(suite, testsuite);
+        if (this._parallel) {
+          this._testsuitesById.set(SuiteTree.getId(suite), testsuite);
+          if (suite.root) {
+            rootTestsuite = testsuite;
+          }
+        }
+        if (this._incrementalWriter) {
+          const _attr = testsuite.testsuite[0]._attr;
+          this._incrementalWriter.beginTestsuite(testsuite.testsuite, {
+            ..._attr,
+            timestamp: formatTimestamp(this._Date, _attr.timestamp),
+          });
+        }
       }
     };
 
@@ -380,12 +936,23 @@ class MochaGitLabReporter {
 
     this._onSuiteEnd = function (suite) {
       if (!isInvalidSuite(suite)) {
-        const testsuite = lastSuite();
+        const testsuite = this._parallel ? this._testsuitesById.get(SuiteTree.getId(suite))?.testsuite : lastSuite();
         if (testsuite) {
           const start = testsuite[0]._attr.timestamp;
           testsuite[0]._attr.time = this._Date.now() - start;
         }
       }
+      const ownTestsuite = testsuiteOfSuite(suite);
+      if (ownTestsuite) {
+        this.appendProperties(ownTestsuite, getSuiteProperties(suite));
+      }
+      if (this._consoleCapture && ownTestsuite) {
+        this.appendCapturedOutput(ownTestsuite, this._consoleCapture.get(suite));
+      }
+      if (this._incrementalWriter && ownTestsuite) {
+        endedTestsuites.add(ownTestsuite);
+        this._incrementalWriter.updateTestsuite(ownTestsuite, this.getIncrementalTestsuiteAttributes(ownTestsuite));
+      }
     };
 
     this._runner.on(
@@ -399,14 +966,81 @@ class MochaGitLabReporter {
     this._runner.on(
       'pass',
       function (test) {
-        lastSuite().push(this.getTestcaseData(test));
+        addTestcase(this.getTestcaseData(test), test);
       }.bind(this)
     );
 
+    const addHookFailure = function (hook, err) {
+      const policy = this._options.hookFailures;
+      const hookTestsuite = testsuiteOfSuite(hook.parent) ?? testsuiteFor(hook);
+      const unrunTests = getUnrunTests(hook.parent).filter((test) => this.isReported(test));
+      debug('addHookFailure: Hook failed:', { hook: hook.title, policy, unrunTests: unrunTests.length });
+
+      for (const test of unrunTests) {
+        // Tests of suites that have started are already counted by their testsuite
+        const ownTestsuite = testsuiteOfSuite(test.parent);
+        if (policy === HOOK_FAILURE_POLICIES.ERROR) {
+          if (ownTestsuite) {
+            ownTestsuite[0]._attr.tests--;
+          }
+          continue;
+        }
+
+        const testcase = this.getTestcaseData(test, policy === HOOK_FAILURE_POLICIES.FAIL ? err : undefined);
+        if (policy !== HOOK_FAILURE_POLICIES.FAIL) {
+          testcase.testcase.push({
+            [XML_ELEMENTS.SKIPPED]: { _attr: { message: this.removeInvalidCharacters(`${hook.title} failed`) } },
+          });
+        }
+        if (!ownTestsuite) {
+          hookTestsuite[0]._attr.tests++;
+        }
+        addTestcase(testcase, test, ownTestsuite ?? hookTestsuite);
+      }
+
+      // A hook that prevented no tests from running, e.g. an "after all" hook, is always reported itself
+      if ((policy !== HOOK_FAILURE_POLICIES.FAIL || unrunTests.length === 0) && this.isReported(hook)) {
+        const testcase = this.getTestcaseData(hook, err);
+        hookTestsuite[0]._attr.tests++;
+        addTestcase(testcase, hook, hookTestsuite);
+      }
+    }.bind(this);
+
     this._runner.on(
       'fail',
       function (test, err) {
-        lastSuite().push(this.getTestcaseData(test, err));
+        if (test.type === MOCHA_SERIALIZED.TYPE_HOOK) {
+          addHookFailure(test, err);
+        } else {
+          addTestcase(this.getTestcaseData(test, err), test);
+        }
+        if (this._options.codeQualityFile && this.isReported(test) && !this.getQuarantineEntry(test)) {
+          this.addCodeQualityIssue(test, err);
+        }
+        if (this._options.rerunFile && this.isReported(test) && !this.getQuarantineEntry(test)) {
+          this.addRerunFailure(test);
+        }
+      }.bind(this)
+    );
+
+    this._runner.on(
+      'retry',
+      function (test, err) {
+        const key = getRetryKey(test);
+        if (!this._retries.has(key)) {
+          this._retries.set(key, []);
+        }
+        // The output belongs to this attempt; the next attempt runs on a fresh clone of the test
+        this._retries.get(key).push({ err, outputs: this.getTestOutputs(test) });
+      }.bind(this)
+    );
+
+    this._runner.on(
+      'pending',
+      function (test) {
+        if (!this.isReported(test)) {
+          this._excludedPending++;
+        }
       }.bind(this)
     );
 
@@ -417,19 +1051,191 @@ class MochaGitLabReporter {
           const testcase = this.getTestcaseData(test);
 
           testcase.testcase.push({ skipped: null });
-          lastSuite().push(testcase);
+          addTestcase(testcase, test);
         }.bind(this)
       );
     }
 
+    if (this._parallel) {
+      // Serialized suites don't list their tests, so count them as they finish
+      this._runner.on(
+        'test end',
+        function (test) {
+          const testsuite = this._testsuitesById.get(SuiteTree.getId(test.parent));
+          if (testsuite && test.type === MOCHA_SERIALIZED.TYPE_TEST && this.isReported(test)) {
+            testsuite.testsuite[0]._attr.tests++;
+          }
+        }.bind(this)
+      );
+    }
+
+    // The runner's suite is the running suite once the run has started
+    const rootSuite = runner.suite;
+    // The test and hook in progress, reported as interrupted if the run doesn't finish
+    let runningTest = null;
+    let runningHook = null;
+    runner.on('test', (test) => (runningTest = test));
+    runner.on('test end', () => (runningTest = null));
+    runner.on('hook', (hook) => (runningHook = hook));
+    runner.on('hook end', () => (runningHook = null));
+
+    const flushInterrupted = function (reason, description) {
+      if (this._flushed) {
+        return;
+      }
+      debug('flushInterrupted: Run was interrupted:', { reason, runningTest: runningTest?.title });
+      const LocalDate = this._Date;
+
+      const running = runningTest ?? runningHook;
+      if (running && this.isReported(running)) {
+        const testcase = this.getTestcaseData(running);
+        testcase.testcase.push({
+          [XML_ELEMENTS.ERROR]: {
+            _attr: { message: `Test run interrupted while running: ${description}`, type: INTERRUPTION.ERROR_TYPE },
+          },
+        });
+        if (running === runningTest) {
+          addTestcase(testcase, running, testsuiteOfSuite(running.parent));
+        } else {
+          const hookTestsuite = testsuiteOfSuite(running.parent) ?? testsuiteFor(running);
+          hookTestsuite[0]._attr.tests++;
+          addTestcase(testcase, running, hookTestsuite);
+        }
+      }
+
+      for (const test of getUnrunTests(rootSuite)) {
+        if (test === runningTest || !this.isReported(test)) {
+          continue;
+        }
+        let testsuite = testsuiteOfSuite(test.parent);
+        if (!testsuite) {
+          // The suite had not started yet
+          const suiteData = this.getTestsuiteData(test.parent);
+          testsuites.push(suiteData);
+          testsuitesBySuite.set(test.parent, suiteData);
+          if (this._parallel) {
+            this._testsuitesById.set(SuiteTree.getId(test.parent), suiteData);
+          }
+          testsuite = suiteData.testsuite;
+        }
+        const testcase = this.getTestcaseData(test);
+        testcase.testcase.push({
+          [XML_ELEMENTS.SKIPPED]: { _attr: { message: `Test run interrupted before the test ran: ${description}` } },
+        });
+        addTestcase(testcase, test, testsuite);
+      }
+
+      // Suites that were still running have no time yet
+      for (const suite of testsuites) {
+        const _attr = suite.testsuite[0]._attr;
+        if (_attr.time === undefined) {
+          _attr.time = LocalDate.now() - _attr.timestamp;
+        }
+      }
+      const stats = this._runner.stats;
+      if (stats && stats.duration === undefined && stats.start) {
+        // stats are collected with the real Date
+        stats.duration = GlobalDate.now() - stats.start;
+      }
+
+      this._rootProperties.push(
+        { name: INTERRUPTION.PROPERTY_INCOMPLETE, value: 'true' },
+        { name: INTERRUPTION.PROPERTY_INTERRUPTED_BY, value: reason }
+      );
+      try {
+        this.flush(testsuites);
+      } catch (error) {
+        console.error(error.message);
+      }
+    }.bind(this);
+
     this._runner.on(
       'end',
       function () {
-        this.flush(testsuites);
+        if (this._consoleCapture) {
+          this._consoleCapture.restore();
+        }
+        this.removeInterruptionHandlers();
+        if (this._options.attachmentsDir) {
+          setAttachmentsDirectory(null);
+        }
+        // A run that goes on after being interrupted keeps the report written at the interruption
+        if (!this._flushed) {
+          this.flush(testsuites);
+        }
       }.bind(this)
     );
   }
 
+  /**
+   * Makes sure a report is written when the process ends before the run does, e.g. when a GitLab job is
+   * cancelled or times out, or when Mocha calls `process.exit`. The listeners are removed when the run ends.
+   * A signal is raised again after the report is written, unless another listener handles it.
+   * @param {Function} flushInterrupted - Writes the report of the interrupted run, given the reason
+   */
+  installInterruptionHandlers(flushInterrupted) {
+    if (this._interruptionHandlers) {
+      return;
+    }
+    const handlers = {};
+    for (const signal of INTERRUPTION.SIGNALS) {
+      handlers[signal] = () => {
+        flushInterrupted(signal, `received ${signal}`);
+        this.removeInterruptionHandlers();
+        if (process.listenerCount(signal) === 0) {
+          process.kill(process.pid, signal);
+        }
+      };
+    }
+    handlers[INTERRUPTION.EXIT] = (code) => {
+      flushInterrupted(INTERRUPTION.EXIT, `the process exited with code ${code}`);
+    };
+    for (const [event, handler] of Object.entries(handlers)) {
+      process.on(event, handler);
+    }
+    this._interruptionHandlers = handlers;
+    debug('installInterruptionHandlers: Listening for', Object.keys(handlers));
+  }
+
+  /**
+   * Removes the listeners installed by {@link installInterruptionHandlers}.
+   */
+  removeInterruptionHandlers() {
+    if (!this._interruptionHandlers) {
+      return;
+    }
+    for (const [event, handler] of Object.entries(this._interruptionHandlers)) {
+      process.removeListener(event, handler);
+    }
+    this._interruptionHandlers = null;
+  }
+
+  /**
+   * Attributes captured output to the running test, or to the suite whose hook is running.
+   * "before each" hooks run between a test's `test` event and its body, so their output and the output of
+   * the test after them are attributed to the test.
+   * Capturing stops before other reporters handle a test's result, so their output is not captured.
+   * @param {EventEmitter} runner - the test runner
+   */
+  listenForConsoleOutput(runner) {
+    const capture = this._consoleCapture;
+    const getBeforeEachTest = (hook) =>
+      BEFORE_EACH_HOOK_TITLE_REGEX.test(hook.originalTitle ?? hook.title) ? hook.ctx?.currentTest : undefined;
+    runner.on('test', (test) => capture.start(test));
+    runner.on('hook', (hook) => capture.start(getBeforeEachTest(hook) ?? hook.parent));
+    for (const event of ['pass', 'fail', 'pending', 'retry', 'test end']) {
+      runner.prependListener(event, () => capture.stop());
+    }
+    runner.prependListener('hook end', (hook) => {
+      const test = getBeforeEachTest(hook);
+      if (test) {
+        capture.start(test);
+      } else {
+        capture.stop();
+      }
+    });
+  }
+
   /**
    * Produces an xml node for a test suite
    * @param  {Object} suite - a test suite
@@ -437,11 +1243,13 @@ class MochaGitLabReporter {
    */
   getTestsuiteData(suite) {
     // GitLab uses testcase classname, not testsuite name, so just use simple suite title
-    const suiteName = suite.root && suite.title === '' ? DEFAULTS.ROOT_SUITE_NAME : stripAnsi(suite.title);
+    const suiteName =
+      suite.root && suite.title === '' ? DEFAULTS.ROOT_SUITE_NAME : stripAnsi(this.stripTags(suite.title));
     const _attr = {
       name: suiteName,
       timestamp: this._Date.now(),
-      tests: suite.tests.length,
+      // Serialized suites in parallel mode don't list their tests; they are counted as they finish
+      tests: Array.isArray(suite.tests) ? suite.tests.filter((test) => this.isReported(test)).length : 0,
     };
     const testSuite = { testsuite: [{ _attr: _attr }] };
 
@@ -478,14 +1286,16 @@ class MochaGitLabReporter {
 
   /**
    * Produces an xml config for a given test case.
+   * A failed hook is reported with an error, whatever it failed with.
+   * A failed test in the "quarantineFile" is reported as skipped, with its failure in system-err.
    * @param {object} test - test case
    * @param {object} err - if test failed, the failure object
    * @returns {object}
    */
   getTestcaseData(test, err) {
     // GitLab format: classname is suite name, name is test title
-    const name = stripAnsi(test.title);
-    const classname = stripAnsi(getGitLabSuiteClassname(test));
+    const name = stripAnsi(this.getName(test));
+    const classname = stripAnsi(this.getClassname(test));
 
     const durationMs = test.expectedDuration ?? test.duration;
     const testcase = {
@@ -502,17 +1312,139 @@ class MochaGitLabReporter {
 
     // Always add file attribute if available (GitLab format)
     this.appendFileAttribute(testcase, test);
+    const properties = normalizeProperties(test.properties);
+    if (this._options.tags) {
+      properties.push(...this.getTags(test).map((tag) => ({ name: TAGS.PROPERTY, value: tag })));
+    }
+    this.appendProperties(testcase.testcase, properties);
 
     // Add any system outputs/errors and attachments
-    this.appendSystemOut(testcase, test);
+    const quarantine = err ? this.getQuarantineEntry(test) : null;
+    const link = err && !quarantine ? this.getFailureLink(test, err) : null;
+    this.appendSystemOut(testcase, test, link);
     this.appendSystemErr(testcase, test);
 
-    if (err) {
-      this.appendFailure(testcase, err);
+    if (quarantine) {
+      this.appendQuarantined(testcase, err, quarantine);
+    } else if (err && test.type === MOCHA_SERIALIZED.TYPE_HOOK) {
+      this.appendError(testcase, err, link);
+    } else if (err) {
+      this.appendFailure(testcase, err, link);
     }
+    this.appendRetries(testcase, test, !err);
     return testcase;
   }
 
+  /**
+   * Finds the entry of the "quarantineFile" matching the classname and name of a test.
+   * @param {Object} test - The test or hook
+   * @returns {Object|null} The quarantine entry, or null if the test is not quarantined
+   */
+  getQuarantineEntry(test) {
+    if (!this._quarantine) {
+      return null;
+    }
+    return findQuarantineEntry(this._quarantine, stripAnsi(this.getClassname(test)), stripAnsi(this.getName(test)));
+  }
+
+  /**
+   * Reports the failure of a quarantined test as skipped, keeping the failure details in system-err.
+   * @param {Object} testcase - The testcase object to modify
+   * @param {Object} err - The failure object
+   * @param {Object} entry - The quarantine entry of the test
+   */
+  appendQuarantined(testcase, err, entry) {
+    const { message, details } = this.getFailureDetails(err);
+    this.appendOutputNote(testcase, XML_ELEMENTS.SYSTEM_ERR, details || message);
+    testcase.testcase.push({
+      [XML_ELEMENTS.SKIPPED]: { _attr: { message: this.removeInvalidCharacters(formatQuarantineMessage(entry)) } },
+    });
+  }
+
+  /**
+   * Determines the name of a test: its title, or the "nameTemplate" rendered for it.
+   * @param {Object} test - The test or hook
+   * @returns {string} The name
+   */
+  getName(test) {
+    if (!this._nameTemplate) {
+      return this.stripTags(test.title);
+    }
+    return this._nameTemplate(this.getTemplateValues(test, (title) => this.stripTags(title)));
+  }
+
+  /**
+   * Determines the classname of a test: its suite titles joined with the "classnameSeparator",
+   * the "classnameTemplate" rendered for it, or with "tagClassname" its tags.
+   * Dots in the titles are replaced with "titleDotReplacement", if set.
+   * @param {Object} test - The test or hook
+   * @returns {string} The classname
+   */
+  getClassname(test) {
+    if (this._options.tags && this._options.tagClassname) {
+      const tags = this.getTags(test);
+      if (tags.length > 0) {
+        return tags.map((tag) => TAGS.PREFIX + tag).join(TAGS.CLASSNAME_SEPARATOR);
+      }
+    }
+    const replacement = this._options.titleDotReplacement;
+    const formatTitle = (title) => {
+      const stripped = this.stripTags(title);
+      return replacement == null ? stripped : stripped.replaceAll('.', replacement);
+    };
+    const values = this.getTemplateValues(test, formatTitle);
+    return this._classnameTemplate ? this._classnameTemplate(values) : values.suites.join(values.separator);
+  }
+
+  /**
+   * Collects the values of the placeholders of the "classnameTemplate" and "nameTemplate" options.
+   * @param {Object} test - The test or hook
+   * @param {function(string): string} formatTitle - Formats the test and suite titles
+   * @returns {{title: string, file: string, suites: string[], separator: string}} The values
+   */
+  getTemplateValues(test, formatTitle) {
+    const filePath = this.getTestFile(test);
+    return {
+      title: formatTitle(test.title),
+      file: filePath ? this.transformFilePath(filePath) : '',
+      suites: getSuiteTitles(test, this._parallel ? this._suiteTree : null).map(formatTitle),
+      separator: this._options.classnameSeparator,
+    };
+  }
+
+  /**
+   * Determines the tags of a test or hook: the `@tags` in its title and the titles of its suites.
+   * @param {Object} test - The test or hook
+   * @returns {string[]} The tags without their `@`, outermost suite first
+   */
+  getTags(test) {
+    const titles = [...getSuiteTitles(test, this._parallel ? this._suiteTree : null), test.title];
+    return [...new Set(titles.flatMap((title) => extractTags(title).tags))];
+  }
+
+  /**
+   * Removes the `@tags` from a title when the "tags" and "stripTags" options are set.
+   * @param {string} title - The test or suite title
+   * @returns {string} The title
+   */
+  stripTags(title) {
+    return this._options.tags && this._options.stripTags ? extractTags(title).title : title;
+  }
+
+  /**
+   * Checks whether a test or hook is included in the report by the "includeTags" and "excludeTags" options.
+   * A hook is included based on the tags of its suites.
+   * @param {Object} test - The test or hook
+   * @returns {boolean}
+   */
+  isReported(test) {
+    const { includeTags, excludeTags } = this._options;
+    if (includeTags.length === 0 && excludeTags.length === 0) {
+      return true;
+    }
+    return matchesTags(this.getTags(test), includeTags, excludeTags);
+  }
+
   /**
    * Add file attribute to testcase XML if test has associated file.
    * The file path is made relative to cwd and can be transformed using configured rules.
@@ -521,8 +1453,7 @@ class MochaGitLabReporter {
    * @param {string} [test.file] - Path to the test file
    */
   appendFileAttribute(testcase, test) {
-    // Fall back to parent suite's cached file if test.file doesn't exist
-    let filePath = test.file || (test.parent && this._suiteFileCache.get(test.parent));
+    const filePath = this.getTestFile(test);
 
     debug('appendFileAttribute: Processing test:', {
       testTitle: test.title,
@@ -534,6 +1465,86 @@ class MochaGitLabReporter {
       debug('appendFileAttribute: No file path found for test, skipping file attribute');
       return;
     }
+    testcase.testcase[0]._attr.file = this.transformFilePath(filePath);
+  }
+
+  /**
+   * Add a properties element to a testcase or testsuite XML node.
+   * Values are stripped of ANSI escape sequences and invalid XML characters.
+   * @param {Array<Object>} node - The testcase or testsuite array, starting with its attributes
+   * @param {Array<{name: string, value: string}>} properties - The properties
+   * @returns {boolean} True if properties were added, false otherwise
+   */
+  appendProperties(node, properties) {
+    if (properties.length === 0) {
+      return false;
+    }
+    const cleaned = properties.map(({ name, value }) => ({
+      name: this.removeInvalidCharacters(stripAnsi(name)),
+      value: this.removeInvalidCharacters(stripAnsi(value)),
+    }));
+    // properties come before any other child element, and are added to those already there
+    const existing = node[1]?.[XML_ELEMENTS.PROPERTIES];
+    if (existing) {
+      existing[XML_ELEMENTS.PROPERTY].push(
+        ...formatProperties(cleaned)[XML_ELEMENTS.PROPERTIES][XML_ELEMENTS.PROPERTY]
+      );
+    } else {
+      node.splice(1, 0, formatProperties(cleaned));
+    }
+    return true;
+  }
+
+  /**
+   * Adds a note to the system-out or system-err of a testcase, after any output it already has.
+   * @param {Object} testcase - The testcase object to modify
+   * @param {string} elementName - XML_ELEMENTS.SYSTEM_OUT or XML_ELEMENTS.SYSTEM_ERR
+   * @param {string} note - The note
+   */
+  appendOutputNote(testcase, elementName, note) {
+    const cleaned = this.removeInvalidCharacters(stripAnsi(note));
+    const output = testcase.testcase.find((node) => elementName in node);
+    if (output) {
+      output[elementName] += '\n' + cleaned;
+      return;
+    }
+    // system-out comes right after the properties, and system-err right after system-out
+    const preceding = [XML_ELEMENTS.PROPERTIES, XML_ELEMENTS.SYSTEM_OUT].slice(
+      0,
+      elementName === XML_ELEMENTS.SYSTEM_ERR ? 2 : 1
+    );
+    let index = 1;
+    while (index < testcase.testcase.length && preceding.some((name) => name in testcase.testcase[index])) {
+      index++;
+    }
+    testcase.testcase.splice(index, 0, { [elementName]: cleaned });
+  }
+
+  /**
+   * Determines the file a test is defined in.
+   * @param {Object} test - The test or hook
+   * @returns {string|undefined} The file path as Mocha reports it, falling back to the file of the parent suites
+   */
+  getTestFile(test) {
+    // Fall back to parent suite's cached file if test.file doesn't exist
+    return (
+      test.file ||
+      (test.parent && this._suiteFileCache.get(test.parent)) ||
+      (this._parallel ? this._suiteTree.getFile(test) : undefined)
+    );
+  }
+
+  /**
+   * Converts a file path into the form used in reports.
+   * The file path is mapped to its source with the "sourceMaps" option, made relative to cwd
+   * and transformed using the configured filePathTransforms rules.
+   * @param {string} filePath - The file path
+   * @returns {string} The transformed path
+   */
+  transformFilePath(filePath) {
+    if (this._sourceMaps) {
+      filePath = this._sourceMaps.resolveFile(filePath);
+    }
     // Make path relative to cwd (typically the git repo root)
     if (path.isAbsolute(filePath)) {
       filePath = path.relative(process.cwd(), filePath);
@@ -541,14 +1552,14 @@ class MochaGitLabReporter {
     // Apply regex transformations if configured (using pre-compiled patterns)
     if (this._options.filePathTransforms && this._options.filePathTransforms.length > 0) {
       const originalPath = filePath;
-      debug('appendFileAttribute: Applying file path transforms:', {
+      debug('transformFilePath: Applying file path transforms:', {
         originalPath,
         transformCount: this._options.filePathTransforms.length,
       });
       for (const [index, transform] of this._options.filePathTransforms.entries()) {
         // Skip transforms that failed to compile
         if (!transform[TRANSFORM_PROPS.PATTERN]) {
-          debug('appendFileAttribute: Skipping invalid transform:', {
+          debug('transformFilePath: Skipping invalid transform:', {
             index,
             transform: transform[TRANSFORM_PROPS.RAW],
             error: transform[TRANSFORM_PROPS.ERROR],
@@ -559,7 +1570,7 @@ class MochaGitLabReporter {
           const beforeTransform = filePath;
           filePath = filePath.replace(transform[TRANSFORM_PROPS.PATTERN], transform[TRANSFORM_PROPS.REPLACE]);
           if (beforeTransform !== filePath) {
-            debug('appendFileAttribute: Transform applied:', {
+            debug('transformFilePath: Transform applied:', {
               index,
               pattern: transform[TRANSFORM_PROPS.RAW][TRANSFORM_PROPS.SEARCH],
               before: beforeTransform,
@@ -567,7 +1578,7 @@ class MochaGitLabReporter {
             });
           }
         } catch (e) {
-          debug('appendFileAttribute: Transform failed:', {
+          debug('transformFilePath: Transform failed:', {
             index,
             transform: transform[TRANSFORM_PROPS.RAW],
             error: e?.message,
@@ -576,13 +1587,13 @@ class MochaGitLabReporter {
         }
       }
       if (originalPath !== filePath) {
-        debug('appendFileAttribute: Path transformation complete:', {
+        debug('transformFilePath: Path transformation complete:', {
           original: originalPath,
           transformed: filePath,
         });
       }
     }
-    testcase.testcase[0]._attr.file = filePath;
+    return filePath;
   }
 
   /**
@@ -592,25 +1603,65 @@ class MochaGitLabReporter {
    * @param {Object} test - The test object containing outputs and attachments
    * @param {string[]} [test.consoleOutputs] - Array of console output strings
    * @param {string[]} [test.attachments] - Array of attachment file paths
+   * @param {string|null} [link] - Link to the failing line, added before the outputs, see {@link getFailureLink}
    * @returns {boolean} True if system-out was added, false otherwise
    */
-  appendSystemOut(testcase, test) {
-    const systemOutLines = [];
-    if (this._options.outputs && Array.isArray(test.consoleOutputs) && test.consoleOutputs.length > 0) {
-      systemOutLines.push(...test.consoleOutputs);
+  appendSystemOut(testcase, test, link) {
+    const systemOutLines = this.getTestOutputs(test).stdout;
+    if (link) {
+      systemOutLines.unshift(link);
     }
     if (this._options.attachments && Array.isArray(test.attachments) && test.attachments.length > 0) {
-      systemOutLines.push(...test.attachments.map((file) => `[[ATTACHMENT|${file}]]`));
+      systemOutLines.push(...test.attachments.map((file) => `[[ATTACHMENT|${this.collectAttachment(file)}]]`));
     }
     if (systemOutLines.length > 0) {
       testcase.testcase.push({
-        'system-out': this.removeInvalidCharacters(stripAnsi(systemOutLines.join('\n'))),
+        [XML_ELEMENTS.SYSTEM_OUT]: this.removeInvalidCharacters(stripAnsi(systemOutLines.join('\n'))),
       });
       return true;
     }
     return false;
   }
 
+  /**
+   * Copies an attachment into the "attachmentsDir" directory, if set, so it is stored with the report.
+   * @param {string} filePath - Path of the attachment, as given by the test
+   * @returns {string} The path to reference in the report: the stored copy relative to cwd,
+   *   or the given path if the attachment is not collected or could not be copied
+   */
+  collectAttachment(filePath) {
+    if (!this._options.attachmentsDir) {
+      return filePath;
+    }
+    const directory = this.getAttachmentsDir();
+    // Attachments added with attach() are already in the directory
+    if (!path.relative(directory, path.resolve(filePath)).startsWith('..')) {
+      return path.relative(process.cwd(), filePath);
+    }
+    try {
+      return path.relative(process.cwd(), storeAttachment(filePath, directory));
+    } catch (error) {
+      if (error.code === ERROR_CODES.FILE_NOT_FOUND) {
+        console.warn(`Warning: Attachment not found: ${filePath}`);
+      } else {
+        console.warn(`Warning: Could not copy attachment ${filePath}: ${error.message}`);
+      }
+      debug('collectAttachment: Could not collect attachment:', { filePath, directory, errorCode: error.code });
+      return filePath;
+    }
+  }
+
+  /**
+   * Determines the directory attachments are collected in.
+   * @returns {string|null} The absolute path of the "attachmentsDir" directory, or null if it is not set
+   */
+  getAttachmentsDir() {
+    if (!this._options.attachmentsDir) {
+      return null;
+    }
+    return path.resolve(path.dirname(this._options.mochaFile), this._options.attachmentsDir);
+  }
+
   /**
    * Add system-err element to testcase XML for console errors.
    * Filters out invalid XML characters and ANSI escape sequences.
@@ -620,9 +1671,10 @@ class MochaGitLabReporter {
    * @returns {boolean} True if system-err was added, false otherwise
    */
   appendSystemErr(testcase, test) {
-    if (this._options.outputs && Array.isArray(test.consoleErrors) && test.consoleErrors.length > 0) {
+    const systemErrLines = this.getTestOutputs(test).stderr;
+    if (systemErrLines.length > 0) {
       testcase.testcase.push({
-        'system-err': this.removeInvalidCharacters(stripAnsi(test.consoleErrors.join('\n'))),
+        [XML_ELEMENTS.SYSTEM_ERR]: this.removeInvalidCharacters(stripAnsi(systemErrLines.join('\n'))),
       });
       return true;
     }
@@ -630,7 +1682,51 @@ class MochaGitLabReporter {
   }
 
   /**
-   * Add failure element to testcase XML for test failures.
+   * Collects the console output of a test: the lines assigned to `consoleOutputs` and `consoleErrors`
+   * if the "outputs" option is set, followed by the captured output if the "captureConsole" option is set.
+   * @param {Object} test - The test object
+   * @returns {{stdout: string[], stderr: string[]}} The output lines of each stream
+   */
+  getTestOutputs(test) {
+    const outputs = { stdout: [], stderr: [] };
+    if (this._options.outputs) {
+      if (Array.isArray(test.consoleOutputs)) {
+        outputs.stdout.push(...test.consoleOutputs);
+      }
+      if (Array.isArray(test.consoleErrors)) {
+        outputs.stderr.push(...test.consoleErrors);
+      }
+    }
+    if (this._consoleCapture) {
+      const captured = this._consoleCapture.get(test);
+      for (const name of ['stdout', 'stderr']) {
+        if (captured[name]) {
+          outputs[name].push(captured[name].replace(/\n$/, ''));
+        }
+      }
+    }
+    return outputs;
+  }
+
+  /**
+   * Add system-out and system-err elements with captured output to an xml node.
+   * @param {Array<Object>} node - The children of the testsuite or testcase element
+   * @param {{stdout: string, stderr: string}} captured - The captured output
+   */
+  appendCapturedOutput(node, captured) {
+    for (const [elementName, text] of [
+      [XML_ELEMENTS.SYSTEM_OUT, captured.stdout],
+      [XML_ELEMENTS.SYSTEM_ERR, captured.stderr],
+    ]) {
+      if (text) {
+        node.push({ [elementName]: this.removeInvalidCharacters(stripAnsi(text.replace(/\n$/, ''))) });
+      }
+    }
+  }
+
+  /**
+   * Add failure element to testcase XML for test failures, or error element for other errors
+   * as determined by the "failureTypes" option, see {@link isFailure}.
    * Includes error message, stack trace, and diff if available.
    * Filters out invalid XML characters.
    * @param {Object} testcase - The testcase object to modify
@@ -640,8 +1736,208 @@ class MochaGitLabReporter {
    * @param {string} [err.name] - Error type name
    * @param {*} [err.expected] - Expected value for assertion errors
    * @param {*} [err.actual] - Actual value for assertion errors
+   * @param {string|null} [link] - Link to the failing line, added before the details, see {@link getFailureLink}
    */
-  appendFailure(testcase, err) {
+  appendFailure(testcase, err, link) {
+    if (!isFailure(err, this._options.failureTypes)) {
+      this.appendError(testcase, err, link);
+      return;
+    }
+    const { message, type, details } = this.getFailureDetails(err);
+    const failureElement = {
+      _attr: { message, type },
+      _cdata: link ? `${link}\n${details}` : details,
+    };
+
+    testcase.testcase.push({ [XML_ELEMENTS.FAILURE]: failureElement });
+  }
+
+  /**
+   * Add error element to testcase XML for errors that are not test failures, such as a failing hook.
+   * Has the same content as the failure element, see {@link appendFailure}.
+   * @param {Object} testcase - The testcase object to modify
+   * @param {Error} err - The error object
+   * @param {string|null} [link] - Link to the failing line, added before the details, see {@link getFailureLink}
+   */
+  appendError(testcase, err, link) {
+    const { message, type, details } = this.getFailureDetails(err);
+    testcase.testcase.push({
+      [XML_ELEMENTS.ERROR]: { _attr: { message, type }, _cdata: link ? `${link}\n${details}` : details },
+    });
+  }
+
+  /**
+   * Add flakyFailure or rerunFailure elements to testcase XML for the failed attempts of a retried test.
+   * Follows the Maven Surefire format: a test that eventually passed gets a flakyFailure per failed attempt,
+   * a test that failed every attempt gets a rerunFailure per attempt before the last one, which is the failure.
+   * Attempts that failed with an error rather than a failure get flakyError and rerunError elements instead.
+   * Each element holds the attempt's stack trace and its console output, see {@link getTestOutputs}.
+   * @param {Object} testcase - The testcase object to modify
+   * @param {Object} test - The test object of the last attempt
+   * @param {boolean} passed - Whether the last attempt passed
+   * @returns {boolean} True if any elements were added, false otherwise
+   */
+  appendRetries(testcase, test, passed) {
+    const key = getRetryKey(test);
+    const attempts = this._retries.get(key);
+    if (!attempts) {
+      return false;
+    }
+    this._retries.delete(key);
+
+    for (const attempt of attempts) {
+      const failure = isFailure(attempt.err, this._options.failureTypes);
+      let elementName;
+      if (passed) {
+        elementName = failure ? XML_ELEMENTS.FLAKY_FAILURE : XML_ELEMENTS.FLAKY_ERROR;
+      } else {
+        elementName = failure ? XML_ELEMENTS.RERUN_FAILURE : XML_ELEMENTS.RERUN_ERROR;
+      }
+      const { message, type, details } = this.getFailureDetails(attempt.err);
+      const element = [{ _attr: { message, type } }, { [XML_ELEMENTS.STACK_TRACE]: { _cdata: details } }];
+      this.appendCapturedOutput(element, {
+        stdout: attempt.outputs.stdout.join('\n'),
+        stderr: attempt.outputs.stderr.join('\n'),
+      });
+      testcase.testcase.push({ [elementName]: element });
+    }
+    debug('appendRetries: Recorded failed attempts:', { test: test.title, passed, attempts: attempts.length });
+    return true;
+  }
+
+  /**
+   * Determines where a test or hook failed: the innermost stack frame in the test's file, or else
+   * the innermost frame outside Node.js and `node_modules`, or else the test's file.
+   * The path is converted the same way as the testcase file attribute.
+   * @param {Object} test - The failed test or hook
+   * @param {Error} err - The error it failed with
+   * @returns {{path: string, line: number|undefined}|null} The location, without a line if no stack frame
+   *   was found, or null if no file could be determined
+   */
+  getFailureLocation(test, err) {
+    const testFile = this.getTestFile(test);
+    const sourceFile = testFile && this._sourceMaps ? this._sourceMaps.resolveFile(testFile) : testFile;
+    const frame = findTestFrame(parseStackFrames(this.formatStack(err.stack)), sourceFile);
+    const locationFile = frame?.file ?? testFile;
+    if (!locationFile) {
+      return null;
+    }
+    return { path: this.transformFilePath(locationFile), line: frame?.line };
+  }
+
+  /**
+   * Links to the line a test or hook failed at in GitLab, when the "blobLinks" option is set.
+   * @param {Object} test - The failed test or hook
+   * @param {Error} err - The error it failed with
+   * @returns {string|null} The URL, or null if no link is wanted or the location or base URL is unknown
+   */
+  getFailureLink(test, err) {
+    if (!this._options.blobLinks) {
+      return null;
+    }
+    const blobUrl = this.getBlobUrl();
+    const location = blobUrl && this.getFailureLocation(test, err);
+    if (!location) {
+      debug('getFailureLink: No link for failure:', { test: test.title, blobUrl });
+      return null;
+    }
+    return buildBlobUrl(blobUrl, location.path, location.line);
+  }
+
+  /**
+   * Records a failed test or hook for the rerun manifest, with its file as given to Mocha, before any
+   * "filePathTransforms" or source maps, and its titles as Mocha matches them with `--grep`.
+   * @param {Object} test - The failed test or hook
+   */
+  addRerunFailure(test) {
+    const file = this.getTestFile(test);
+    const hook = test.type === MOCHA_SERIALIZED.TYPE_HOOK;
+    const suiteTitles = getSuiteTitles(test, this._parallel ? this._suiteTree : null);
+    this._rerunFailures.push({
+      file: file && path.isAbsolute(file) ? path.relative(process.cwd(), file) : file,
+      titles: hook ? suiteTitles : [...suiteTitles, test.title],
+      hook,
+    });
+  }
+
+  /**
+   * Records a Code Quality finding for a failed test or hook, pointing at the location returned by
+   * {@link getFailureLocation}.
+   * @param {Object} test - The failed test or hook
+   * @param {Error} err - The error it failed with
+   * @returns {boolean} True if a finding was recorded, false if no file could be determined
+   */
+  addCodeQualityIssue(test, err) {
+    const location = this.getFailureLocation(test, err);
+    if (!location) {
+      debug('addCodeQualityIssue: No file found for failure, skipping:', test.title);
+      return false;
+    }
+
+    const testFile = this.getTestFile(test);
+    const { message } = this.getFailureDetails(err);
+    this._codeQualityIssues.push(
+      createIssue({
+        name: stripAnsi(test.title),
+        classname: stripAnsi(this.getClassname(test)),
+        file: testFile ? this.transformFilePath(testFile) : undefined,
+        message: stripAnsi(message),
+        // Hooks are reported with an error, whatever they failed with
+        isError: test.type === MOCHA_SERIALIZED.TYPE_HOOK || !isFailure(err, this._options.failureTypes),
+        location: {
+          path: location.path,
+          line: location.line ?? CODE_QUALITY.DEFAULT_LINE,
+        },
+      })
+    );
+    return true;
+  }
+
+  /**
+   * Cleans up a stack trace as configured by the "filterStack", "stackFilterPatterns" and "sourceMaps" options.
+   * @param {string} [stack] - The stack trace
+   * @returns {string|undefined} The stack trace
+   */
+  formatStack(stack) {
+    if (!this._options.filterStack && this._options.stackFilterPatterns.length === 0 && !this._sourceMaps) {
+      return stack;
+    }
+    return cleanStack(stack, {
+      removeInternals: !!this._options.filterStack,
+      patterns: this._options.stackFilterPatterns,
+      resolvePosition:
+        this._sourceMaps && ((file, line, column) => this._sourceMaps.resolvePosition(file, line, column)),
+    });
+  }
+
+  /**
+   * Reads the source lines around the line an error was thrown at, when the "sourceExcerpt" option is set.
+   * The line is taken from the innermost stack frame outside Node.js and `node_modules`.
+   * @param {Error} err - The error
+   * @returns {string|null} The excerpt, or null if there is no such frame or its file cannot be read
+   */
+  getSourceExcerpt(err) {
+    if (!this._options.sourceExcerpt) {
+      return null;
+    }
+    const frame = findTestFrame(parseStackFrames(this.formatStack(err.stack)));
+    if (!frame) {
+      return null;
+    }
+    return readSourceExcerpt(frame.file, frame.line, frame.column, {
+      contextLines: this._options.sourceExcerptLines,
+      displayPath: this.transformFilePath(frame.file),
+    });
+  }
+
+  /**
+   * Extracts the details reported for an error.
+   * Includes the diff and the source excerpt if available and filters out invalid XML characters.
+   * @param {Error} err - The error object from the failed test
+   * @returns {{message: string, type: string, details: string}} The error message, the error type,
+   *   and the stack trace followed by the diff and the source excerpt
+   */
+  getFailureDetails(err) {
     let message;
     if (err.message && typeof err.message.toString === 'function') {
       message = err.message.toString();
@@ -650,22 +1946,22 @@ class MochaGitLabReporter {
     } else {
       message = '';
     }
-    let failureMessage = err.stack || message;
+    let failureMessage = this.formatStack(err.stack) || message;
     if (!Base.hideDiff && err.expected !== undefined) {
       const oldUseColors = Base.useColors;
       Base.useColors = false;
       failureMessage += '\n' + Base.generateDiff(err.actual, err.expected);
       Base.useColors = oldUseColors;
     }
-    const failureElement = {
-      _attr: {
-        message: this.removeInvalidCharacters(message) || '',
-        type: err.name || '',
-      },
-      _cdata: this.removeInvalidCharacters(failureMessage),
+    const excerpt = this.getSourceExcerpt(err);
+    if (excerpt) {
+      failureMessage += '\n\n' + excerpt;
+    }
+    return {
+      message: this.removeInvalidCharacters(message) || '',
+      type: err.name || getErrorNameFromStack(err.stack),
+      details: this.removeInvalidCharacters(failureMessage),
     };
-
-    testcase.testcase.push({ failure: failureElement });
   }
 
   /**
@@ -686,20 +1982,247 @@ class MochaGitLabReporter {
 
   /**
    * Writes xml to disk and ouputs content if "toConsole" is set to true.
+   * When writing incrementally, the complete report replaces the partial one.
    * @param {Array.<Object>} testsuites - a list of xml configs
    */
   flush(testsuites) {
+    this._flushed = true;
+    const regressions = this._durationHistory ? this.checkDurations(testsuites) : [];
+    const runs = this._options.flakinessReports || this._quarantine ? this.getRunOutcomes(testsuites) : null;
+    const flakiness = this._options.flakinessReports ? this.checkFlakiness(testsuites, runs) : null;
+    const releasable = this._quarantine ? this.checkQuarantine(runs) : [];
     this._xml = this.getXml(testsuites);
 
     const reportFilename = this.formatReportFilename(this._xml, testsuites);
 
+    if (this._incrementalWriter) {
+      this._incrementalWriter.close();
+    }
+
     this.writeXmlToDisk(this._xml, reportFilename);
 
+    if (this._options.codeQualityFile) {
+      writeFile(this._options.codeQualityFile, formatCodeQualityReport(this._codeQualityIssues));
+      debug('flush: Wrote Code Quality report:', {
+        file: this._options.codeQualityFile,
+        issues: this._codeQualityIssues.length,
+      });
+    }
+
+    if (this._options.summaryFile) {
+      writeFile(
+        this._options.summaryFile,
+        buildMarkdownSummary(this._totals, testsuites, {
+          maxLength: this._options.summaryMaxLength,
+          linkBase: this.getBlobUrl(),
+        })
+      );
+      debug('flush: Wrote Markdown summary:', { file: this._options.summaryFile });
+    }
+
+    if (this._options.rerunFile) {
+      writeFile(this._options.rerunFile, formatRerunManifest(this._rerunFailures));
+      debug('flush: Wrote rerun manifest:', {
+        file: this._options.rerunFile,
+        failures: this._rerunFailures.length,
+      });
+    }
+
+    if (flakiness) {
+      writeFile(this._options.flakinessFile, formatFlakinessReport(flakiness.scores, flakiness.runs));
+      debug('flush: Wrote flaky testcases:', { file: this._options.flakinessFile, runs: flakiness.runs });
+    }
+
+    if (this._durationHistory) {
+      this._durationHistory.save();
+    }
+    if (regressions.length > 0 && this._consoleReporter) {
+      console.log(formatRegressionSummary(regressions) + '\n');
+    }
+    if (releasable.length > 0) {
+      console.log(formatReleasableSummary(releasable) + '\n');
+    }
+
+    if (this._incrementalWriter && this._incrementalWriter.filePath !== reportFilename) {
+      try {
+        fs.unlinkSync(this._incrementalWriter.filePath);
+      } catch (error) {
+        debug('flush: Could not remove incremental report file:', {
+          file: this._incrementalWriter.filePath,
+          errorMessage: error.message,
+        });
+      }
+    }
+
     if (this._options.toConsole === true) {
       console.log(this._xml);
     }
   }
 
+  /**
+   * Compares the duration of each testcase that ran with its durations in the "durationHistoryFile", and records
+   * it there. Testcases that got slower beyond the "durationRegressionFactor" and "durationRegressionMinTime"
+   * thresholds get a property and a system-out note. The history is saved by {@link flush}.
+   * @param {Array.<Object>} testsuites - a list of xml configs
+   * @returns {Array<{classname: string, name: string, time: number, median: number, ratio: number, runs: number}>}
+   *   The regressions
+   */
+  checkDurations(testsuites) {
+    const history = this._durationHistory.load();
+    const thresholds = {
+      factor: this._options.durationRegressionFactor,
+      minTime: this._options.durationRegressionMinTime / TIME_CONVERSION.MS_TO_SECONDS,
+    };
+    const regressions = [];
+    for (const suite of testsuites) {
+      for (const testcase of suite.testsuite.filter((node) => XML_ELEMENTS.TESTCASE in node)) {
+        const nodes = testcase.testcase;
+        if (nodes.some((node) => XML_ELEMENTS.SKIPPED in node)) {
+          continue;
+        }
+        const { classname, name, time } = nodes[0]._attr;
+        const regression = history.findRegression(classname, name, time, thresholds);
+        if (regression) {
+          this.appendProperties(nodes, [{ name: DURATION_HISTORY.PROPERTY, value: formatRatio(regression) }]);
+          this.appendOutputNote(testcase, XML_ELEMENTS.SYSTEM_OUT, formatRegression(regression));
+          regressions.push({ classname, name, ...regression });
+        }
+        history.record(classname, name, time);
+      }
+    }
+    debug('checkDurations: Checked durations:', { file: history.filePath, regressions: regressions.length });
+    return regressions;
+  }
+
+  /**
+   * Collects the outcomes of the testcases of this run, preceded by those of the previous runs in
+   * "flakinessReports", if set. Quarantined testcases that failed count as failed.
+   * @param {Array.<Object>} testsuites - a list of xml configs
+   * @returns {Array<Map<string, Object>>} The outcomes of each run, oldest first, see {@link collectOutcomes}
+   */
+  getRunOutcomes(testsuites) {
+    const currentRun = collectOutcomes(
+      getTestcaseNodes(testsuites).map((nodes) => ({
+        classname: nodes[0]._attr.classname,
+        name: nodes[0]._attr.name,
+        elementNames: nodes.slice(1).flatMap((node) => Object.keys(node)),
+        quarantined: nodes.some((node) => isQuarantineMessage(node[XML_ELEMENTS.SKIPPED]?._attr?.message)),
+      }))
+    );
+    if (!this._options.flakinessReports) {
+      return [currentRun];
+    }
+    // The report of this run may match the pattern, either finished by an earlier run or written incrementally
+    const exclude = [this._options.mochaFile, this._incrementalWriter?.filePath].filter(Boolean);
+    return [...readPreviousRuns(this._options.flakinessReports, { exclude }), currentRun];
+  }
+
+  /**
+   * Scores the flakiness of each testcase over the reports of previous runs in "flakinessReports"
+   * and this run, see {@link scoreFlakiness}. Testcases of this run whose outcome flipped get a property.
+   * @param {Array.<Object>} testsuites - a list of xml configs
+   * @param {Array<Map<string, Object>>} runs - The outcomes of each run, see {@link getRunOutcomes}
+   * @returns {{scores: Array<Object>, runs: number}} The scores, and the number of runs scored
+   */
+  checkFlakiness(testsuites, runs) {
+    const testcases = getTestcaseNodes(testsuites);
+    const scores = scoreFlakiness(runs);
+    const flakinessByKey = new Map(
+      scores.map((score) => [getTestcaseKey(score.classname, score.name), score.flakiness])
+    );
+    for (const nodes of testcases) {
+      const flakiness = flakinessByKey.get(getTestcaseKey(nodes[0]._attr.classname, nodes[0]._attr.name));
+      if (flakiness > 0) {
+        this.appendProperties(nodes, [{ name: FLAKINESS.PROPERTY, value: formatFlakiness(flakiness) }]);
+      }
+    }
+    debug('checkFlakiness: Scored flakiness:', { runs: runs.length, testcases: scores.length });
+    return { scores, runs: runs.length };
+  }
+
+  /**
+   * Finds the quarantined testcases that passed in this run and in the previous runs before it, up to
+   * "quarantinePasses" runs in a row, so that they can be taken out of the "quarantineFile".
+   * Runs in which a testcase didn't run or was skipped are not counted.
+   * @param {Array<Map<string, Object>>} runs - The outcomes of each run, see {@link getRunOutcomes}
+   * @returns {Array<{classname: string, name: string, passes: number, entry: Object}>} The testcases
+   */
+  checkQuarantine(runs) {
+    const releasable = [];
+    for (const [key, { classname, name, outcome }] of runs.at(-1)) {
+      const entry = outcome === FLAKINESS.PASSED ? findQuarantineEntry(this._quarantine, classname, name) : null;
+      if (!entry) {
+        continue;
+      }
+      let passes = 0;
+      for (const run of [...runs].reverse()) {
+        const previous = run.get(key)?.outcome;
+        if (previous === FLAKINESS.FAILED) {
+          break;
+        }
+        passes += Number(previous === FLAKINESS.PASSED);
+      }
+      if (passes >= this._options.quarantinePasses) {
+        releasable.push({ classname, name, passes, entry });
+      }
+    }
+    debug('checkQuarantine: Quarantined testcases passing:', { runs: runs.length, releasable: releasable.length });
+    return releasable;
+  }
+
+  /**
+   * Determines the URL under which files of the tested commit are shown in GitLab: the "blobUrl" option,
+   * or else the URL derived from the predefined CI/CD variables.
+   * @returns {string|undefined} The URL, or undefined when not set and not running in GitLab CI
+   */
+  getBlobUrl() {
+    if (this._options.blobUrl) {
+      return this._options.blobUrl;
+    }
+    const projectUrl = process.env[ENV_VARS.CI_PROJECT_URL];
+    const commitSha = process.env[ENV_VARS.CI_COMMIT_SHA];
+    if (!projectUrl || !commitSha) {
+      return undefined;
+    }
+    return `${projectUrl}/-/blob/${commitSha}`;
+  }
+
+  /**
+   * Determines the file the incremental report is written to while the run is in progress.
+   * Placeholders cannot be resolved until the run has finished, so each is replaced by a fixed value.
+   * @returns {string} the incremental report filename
+   */
+  getIncrementalFilename() {
+    let reportFilename = this._options.mochaFile;
+    for (const placeholder of Object.values(PLACEHOLDERS)) {
+      reportFilename = reportFilename.replace(placeholder, INCREMENTAL_PLACEHOLDER_VALUE);
+    }
+    return reportFilename;
+  }
+
+  /**
+   * Builds the attributes of a testsuite as written to the incremental report, with its totals so far,
+   * so that a report left by an aborted run has totals that match its testcases.
+   * @param {Array<Object>} testsuite - the testsuite xml config
+   * @returns {Object} the attributes of the `<testsuite>` element
+   */
+  getIncrementalTestsuiteAttributes(testsuite) {
+    const _attr = testsuite[0]._attr;
+    const { failures, errors, skipped } = countTestcaseResults(testsuite);
+    const attributes = { ..._attr, timestamp: formatTimestamp(this._Date, _attr.timestamp) };
+    if (typeof _attr.time === 'number') {
+      attributes.time = (_attr.time / TIME_CONVERSION.MS_TO_SECONDS).toFixed(TIME_CONVERSION.DECIMAL_PLACES);
+    }
+    attributes.failures = failures;
+    if (errors) {
+      attributes.errors = errors;
+    }
+    if (skipped) {
+      attributes.skipped = skipped;
+    }
+    return attributes;
+  }
+
   /**
    * Formats the report filename by replacing placeholders
    * @param {string} xml - xml string
@@ -739,38 +2262,52 @@ class MochaGitLabReporter {
    */
   getXml(testsuites) {
     let totalTests = 0;
+    let totalFailures = 0;
+    let totalErrors = 0;
+    let totalSkipped = 0;
     const stats = this._runner.stats;
     const LocalDate = this._Date;
 
+    if (this._options.includeTags.length > 0 || this._options.excludeTags.length > 0) {
+      // Suites whose tests were all left out by their tags
+      testsuites = testsuites.filter(
+        (suite) => suite.testsuite[0]._attr.tests > 0 || suite.testsuite.some((node) => XML_ELEMENTS.TESTCASE in node)
+      );
+    }
+
     for (const suite of testsuites) {
       const _suiteAttr = suite.testsuite[0]._attr;
-      // testsuite is an array: [attrs, testcase, testcase, …]
+      // testsuite is an array: [attrs, testcase, testcase, …, system-out?, system-err?]
       // grab test cases starting from index 1
-      const _cases = suite.testsuite.slice(1);
+      const _cases = suite.testsuite.slice(1).filter((node) => XML_ELEMENTS.TESTCASE in node);
 
       // suiteTime has unrounded time as a Number of milliseconds
       const suiteTime = _suiteAttr.time;
 
       _suiteAttr.time = (suiteTime / TIME_CONVERSION.MS_TO_SECONDS || 0).toFixed(TIME_CONVERSION.DECIMAL_PLACES);
-      _suiteAttr.timestamp = new LocalDate(_suiteAttr.timestamp).toISOString().slice(0, -5);
-      _suiteAttr.failures = 0;
-      _suiteAttr.skipped = 0;
+      _suiteAttr.timestamp = formatTimestamp(LocalDate, _suiteAttr.timestamp);
+      Object.assign(_suiteAttr, countTestcaseResults(suite.testsuite));
 
       for (const testcase of _cases) {
-        const lastNode = testcase.testcase.at(-1);
-
-        _suiteAttr.skipped += Number('skipped' in lastNode);
-        _suiteAttr.failures += Number('failure' in lastNode);
-        if (typeof testcase.testcase[0]._attr.time === 'number') {
-          testcase.testcase[0]._attr.time = testcase.testcase[0]._attr.time.toFixed(TIME_CONVERSION.DECIMAL_PLACES);
-        }
+        testcase.testcase[0]._attr.time = formatSeconds(testcase.testcase[0]._attr.time);
       }
 
+      totalTests += _suiteAttr.tests;
+      totalFailures += _suiteAttr.failures;
+      totalErrors += _suiteAttr.errors;
+      totalSkipped += _suiteAttr.skipped;
+
+      if (!_suiteAttr.errors) {
+        delete _suiteAttr.errors;
+      }
       if (!_suiteAttr.skipped) {
         delete _suiteAttr.skipped;
       }
+    }
 
-      totalTests += _suiteAttr.tests;
+    // Pending tests are always skipped, but only in the report with includePending
+    if (!this._options.includePending) {
+      totalSkipped += (stats.pending || 0) - this._excludedPending;
     }
 
     const rootSuite = {
@@ -778,11 +2315,19 @@ class MochaGitLabReporter {
         name: DEFAULTS.ROOT_TESTSUITES_NAME,
         time: (stats.duration / TIME_CONVERSION.MS_TO_SECONDS || 0).toFixed(TIME_CONVERSION.DECIMAL_PLACES),
         tests: totalTests,
-        failures: stats.failures,
+        failures: totalFailures,
       },
     };
-    if (stats.pending) {
-      rootSuite._attr.skipped = stats.pending;
+    if (totalErrors) {
+      rootSuite._attr.errors = totalErrors;
+    }
+    if (totalSkipped) {
+      rootSuite._attr.skipped = totalSkipped;
+    }
+    // the totals are also needed for the Markdown summary
+    this._totals = rootSuite._attr;
+    if (this._rootProperties.length > 0) {
+      testsuites = [formatProperties(this._rootProperties)].concat(testsuites);
     }
     testsuites = [rootSuite].concat(testsuites);
 
@@ -839,3 +2384,13 @@ module.exports = MochaGitLabReporter;
 
 // Re-export XML builder for testing
 module.exports.toXml = require('./lib/xml-builder').toXml;
+
+// Converter for Mocha's JSON reporter output
+module.exports.convertJsonReport = require('./lib/json-converter').convertJsonReport;
+
+// Helpers for tests to add attachments
+module.exports.attach = require('./lib/attachments').attach;
+module.exports.attachText = require('./lib/attachments').attachText;
+
+// Helper for tests to add properties
+module.exports.setProperty = require('./lib/properties').setProperty;
@@ -0,0 +1,82 @@
+'use strict';
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Parses command line arguments.
+ * Supports `--name value`, `--name=value`, short aliases (`-o value`), boolean flags,
+ * repeatable options and `--` to end option parsing.
+ * @param {string[]} argv - The arguments, without the node executable and script path
+ * @param {Object<string, {type: string, short?: string, multiple?: boolean}>} spec - The accepted options,
+ *   keyed by long name. `type` is `'string'` or `'boolean'`.
+ * @returns {{values: Object, positionals: string[]}} The option values and the remaining arguments
+ * @throws {TypeError} If an unknown option is given or a string option has no value
+ * @example
+ * parseArgs(['-o', 'out.xml', 'a.xml'], { output: { type: 'string', short: 'o' } })
+ * // Returns: {values: {output: 'out.xml'}, positionals: ['a.xml']}
+ */
+function parseArgs(argv, spec) {
+  const values = {};
+  const positionals = [];
+  const shortNames = {};
+  for (const [name, option] of Object.entries(spec)) {
+    if (option.short) {
+      shortNames[option.short] = name;
+    }
+    if (option.multiple) {
+      values[name] = [];
+    }
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name;
+    let value;
+    if (arg.startsWith('--')) {
+      const equals = arg.indexOf('=');
+      name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+      value = equals === -1 ? undefined : arg.slice(equals + 1);
+    } else {
+      name = shortNames[arg.slice(1)];
+    }
+
+    const option = spec[name];
+    if (!option) {
+      throw new TypeError(`Unknown option: ${arg}`);
+    }
+
+    if (option.type === 'boolean') {
+      values[name] = value === undefined ? true : value !== 'false';
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) {
+        throw new TypeError(`Option ${arg} requires a value`);
+      }
+    }
+    if (option.multiple) {
+      values[name].push(value);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return { values, positionals };
+}
+
+module.exports = {
+  parseArgs,
+};
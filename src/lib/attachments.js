@@ -0,0 +1,133 @@
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nodeCrypto = require('node:crypto');
+const debug = require('debug')('mocha-gitlab-reporter:attachments');
+const { FILE_CONSTANTS, MOCHA_SERIALIZED } = require('../constants');
+
+// Directory that attach() writes to, set by the reporter while a run with attachmentsDir is in progress
+let attachmentsDirectory = null;
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Computes the name under which content is stored.
+ * @param {Buffer} content - The content
+ * @returns {string} The hash of the content
+ */
+function hashContent(content) {
+  return nodeCrypto.createHash(FILE_CONSTANTS.HASH_ALGORITHM).update(content).digest(FILE_CONSTANTS.HASH_DIGEST);
+}
+
+/**
+ * Stores a copy of an attachment in a directory, named after the hash of its content.
+ * Attachments with the same content are stored once. The file is copied rather than hard-linked,
+ * as tests commonly overwrite a screenshot or log in place, which would change a linked copy too;
+ * where the file system supports it, the copy is a copy-on-write clone.
+ * @param {string} filePath - Path of the attachment
+ * @param {string} directory - Directory to store the attachment in
+ * @returns {string} Path of the stored copy
+ * @throws {Error} If the attachment cannot be read or stored, e.g. with code `ENOENT` if it doesn't exist
+ */
+function storeAttachment(filePath, directory) {
+  const destination = path.join(directory, hashContent(fs.readFileSync(filePath)) + path.extname(filePath));
+
+  if (fs.existsSync(destination)) {
+    debug('storeAttachment: Attachment is already stored:', { filePath, destination });
+    return destination;
+  }
+  fs.mkdirSync(directory, { recursive: true });
+  fs.copyFileSync(filePath, destination, fs.constants.COPYFILE_FICLONE);
+  debug('storeAttachment: Stored attachment:', { filePath, destination });
+  return destination;
+}
+
+/**
+ * Sets the directory {@link attach} writes to.
+ * @param {string|null} directory - The directory, or null for a directory in the system's temporary directory
+ */
+function setAttachmentsDirectory(directory) {
+  attachmentsDirectory = directory;
+}
+
+/**
+ * Returns the directory {@link attach} writes to.
+ * @returns {string}
+ */
+function getAttachmentsDirectory() {
+  return attachmentsDirectory ?? path.join(os.tmpdir(), FILE_CONSTANTS.ATTACHMENTS_TMP_DIR);
+}
+
+/**
+ * Attaches content to a test. The content is written to the attachments directory, and its path is added
+ * to the test's `attachments`, which the reporter includes in the report when the "attachments" option is set.
+ *
+ * The file keeps the given name, in a directory named after the hash of the content.
+ * @param {Object} test - The test, or the Mocha context (`this`) of a test or hook; in a hook,
+ *   the content is attached to the current test
+ * @param {Buffer|Uint8Array|string} content - The content, or the path of a file to attach a copy of
+ * @param {string} [name] - The file name; required for content, defaults to the file's name for a path
+ * @returns {string} The path of the attachment
+ * @throws {TypeError} If no test is given or content is given without a name
+ * @example
+ * it('returns the user', async function () {
+ *   const response = await fetch(url);
+ *   attach(this, Buffer.from(await response.arrayBuffer()), 'response.json');
+ * });
+ */
+function attach(test, content, name) {
+  // A context's `test` is the running test or hook; in a hook, `currentTest` is the test it runs for
+  const runnable = test?.test ?? test;
+  const target = runnable?.type === MOCHA_SERIALIZED.TYPE_HOOK ? (test.currentTest ?? runnable) : runnable;
+  if (!target || typeof target !== 'object') {
+    throw new TypeError('attach: expected a test or a Mocha context');
+  }
+  if (typeof content === 'string') {
+    name = name ?? path.basename(content);
+    content = fs.readFileSync(content);
+  } else if (!name) {
+    throw new TypeError('attach: a name is required when attaching content');
+  }
+
+  const buffer = Buffer.from(content);
+  const directory = path.join(getAttachmentsDirectory(), hashContent(buffer));
+  // Only the base name is used, so the file can't end up outside the attachments directory
+  const filePath = path.join(directory, path.basename(name));
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(filePath, buffer);
+  }
+
+  if (!Array.isArray(target.attachments)) {
+    target.attachments = [];
+  }
+  target.attachments.push(filePath);
+  debug('attach: Attached file:', { test: target.title, filePath });
+  return filePath;
+}
+
+/**
+ * Attaches text to a test, see {@link attach}.
+ * @param {Object} test - The test, or the Mocha context (`this`) of a test or hook
+ * @param {string} text - The text
+ * @param {string} name - The file name
+ * @returns {string} The path of the attachment
+ * @throws {TypeError} If no test or name is given
+ * @example
+ * attachText(this, JSON.stringify(payload, null, 2), 'payload.json');
+ */
+function attachText(test, text, name) {
+  return attach(test, Buffer.from(String(text), FILE_CONSTANTS.ENCODING), name);
+}
+
+module.exports = {
+  storeAttachment,
+  setAttachmentsDirectory,
+  getAttachmentsDirectory,
+  attach,
+  attachText,
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Builds the URL of a file, and optionally a line, in GitLab's repository file view.
+ * @param {string} base - URL of the repository files at a commit, e.g. `https://gitlab.com/group/project/-/blob/<sha>`
+ * @param {string} file - The file, relative to the project root
+ * @param {number} [line] - The line to link to, starting at 1
+ * @returns {string} The URL
+ * @example
+ * buildBlobUrl('https://gitlab.com/group/project/-/blob/abc123', 'test/a b.spec.js', 12)
+ * // Returns: 'https://gitlab.com/group/project/-/blob/abc123/test/a%20b.spec.js#L12'
+ */
+function buildBlobUrl(base, file, line) {
+  const filePath = file.split(/[\\/]/).filter(Boolean).map(encodeURIComponent).join('/');
+  const url = `${base.replace(/\/+$/, '')}/${filePath}`;
+  return line ? `${url}#L${line}` : url;
+}
+
+module.exports = {
+  buildBlobUrl,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const nodeCrypto = require('node:crypto');
+const { CODE_QUALITY, FILE_CONSTANTS } = require('../constants');
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Computes a fingerprint that stays the same for the same test across runs,
+ * so GitLab can tell new findings from existing ones.
+ * @param {...string} parts - Values identifying the finding
+ * @returns {string} The fingerprint, a hex digest
+ */
+function createFingerprint(...parts) {
+  return nodeCrypto
+    .createHash(FILE_CONSTANTS.HASH_ALGORITHM)
+    .update(parts.join('\u0000'), FILE_CONSTANTS.ENCODING)
+    .digest(FILE_CONSTANTS.HASH_DIGEST);
+}
+
+/**
+ * Creates a Code Quality finding for a failed test.
+ * The fingerprint is derived from the test's file, classname and name, so it doesn't change
+ * when the failure message or line does.
+ * @param {Object} failure - The failed test
+ * @param {string} failure.name - The testcase name
+ * @param {string} failure.classname - The testcase classname
+ * @param {string} [failure.file] - The testcase file, as reported in the JUnit report
+ * @param {string} failure.message - The error message
+ * @param {boolean} failure.isError - Whether the test failed with an error rather than a failed assertion
+ * @param {{path: string, line: number}} failure.location - Where the test failed
+ * @returns {Object} The finding, in the GitLab Code Quality format
+ */
+function createIssue(failure) {
+  const checkName = failure.isError ? CODE_QUALITY.CHECK_NAME_ERROR : CODE_QUALITY.CHECK_NAME_FAILURE;
+  const title = [failure.classname, failure.name].filter(Boolean).join(' ');
+  const message = failure.message.split('\n')[0];
+
+  return {
+    description: message ? `${title}: ${message}` : title,
+    check_name: checkName,
+    fingerprint: createFingerprint(checkName, failure.file ?? failure.location.path, failure.classname, failure.name),
+    severity: failure.isError ? CODE_QUALITY.SEVERITY_ERROR : CODE_QUALITY.SEVERITY_FAILURE,
+    location: {
+      path: failure.location.path,
+      lines: { begin: failure.location.line },
+    },
+  };
+}
+
+/**
+ * Serializes findings into a Code Quality report.
+ * @param {Array<Object>} issues - Findings created by {@link createIssue}
+ * @returns {string} The report, a JSON array
+ */
+function formatCodeQualityReport(issues) {
+  return JSON.stringify(issues, null, 2) + '\n';
+}
+
+module.exports = {
+  createFingerprint,
+  createIssue,
+  formatCodeQualityReport,
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+const debug = require('debug')('mocha-gitlab-reporter:console-capture');
+
+const STREAM_NAMES = ['stdout', 'stderr'];
+
+/**
+ * Converts a chunk passed to `stream.write` into a string.
+ * @param {string|Buffer|Uint8Array} chunk - The chunk
+ * @param {string|Function} [encoding] - The encoding of a string chunk, or the write callback
+ * @returns {string}
+ */
+function chunkToString(chunk, encoding) {
+  if (typeof chunk === 'string') {
+    return chunk;
+  }
+  if (chunk instanceof Uint8Array) {
+    return Buffer.from(chunk).toString(typeof encoding === 'string' && Buffer.isEncoding(encoding) ? encoding : 'utf8');
+  }
+  return String(chunk);
+}
+
+/**
+ * Captures what is written to `process.stdout` and `process.stderr` and attributes it to a target,
+ * such as the running test or the suite whose hook is running.
+ *
+ * `console.*` writes to the same streams, so it is captured as well. Written output still reaches
+ * the terminal; the capture only keeps a copy. Each stream keeps at most `limit` characters per target,
+ * and a note with the number of dropped characters is added when output is truncated.
+ */
+class ConsoleCapture {
+  /**
+   * @param {Object} [options] - Capture options
+   * @param {number} [options.limit] - Maximum number of characters kept per stream and target (default: no limit)
+   * @param {{stdout: Object, stderr: Object}} [options.streams] - The streams to capture (default: the process streams)
+   */
+  constructor(options = {}) {
+    this._limit = options.limit > 0 ? options.limit : Infinity;
+    this._streams = options.streams ?? { stdout: process.stdout, stderr: process.stderr };
+    this._originalWrites = null;
+    this._target = null;
+    this._buffers = new WeakMap();
+  }
+
+  /**
+   * Whether the streams are currently patched.
+   * @returns {boolean}
+   */
+  get isInstalled() {
+    return this._originalWrites !== null;
+  }
+
+  /**
+   * Patches the streams so that writes are recorded. Does nothing if already installed.
+   */
+  install() {
+    if (this.isInstalled) {
+      return;
+    }
+    this._originalWrites = {};
+    for (const name of STREAM_NAMES) {
+      const stream = this._streams[name];
+      const originalWrite = stream.write;
+      this._originalWrites[name] = originalWrite;
+      const capture = this;
+      stream.write = function (chunk, encoding) {
+        capture._record(name, chunkToString(chunk, encoding));
+        return originalWrite.apply(this, arguments);
+      };
+    }
+    debug('install: Capturing process output');
+  }
+
+  /**
+   * Restores the original stream methods and stops attributing output. Captured output is kept.
+   */
+  restore() {
+    if (!this.isInstalled) {
+      return;
+    }
+    for (const name of STREAM_NAMES) {
+      this._streams[name].write = this._originalWrites[name];
+    }
+    this._originalWrites = null;
+    this._target = null;
+    debug('restore: Stopped capturing process output');
+  }
+
+  /**
+   * Attributes subsequent output to a target, until {@link stop} or the next call to `start`.
+   * @param {Object} target - The object the output belongs to, e.g. a test or a suite
+   */
+  start(target) {
+    this._target = target;
+  }
+
+  /**
+   * Stops attributing output. Output written while no target is set is not captured.
+   */
+  stop() {
+    this._target = null;
+  }
+
+  /**
+   * Returns the output captured for a target.
+   * @param {Object} target - The target passed to {@link start}
+   * @returns {{stdout: string, stderr: string}} The captured output of each stream, empty if there was none
+   */
+  get(target) {
+    const buffers = this._buffers.get(target);
+    const output = { stdout: '', stderr: '' };
+    if (buffers) {
+      for (const name of STREAM_NAMES) {
+        const { text, dropped } = buffers[name];
+        output[name] = dropped > 0 ? `${text}\n[truncated ${dropped} characters]` : text;
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Records a write for the current target.
+   * @param {string} name - The stream name
+   * @param {string} text - The written text
+   */
+  _record(name, text) {
+    if (!this._target || text.length === 0) {
+      return;
+    }
+    let buffers = this._buffers.get(this._target);
+    if (!buffers) {
+      buffers = { stdout: { text: '', dropped: 0 }, stderr: { text: '', dropped: 0 } };
+      this._buffers.set(this._target, buffers);
+    }
+    const buffer = buffers[name];
+    const room = Math.max(this._limit - buffer.text.length, 0);
+    buffer.text += text.slice(0, room);
+    buffer.dropped += Math.max(text.length - room, 0);
+  }
+}
+
+module.exports = {
+  ConsoleCapture,
+};
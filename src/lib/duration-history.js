@@ -0,0 +1,206 @@
+'use strict';
+
+const fs = require('node:fs');
+const debug = require('debug')('mocha-gitlab-reporter:duration-history');
+const { writeFile, readFile } = require('./files');
+const { DEFAULTS, DURATION_HISTORY, TIME_CONVERSION } = require('../constants');
+
+/**
+ * Computes the median of a list of numbers.
+ * @param {number[]} values - The numbers, at least one
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Formats a duration in seconds.
+ * @param {number} seconds - The duration
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  return `${seconds.toFixed(TIME_CONVERSION.DECIMAL_PLACES)}s`;
+}
+
+/**
+ * Formats how much slower a testcase got, e.g. `6.3x`.
+ * @param {{ratio: number}} regression - A regression returned by {@link DurationHistory#findRegression}
+ * @returns {string}
+ */
+function formatRatio(regression) {
+  return `${regression.ratio.toFixed(1)}x`;
+}
+
+/**
+ * Describes a duration regression of a testcase.
+ * @param {{time: number, median: number, ratio: number, runs: number}} regression - A regression returned by
+ *   {@link DurationHistory#findRegression}
+ * @returns {string} The description
+ * @example
+ * formatRegression({ time: 1.25, median: 0.198, ratio: 6.31, runs: 5 })
+ * // Returns: 'Duration regression: took 1.250s, 6.3x the median of 0.198s over the last 5 runs'
+ */
+function formatRegression(regression) {
+  return (
+    `Duration regression: took ${formatDuration(regression.time)}, ${formatRatio(regression)} ` +
+    `the median of ${formatDuration(regression.median)} over the last ${regression.runs} runs`
+  );
+}
+
+/**
+ * Summarizes the worst duration regressions of a run for the console, most regressed first.
+ * @param {Array<{classname: string, name: string, time: number, median: number, ratio: number}>} regressions
+ *   The regressions
+ * @param {number} [limit] - Maximum number of regressions listed (default: DURATION_HISTORY.SUMMARY_LIMIT)
+ * @returns {string} The summary
+ */
+function formatRegressionSummary(regressions, limit = DURATION_HISTORY.SUMMARY_LIMIT) {
+  const worst = [...regressions].sort((a, b) => b.ratio - a.ratio);
+  const lines = [`  Duration regressions (${regressions.length}):`, ''];
+  for (const regression of worst.slice(0, limit)) {
+    const title = [regression.classname, regression.name].filter(Boolean).join(' ');
+    lines.push(
+      `    ${formatRatio(regression).padStart(6)}  ${title}: ` +
+        `${formatDuration(regression.time)}, median ${formatDuration(regression.median)}`
+    );
+  }
+  if (worst.length > limit) {
+    lines.push(`    … and ${worst.length - limit} more`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Keeps the durations of testcases over previous runs in a JSON file, to detect tests that became slower.
+ *
+ * The file is meant to be cached between pipelines. It holds the last durations of each testcase,
+ * by classname and name, in seconds:
+ * `{"version": 1, "testcases": {"<classname>": {"<name>": [0.12, 0.11, 0.13]}}}`.
+ * A testcase's duration is compared with the median of its previous durations, once there are enough of them.
+ */
+class DurationHistory {
+  /**
+   * @param {string} filePath - Path of the history file
+   * @param {Object} [options] - History options
+   * @param {number} [options.size] - Number of durations kept per testcase (default: DEFAULTS.DURATION_HISTORY_SIZE)
+   */
+  constructor(filePath, options = {}) {
+    this._filePath = filePath;
+    this._size = options.size > 0 ? options.size : DEFAULTS.DURATION_HISTORY_SIZE;
+    // Durations by classname and name
+    this._testcases = new Map();
+  }
+
+  /**
+   * @returns {string} Path of the history file
+   */
+  get filePath() {
+    return this._filePath;
+  }
+
+  /**
+   * Reads the history file. A missing file starts an empty history, and so does an unreadable one,
+   * so a broken cache never fails a run.
+   * @returns {DurationHistory} This history
+   */
+  load() {
+    this._testcases = new Map();
+    if (!fs.existsSync(this._filePath)) {
+      debug('load: No history file yet:', this._filePath);
+      return this;
+    }
+    try {
+      const history = JSON.parse(readFile(this._filePath));
+      if (
+        history?.version !== DURATION_HISTORY.VERSION ||
+        !history.testcases ||
+        typeof history.testcases !== 'object'
+      ) {
+        debug('load: Ignoring history file of an unknown format:', this._filePath);
+        return this;
+      }
+      for (const [classname, names] of Object.entries(history.testcases)) {
+        if (names && typeof names === 'object') {
+          this._testcases.set(classname, new Map(Object.entries(names)));
+        }
+      }
+    } catch (error) {
+      debug('load: Could not read history file:', { filePath: this._filePath, error: error.message });
+    }
+    return this;
+  }
+
+  /**
+   * Returns the previous durations of a testcase.
+   * @param {string} classname - The testcase classname
+   * @param {string} name - The testcase name
+   * @returns {number[]} The durations in seconds, oldest first
+   */
+  getDurations(classname, name) {
+    const durations = this._testcases.get(classname)?.get(name);
+    return Array.isArray(durations) ? durations.filter((duration) => Number.isFinite(duration)) : [];
+  }
+
+  /**
+   * Checks whether a testcase took much longer than it used to.
+   * @param {string} classname - The testcase classname
+   * @param {string} name - The testcase name
+   * @param {number} time - The duration of the testcase in this run, in seconds
+   * @param {Object} thresholds - When a duration counts as a regression
+   * @param {number} thresholds.factor - Minimum ratio of the duration to the median of the previous durations
+   * @param {number} thresholds.minTime - Minimum increase over the median, in seconds
+   * @returns {{time: number, median: number, ratio: number, runs: number}|null} The regression, or null if
+   *   the duration is within the thresholds or there are too few previous durations to tell
+   */
+  findRegression(classname, name, time, thresholds) {
+    const durations = this.getDurations(classname, name);
+    if (durations.length < DURATION_HISTORY.MIN_RUNS) {
+      return null;
+    }
+    const baseline = median(durations);
+    if (time < baseline * thresholds.factor || time - baseline < thresholds.minTime) {
+      return null;
+    }
+    return {
+      time,
+      median: baseline,
+      ratio: time / Math.max(baseline, DURATION_HISTORY.RESOLUTION),
+      runs: durations.length,
+    };
+  }
+
+  /**
+   * Adds the duration of a testcase in this run, dropping its oldest durations beyond the history size.
+   * @param {string} classname - The testcase classname
+   * @param {string} name - The testcase name
+   * @param {number} time - The duration in seconds
+   */
+  record(classname, name, time) {
+    if (!this._testcases.has(classname)) {
+      this._testcases.set(classname, new Map());
+    }
+    this._testcases.get(classname).set(name, [...this.getDurations(classname, name), time].slice(-this._size));
+  }
+
+  /**
+   * Writes the history file.
+   * @throws {Error} If the file cannot be written
+   */
+  save() {
+    const testcases = Object.fromEntries(
+      [...this._testcases].map(([classname, names]) => [classname, Object.fromEntries(names)])
+    );
+    writeFile(this._filePath, JSON.stringify({ version: DURATION_HISTORY.VERSION, testcases }, null, 2) + '\n');
+    debug('save: Wrote history file:', this._filePath);
+  }
+}
+
+module.exports = {
+  DurationHistory,
+  formatRatio,
+  formatRegression,
+  formatRegressionSummary,
+};
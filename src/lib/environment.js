@@ -0,0 +1,81 @@
+'use strict';
+
+const os = require('node:os');
+const debug = require('debug')('mocha-gitlab-reporter:environment');
+const { ENVIRONMENT } = require('../constants');
+
+// Names of environment variables that may be recorded
+const ENV_VAR_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Resolves the names of the environment properties to record from the option value.
+ * @param {boolean|string|string[]} value - The environmentProperties option: true for the default
+ *   properties, or a list of property and environment variable names
+ * @returns {string[]} The names, empty if the option is off
+ * @throws {TypeError} If a name is neither a known property nor an environment variable name
+ */
+function parseEnvironmentProperties(value) {
+  if (value === true || value === 'true') {
+    return [...ENVIRONMENT.DEFAULT_PROPERTIES];
+  }
+  if (!value || value === 'false') {
+    return [];
+  }
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  const names = entries.map((entry) => String(entry).trim()).filter(Boolean);
+  const builtIn = new Set([
+    ENVIRONMENT.NODE_VERSION,
+    ENVIRONMENT.MOCHA_VERSION,
+    ENVIRONMENT.HOSTNAME,
+    ENVIRONMENT.PLATFORM,
+  ]);
+  for (const name of names) {
+    // Only exact variable names are accepted, so a pattern can't pick up secrets by accident
+    if (!builtIn.has(name) && !ENV_VAR_NAME_REGEX.test(name)) {
+      throw new TypeError(`environmentProperties must list environment variable names, got: ${name}`);
+    }
+  }
+  return names;
+}
+
+/**
+ * Collects properties describing the environment of the run: environment variables such as
+ * GitLab's predefined `CI_COMMIT_SHA`, and the Node.js and Mocha versions, hostname and platform.
+ * Only the listed names are recorded; variables that aren't set are left out.
+ * @param {string[]} names - Names returned by {@link parseEnvironmentProperties}
+ * @param {Object} [options] - Options
+ * @param {Object} [options.env] - The environment variables (default: `process.env`)
+ * @param {string} [options.mochaVersion] - The Mocha version, left out if unknown
+ * @returns {Array<{name: string, value: string}>} The properties
+ */
+function getEnvironmentProperties(names, options = {}) {
+  const env = options.env ?? process.env;
+  const builtIn = {
+    [ENVIRONMENT.NODE_VERSION]: () => process.versions.node,
+    [ENVIRONMENT.MOCHA_VERSION]: () => options.mochaVersion,
+    [ENVIRONMENT.HOSTNAME]: () => os.hostname(),
+    [ENVIRONMENT.PLATFORM]: () => process.platform,
+  };
+
+  const properties = [];
+  for (const name of names) {
+    const value = Object.prototype.hasOwnProperty.call(builtIn, name) ? builtIn[name]() : env[name];
+    if (value !== undefined && value !== '') {
+      properties.push({ name, value: String(value) });
+    }
+  }
+  debug(
+    'getEnvironmentProperties: Collected properties:',
+    properties.map(({ name }) => name)
+  );
+  return properties;
+}
+
+module.exports = {
+  parseEnvironmentProperties,
+  getEnvironmentProperties,
+};
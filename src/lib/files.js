@@ -0,0 +1,45 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const debug = require('debug')('mocha-gitlab-reporter:files');
+const { FILE_CONSTANTS } = require('../constants');
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Writes a file, creating its directory if it doesn't exist.
+ * @param {string} filePath - Path of the file to write
+ * @param {string} content - The file content
+ * @throws {Error} If the file cannot be written
+ */
+function writeFile(filePath, content) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content, FILE_CONSTANTS.ENCODING);
+    debug('writeFile: Wrote file:', { filePath, size: content.length });
+  } catch (error) {
+    throw new Error(`Failed to write ${filePath}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Reads a text file.
+ * @param {string} filePath - Path of the file to read
+ * @returns {string} The file content
+ * @throws {Error} If the file cannot be read
+ */
+function readFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, FILE_CONSTANTS.ENCODING);
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`, { cause: error });
+  }
+}
+
+module.exports = {
+  writeFile,
+  readFile,
+};
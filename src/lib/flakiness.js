@@ -0,0 +1,195 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const debug = require('debug')('mocha-gitlab-reporter:flakiness');
+const { expandGlob } = require('./glob');
+const { readFile } = require('./files');
+const { parseXml, getChildren } = require('./xml-parser');
+const { getTestsuites } = require('./report-merger');
+const { isQuarantineMessage } = require('./quarantine');
+const { FLAKINESS, XML_ELEMENTS } = require('../constants');
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Identifies a testcase across runs by its classname and name.
+ * @param {string} classname - The testcase classname
+ * @param {string} name - The testcase name
+ * @returns {string} The key
+ */
+function getTestcaseKey(classname, name) {
+  return JSON.stringify([classname, name]);
+}
+
+/**
+ * Determines the outcome of a testcase from its child elements.
+ * @param {string[]} elementNames - The tag names of the testcase's child elements
+ * @param {boolean} [quarantined] - Whether the testcase was skipped because it failed while quarantined
+ * @returns {string|null} FLAKINESS.FAILED or FLAKINESS.PASSED, or null for a skipped testcase
+ */
+function getOutcome(elementNames, quarantined) {
+  if (quarantined) {
+    return FLAKINESS.FAILED;
+  }
+  if (elementNames.includes(XML_ELEMENTS.SKIPPED)) {
+    return null;
+  }
+  if (elementNames.includes(XML_ELEMENTS.FAILURE) || elementNames.includes(XML_ELEMENTS.ERROR)) {
+    return FLAKINESS.FAILED;
+  }
+  return FLAKINESS.PASSED;
+}
+
+/**
+ * Collects the outcomes of the testcases of a run, by classname and name.
+ * A testcase that appears more than once in a run failed if any of its occurrences failed,
+ * and a quarantined testcase that failed counts as failed even though it is reported as skipped.
+ * @param {Iterable<{classname: string, name: string, elementNames: string[], quarantined?: boolean}>} testcases
+ *   The testcases, with the tag names of their child elements
+ * @returns {Map<string, {classname: string, name: string, outcome: string}>} The outcomes of the testcases
+ *   that weren't skipped
+ */
+function collectOutcomes(testcases) {
+  const outcomes = new Map();
+  for (const { classname, name, elementNames, quarantined } of testcases) {
+    const outcome = getOutcome(elementNames, quarantined);
+    const key = getTestcaseKey(classname, name);
+    if (outcome && outcomes.get(key)?.outcome !== FLAKINESS.FAILED) {
+      outcomes.set(key, { classname, name, outcome });
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Collects the outcomes of the testcases of a parsed report, see {@link collectOutcomes}.
+ * @param {Object} root - The root element returned by `parseXml`
+ * @returns {Map<string, {classname: string, name: string, outcome: string}>} The outcomes
+ * @throws {TypeError} If the report is not a JUnit report
+ */
+function readOutcomes(root) {
+  return collectOutcomes(
+    getTestsuites(root).flatMap((testsuite) =>
+      getChildren(testsuite, XML_ELEMENTS.TESTCASE).map((testcase) => ({
+        classname: testcase.attributes.classname ?? '',
+        name: testcase.attributes.name ?? '',
+        elementNames: testcase.children.map((child) => child.name),
+        quarantined: getChildren(testcase, XML_ELEMENTS.SKIPPED).some((skipped) =>
+          isQuarantineMessage(skipped.attributes.message)
+        ),
+      }))
+    )
+  );
+}
+
+/**
+ * Reads the outcomes of previous runs from their reports, oldest first.
+ * Runs are ordered by the earliest testsuite timestamp of their report, then by file name.
+ * Reports that cannot be read or aren't JUnit reports are skipped, as caches and artifacts may hold other files.
+ * @param {string} pattern - A glob pattern of the reports, or a directory holding `test-results*.xml` reports
+ * @param {Object} [options] - Read options
+ * @param {string[]} [options.exclude] - Files to leave out, such as the report of the current run
+ * @returns {Array<Map<string, {classname: string, name: string, outcome: string}>>} The outcomes of each run
+ */
+function readPreviousRuns(pattern, options = {}) {
+  if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+    pattern = path.join(pattern, FLAKINESS.REPORT_PATTERN);
+  }
+  const exclude = new Set((options.exclude ?? []).map((file) => path.resolve(file)));
+  const runs = [];
+  for (const file of expandGlob(pattern)) {
+    if (exclude.has(path.resolve(file))) {
+      continue;
+    }
+    try {
+      const root = parseXml(readFile(file));
+      const timestamps = getTestsuites(root)
+        .map((testsuite) => testsuite.attributes.timestamp)
+        .filter(Boolean)
+        .sort();
+      runs.push({ file, timestamp: timestamps[0] ?? '', outcomes: readOutcomes(root) });
+    } catch (error) {
+      debug('readPreviousRuns: Skipping report:', { file, error: error.message });
+    }
+  }
+  debug('readPreviousRuns: Read previous runs:', { pattern, runs: runs.length });
+  return runs
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.file.localeCompare(b.file))
+    .map((run) => run.outcomes);
+}
+
+/**
+ * Scores how flaky each testcase is over a series of runs: the share of consecutive runs in which
+ * its outcome flipped between passed and failed. A testcase that always fails scores 0, one that
+ * alternates between passing and failing scores 1.
+ * @param {Array<Map<string, {classname: string, name: string, outcome: string}>>} runs - The outcomes of each run,
+ *   oldest first, as returned by {@link collectOutcomes}
+ * @returns {Array<{classname: string, name: string, flakiness: number, flips: number, failures: number, runs: number}>}
+ *   The scores, flakiest first, then those that failed most often
+ */
+function scoreFlakiness(runs) {
+  const testcases = new Map();
+  for (const outcomes of runs) {
+    for (const [key, { classname, name, outcome }] of outcomes) {
+      if (!testcases.has(key)) {
+        testcases.set(key, { classname, name, outcomes: [] });
+      }
+      testcases.get(key).outcomes.push(outcome);
+    }
+  }
+
+  return [...testcases.values()]
+    .map(({ classname, name, outcomes }) => {
+      const flips = outcomes.filter((outcome, index) => index > 0 && outcome !== outcomes[index - 1]).length;
+      return {
+        classname,
+        name,
+        flakiness: outcomes.length > 1 ? flips / (outcomes.length - 1) : 0,
+        flips,
+        failures: outcomes.filter((outcome) => outcome === FLAKINESS.FAILED).length,
+        runs: outcomes.length,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.flakiness - a.flakiness ||
+        b.failures - a.failures ||
+        a.classname.localeCompare(b.classname) ||
+        a.name.localeCompare(b.name)
+    );
+}
+
+/**
+ * Formats a flakiness score, e.g. `0.33`.
+ * @param {number} flakiness - The score
+ * @returns {string}
+ */
+function formatFlakiness(flakiness) {
+  return flakiness.toFixed(FLAKINESS.DECIMAL_PLACES);
+}
+
+/**
+ * Builds the ranked list of flaky testcases written to the "flakinessFile".
+ * @param {Array<Object>} scores - The scores returned by {@link scoreFlakiness}
+ * @param {number} runs - The number of runs scored, including the current one
+ * @returns {string} The JSON document, listing the testcases whose outcome flipped at least once
+ */
+function formatFlakinessReport(scores, runs) {
+  const tests = scores
+    .filter((score) => score.flakiness > 0)
+    .map((score) => ({ ...score, flakiness: Number(formatFlakiness(score.flakiness)) }));
+  return JSON.stringify({ runs, tests }, null, 2) + '\n';
+}
+
+module.exports = {
+  getTestcaseKey,
+  collectOutcomes,
+  readOutcomes,
+  readPreviousRuns,
+  scoreFlakiness,
+  formatFlakiness,
+  formatFlakinessReport,
+};
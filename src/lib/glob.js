@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const debug = require('debug')('mocha-gitlab-reporter:glob');
+
+const GLOB_MAGIC_REGEX = /[*?[{]/;
+const REGEX_SPECIAL_CHARACTERS = new Set(['.', '+', '^', '$', '(', ')', '|', '\\', ']', '}']);
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Checks whether a path contains glob syntax.
+ * @param {string} pattern - The path or pattern
+ * @returns {boolean} True if the pattern contains `*`, `?`, `[` or `{`
+ */
+function hasMagic(pattern) {
+  return GLOB_MAGIC_REGEX.test(pattern);
+}
+
+/**
+ * Converts a glob pattern into a regular expression matching whole `/`-separated paths.
+ * Supports `*`, `**`, `?`, character classes (`[abc]`, `[!abc]`) and non-nested braces (`{a,b}`).
+ * @param {string} pattern - The glob pattern
+ * @returns {RegExp} The equivalent regular expression
+ * @example
+ * globToRegExp('reports/**\/*.xml').test('reports/a/b.xml') // true
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inBraces = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches everything below
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += String.raw`\[`;
+      } else {
+        let chars = pattern.slice(i + 1, end);
+        if (chars[0] === '!') {
+          chars = '^' + chars.slice(1);
+        }
+        source += `[${chars.replaceAll('\\', '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      inBraces = true;
+      source += '(?:';
+    } else if (char === '}' && inBraces) {
+      inBraces = false;
+      source += ')';
+    } else if (char === ',' && inBraces) {
+      source += '|';
+    } else if (REGEX_SPECIAL_CHARACTERS.has(char)) {
+      source += '\\' + char;
+    } else {
+      source += char;
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Recursively lists the files below a directory.
+ * @param {string} directory - The directory to list
+ * @param {number} maxDepth - How many directory levels to descend (Infinity for no limit)
+ * @returns {string[]} Paths relative to the directory, `/`-separated
+ */
+function listFiles(directory, maxDepth) {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch (error) {
+    debug('listFiles: Could not read directory:', { directory, errorMessage: error.message });
+    return files;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      if (maxDepth > 1) {
+        for (const file of listFiles(path.join(directory, entry.name), maxDepth - 1)) {
+          files.push(`${entry.name}/${file}`);
+        }
+      }
+    } else {
+      files.push(entry.name);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expands a glob pattern into the list of matching files.
+ * Patterns without glob syntax are returned as-is if the file exists.
+ * @param {string} pattern - The glob pattern, relative to `cwd` or absolute
+ * @param {Object} [options] - Expansion options
+ * @param {string} [options.cwd] - Directory relative patterns are resolved against (default: `process.cwd()`)
+ * @returns {string[]} The matching file paths, sorted, in the same relative or absolute form as the pattern
+ */
+function expandGlob(pattern, options = {}) {
+  const cwd = options.cwd ?? process.cwd();
+  const normalized = pattern.replaceAll('\\', '/');
+
+  if (!hasMagic(normalized)) {
+    return fs.existsSync(path.resolve(cwd, pattern)) ? [pattern] : [];
+  }
+
+  // Walk from the longest leading part of the pattern that contains no glob syntax
+  const segments = normalized.split('/');
+  const firstMagic = segments.findIndex((segment) => hasMagic(segment));
+  const baseSegments = segments.slice(0, firstMagic);
+  const patternSegments = segments.slice(firstMagic);
+  const base = baseSegments.join('/');
+  const maxDepth = patternSegments.some((segment) => segment.includes('**')) ? Infinity : patternSegments.length;
+  const regex = globToRegExp(patternSegments.join('/'));
+
+  const baseDirectory = path.resolve(cwd, base || '.');
+  const matches = listFiles(baseDirectory, maxDepth)
+    .filter((file) => regex.test(file))
+    .map((file) => (base ? `${base}/${file}` : file));
+
+  debug('expandGlob: Expanded pattern:', { pattern, baseDirectory, matches: matches.length });
+  return matches.sort();
+}
+
+module.exports = {
+  hasMagic,
+  globToRegExp,
+  expandGlob,
+};
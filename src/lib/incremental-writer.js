@@ -0,0 +1,227 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const debug = require('debug')('mocha-gitlab-reporter:incremental-writer');
+const { buildXml, buildStartTag, buildEndTag, buildDeclaration } = require('./xml-builder');
+const { FILE_CONSTANTS, XML_OPTIONS, XML_ELEMENTS } = require('../constants');
+
+/**
+ * Indentation depths of the elements written by the incremental writer
+ */
+const DEPTH = {
+  TESTSUITES: 0,
+  TESTSUITE: 1,
+  TESTCASE: 2,
+};
+
+/**
+ * Writes a JUnit report to disk one testcase at a time.
+ *
+ * After every write the file on disk is a complete, well-formed document: new content is written over the
+ * closing tags, which are then re-appended. A run that is aborted part way through therefore still leaves a
+ * readable report containing every testcase that finished.
+ *
+ * Testcases are appended to the testsuite they belong to, which need not be the last one begun, e.g. when a
+ * failing "after all" hook is reported after the suites nested in its own, or when the events of parallel
+ * workers interleave. Writing to an earlier testsuite rewrites the file from that testsuite on.
+ */
+class IncrementalXmlWriter {
+  /**
+   * @param {string} filePath - Path of the report file to write
+   * @param {Object} [options] - Writer options
+   * @param {Object} [options.rootAttributes] - Attributes of the `<testsuites>` element
+   * @param {string} [options.indent] - Indentation string
+   */
+  constructor(filePath, options = {}) {
+    this._filePath = filePath;
+    this._rootAttributes = options.rootAttributes ?? {};
+    this._xmlOptions = { indent: options.indent ?? XML_OPTIONS.INDENT };
+    this._fd = null;
+    // Byte offset at which the closing `</testsuites>` tag currently starts
+    this._position = 0;
+    // The testsuites written so far, in document order, with their written testcases and byte offset
+    this._testsuites = [];
+  }
+
+  /**
+   * @returns {string} Path of the report file being written
+   */
+  get filePath() {
+    return this._filePath;
+  }
+
+  /**
+   * @returns {boolean} True while the report file is open for writing
+   */
+  get isOpen() {
+    return this._fd !== null;
+  }
+
+  /**
+   * Creates the report file, replacing any existing file, and writes an empty `<testsuites>` document.
+   */
+  open() {
+    try {
+      fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+      this._fd = fs.openSync(this._filePath, 'w');
+      this._position = 0;
+      this._testsuites = [];
+      debug('open: Opened incremental report file:', this._filePath);
+    } catch (error) {
+      this._fail('open', error);
+      return;
+    }
+    this._write(
+      0,
+      buildDeclaration() +
+        buildStartTag(XML_ELEMENTS.TESTSUITES, this._rootAttributes, this._xmlOptions, DEPTH.TESTSUITES)
+    );
+  }
+
+  /**
+   * Appends a testsuite to the document.
+   * @param {Object} key - The object identifying the testsuite in later calls, e.g. its xml config
+   * @param {Object} attributes - Attributes of the `<testsuite>` element
+   */
+  beginTestsuite(key, attributes) {
+    const testsuite = { key, attributes, testcases: '', offset: this._position };
+    this._testsuites.push(testsuite);
+    this._write(this._position, this._buildTestsuite(testsuite));
+  }
+
+  /**
+   * Appends a testcase to a testsuite.
+   * @param {Object} key - The key the testsuite was begun with
+   * @param {Object} testcase - The testcase xml config, as produced by `getTestcaseData`
+   */
+  appendTestcase(key, testcase) {
+    const index = this._findTestsuite(key);
+    if (index === -1) {
+      debug('appendTestcase: The testsuite was not begun, skipping testcase');
+      return;
+    }
+    const xml = buildXml(testcase, this._xmlOptions, DEPTH.TESTCASE);
+    this._testsuites[index].testcases += xml;
+    if (index === this._testsuites.length - 1) {
+      // Only the closing tag of the last testsuite needs to be written over
+      const endTag = buildEndTag(XML_ELEMENTS.TESTSUITE, this._xmlOptions, DEPTH.TESTSUITE);
+      this._write(this._position - Buffer.byteLength(endTag, FILE_CONSTANTS.ENCODING), xml + endTag);
+    } else {
+      this._rewriteFrom(index);
+    }
+  }
+
+  /**
+   * Replaces the attributes of a testsuite, e.g. to patch in its totals when it ends.
+   * @param {Object} key - The key the testsuite was begun with
+   * @param {Object} attributes - Attributes of the `<testsuite>` element
+   */
+  updateTestsuite(key, attributes) {
+    const index = this._findTestsuite(key);
+    if (index === -1) {
+      debug('updateTestsuite: The testsuite was not begun, skipping update');
+      return;
+    }
+    this._testsuites[index].attributes = attributes;
+    this._rewriteFrom(index);
+  }
+
+  /**
+   * Closes the report file. The document on disk is left complete.
+   */
+  close() {
+    if (this._fd === null) {
+      return;
+    }
+    try {
+      fs.closeSync(this._fd);
+      debug('close: Closed incremental report file:', this._filePath);
+    } catch (error) {
+      debug('close: Error closing incremental report file:', {
+        filePath: this._filePath,
+        errorMessage: error.message,
+      });
+    }
+    this._fd = null;
+  }
+
+  /**
+   * Finds a testsuite by its key, searching from the most recently begun one.
+   * @param {Object} key - The key the testsuite was begun with
+   * @returns {number} The index of the testsuite, or -1 if it was not begun
+   */
+  _findTestsuite(key) {
+    return this._testsuites.map((testsuite) => testsuite.key).lastIndexOf(key);
+  }
+
+  /**
+   * Builds a testsuite element with the testcases written to it so far.
+   * @param {{attributes: Object, testcases: string}} testsuite - The testsuite
+   * @returns {string}
+   */
+  _buildTestsuite(testsuite) {
+    return (
+      buildStartTag(XML_ELEMENTS.TESTSUITE, testsuite.attributes, this._xmlOptions, DEPTH.TESTSUITE) +
+      testsuite.testcases +
+      buildEndTag(XML_ELEMENTS.TESTSUITE, this._xmlOptions, DEPTH.TESTSUITE)
+    );
+  }
+
+  /**
+   * Writes a testsuite and every testsuite after it again.
+   * @param {number} index - The index of the first testsuite to write
+   */
+  _rewriteFrom(index) {
+    const start = this._testsuites[index].offset;
+    let offset = start;
+    let content = '';
+    for (const testsuite of this._testsuites.slice(index)) {
+      const xml = this._buildTestsuite(testsuite);
+      testsuite.offset = offset;
+      offset += Buffer.byteLength(xml, FILE_CONSTANTS.ENCODING);
+      content += xml;
+    }
+    this._write(start, content);
+  }
+
+  /**
+   * Writes content at a byte offset, followed by the closing `</testsuites>` tag, and truncates the file there.
+   * @param {number} position - The byte offset to write at
+   * @param {string} content - The content to write
+   */
+  _write(position, content) {
+    if (this._fd === null) {
+      return;
+    }
+    try {
+      const closingTag = buildEndTag(XML_ELEMENTS.TESTSUITES, this._xmlOptions, DEPTH.TESTSUITES);
+      const buffer = Buffer.from(content + closingTag, FILE_CONSTANTS.ENCODING);
+      fs.writeSync(this._fd, buffer, 0, buffer.length, position);
+      fs.ftruncateSync(this._fd, position + buffer.length);
+      this._position = position + Buffer.byteLength(content, FILE_CONSTANTS.ENCODING);
+    } catch (error) {
+      this._fail('write', error);
+    }
+  }
+
+  /**
+   * Reports a file system error and stops writing. A failing incremental write must not fail the test run,
+   * as the complete report is still written when the run ends.
+   * @param {string} operation - The operation that failed
+   * @param {Error} error - The error
+   */
+  _fail(operation, error) {
+    console.warn(`Warning: Could not ${operation} incremental report file ${this._filePath}: ${error.message}`);
+    debug(`_fail: Error during ${operation}:`, {
+      filePath: this._filePath,
+      errorCode: error.code,
+      errorMessage: error.message,
+    });
+    this.close();
+  }
+}
+
+module.exports = {
+  IncrementalXmlWriter,
+};
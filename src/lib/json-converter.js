@@ -0,0 +1,230 @@
+'use strict';
+
+const { EventEmitter } = require('node:events');
+const { Suite, Test, Hook } = require('mocha');
+const debug = require('debug')('mocha-gitlab-reporter:json-converter');
+
+// Titles Mocha gives to hooks, e.g. `"before each" hook for "adds numbers"`
+const HOOK_TITLE_REGEX = /^"(?:before|after) (?:all|each)" hook/;
+// A failing "before" hook names the first test it prevented from running
+const BEFORE_HOOK_TEST_REGEX = /^"before (?:all|each)" hook.* for "(.*)"$/;
+
+const GlobalDate = globalThis.Date;
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Identifies a test in the lists of a Mocha JSON report.
+ * @param {Object} entry - A test of the report
+ * @returns {string}
+ */
+function getEntryKey(entry) {
+  return `${entry.file ?? ''}\u0000${entry.fullTitle}`;
+}
+
+/**
+ * Determines the full title of the suite a test of a Mocha JSON report belongs to.
+ * @param {Object} entry - A test of the report
+ * @returns {string} The suite's full title, empty for tests of the root suite
+ */
+function getSuiteTitle(entry) {
+  const suffix = ` ${entry.title}`;
+  return entry.fullTitle.endsWith(suffix) ? entry.fullTitle.slice(0, -suffix.length) : '';
+}
+
+/**
+ * Groups entries of a Mocha JSON report by test, so that tests sharing a title are matched in order.
+ * @param {Array<Object>} entries - Tests of the report
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupByKey(entries) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = getEntryKey(entry);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  }
+  return groups;
+}
+
+/**
+ * Rebuilds the suites of a run from the tests of a Mocha JSON report.
+ *
+ * The report only has the full title of each test, so nested suites are recognized by full titles
+ * that start with the full title of another suite of the same file. A suite containing nothing but
+ * other suites doesn't appear in the report, so its title is joined with the title of its child suite.
+ * Failures that don't belong to a test, e.g. of a hook, are attached to their suite as hooks.
+ * The test a failing "before" hook names is added to the suite without a state, as a test that didn't run.
+ * @param {Object} results - The Mocha JSON report
+ * @returns {{root: Suite, errors: Map<Object, Object>, hooks: Map<Suite, Array<Hook>>}} The root suite,
+ *   the error of each failed test and hook, and the failed hooks of each suite
+ */
+function buildSuites(results) {
+  const root = new Suite('', undefined, true);
+  const failuresByKey = groupByKey(results.failures ?? []);
+  const pendingByKey = groupByKey(results.pending ?? []);
+  const errors = new Map();
+  const hooks = new Map();
+
+  const suiteTitlesByFile = new Map();
+  const suites = new Map();
+  const failedTests = results.tests.map((entry) => failuresByKey.get(getEntryKey(entry))?.shift());
+  const remainingFailures = [...failuresByKey.values()].flat();
+
+  for (const entry of [...results.tests, ...remainingFailures]) {
+    const file = entry.file ?? '';
+    if (!suiteTitlesByFile.has(file)) {
+      suiteTitlesByFile.set(file, new Set());
+    }
+    suiteTitlesByFile.get(file).add(getSuiteTitle(entry));
+  }
+
+  const getSuite = function (file, title) {
+    if (!title) {
+      return root;
+    }
+    const key = `${file}\u0000${title}`;
+    if (suites.has(key)) {
+      return suites.get(key);
+    }
+    let parentTitle = '';
+    for (const candidate of suiteTitlesByFile.get(file)) {
+      if (title.startsWith(`${candidate} `) && candidate.length > parentTitle.length) {
+        parentTitle = candidate;
+      }
+    }
+    const parent = getSuite(file, parentTitle);
+    const suite = Suite.create(parent, parentTitle ? title.slice(parentTitle.length + 1) : title);
+    if (file) {
+      suite.file = file;
+    }
+    suites.set(key, suite);
+    return suite;
+  };
+
+  for (const [index, entry] of results.tests.entries()) {
+    const test = new Test(entry.title, function () {});
+    test.file = entry.file;
+    test.duration = entry.duration;
+    getSuite(entry.file ?? '', getSuiteTitle(entry)).addTest(test);
+
+    if (failedTests[index]) {
+      test.state = 'failed';
+      errors.set(test, failedTests[index].err);
+    } else if (pendingByKey.get(getEntryKey(entry))?.shift()) {
+      test.pending = true;
+    } else {
+      test.state = 'passed';
+    }
+  }
+
+  for (const entry of remainingFailures) {
+    const suite = getSuite(entry.file ?? '', getSuiteTitle(entry));
+    if (HOOK_TITLE_REGEX.test(entry.title)) {
+      const hook = new Hook(entry.title, function () {});
+      hook.parent = suite;
+      hook.file = entry.file;
+      if (!hooks.has(suite)) {
+        hooks.set(suite, []);
+      }
+      hooks.get(suite).push(hook);
+      errors.set(hook, entry.err);
+
+      const unrunTitle = BEFORE_HOOK_TEST_REGEX.exec(entry.title)?.[1];
+      if (unrunTitle !== undefined && !suite.tests.some((test) => test.title === unrunTitle)) {
+        const test = new Test(unrunTitle, function () {});
+        test.file = entry.file;
+        suite.addTest(test);
+      }
+    } else {
+      // e.g. an uncaught error that Mocha reported on a test that wasn't running
+      const test = new Test(entry.title, function () {});
+      test.file = entry.file;
+      test.duration = entry.duration;
+      test.state = 'failed';
+      suite.addTest(test);
+      errors.set(test, entry.err);
+    }
+  }
+
+  debug('buildSuites: Rebuilt suites:', {
+    suites: suites.size,
+    tests: results.tests.length,
+    hooks: remainingFailures.length,
+  });
+  return { root, errors, hooks };
+}
+
+/**
+ * Converts the output of Mocha's `json` reporter into a GitLab JUnit report.
+ *
+ * The run is replayed through the reporter, so classnames, file paths, ANSI stripping, failure
+ * classification and diffs are the same as when the reporter is used directly. Suite times are the sum
+ * of their tests' durations, and suite timestamps count from the start of the run.
+ * The JSON report has no record of retries, console output or of the tests a failing hook prevented
+ * from running, so these are not reported.
+ * @param {Object} results - The parsed Mocha JSON report
+ * @param {Object} [reporterOptions] - The reporter options, as passed to the reporter
+ * @returns {string} The XML document
+ * @throws {TypeError} If the results are not a Mocha JSON report
+ */
+function convertJsonReport(results, reporterOptions = {}) {
+  if (!results || !Array.isArray(results.tests)) {
+    throw new TypeError('Not a Mocha JSON report: "tests" is missing');
+  }
+  // Required here, as the reporter module re-exports this function
+  const MochaGitLabReporter = require('../index');
+
+  const start = GlobalDate.parse(results.stats?.start) || GlobalDate.now();
+  let now = start;
+  class ReplayDate extends GlobalDate {
+    static now() {
+      return now;
+    }
+  }
+
+  const { root, errors, hooks } = buildSuites(results);
+  const runner = new EventEmitter();
+  runner.suite = root;
+  const reporter = new MochaGitLabReporter(runner, { reporterOptions: { ...reporterOptions }, Date: ReplayDate });
+
+  const replaySuite = function (suite) {
+    runner.emit('suite', suite);
+    for (const test of suite.tests) {
+      if (test.state === undefined && !test.pending) {
+        continue;
+      }
+      if (test.pending) {
+        runner.emit('pending', test);
+      } else {
+        runner.emit('test', test);
+        now += test.duration || 0;
+        if (errors.has(test)) {
+          runner.emit('fail', test, errors.get(test));
+        } else {
+          runner.emit('pass', test);
+        }
+      }
+      runner.emit('test end', test);
+    }
+    for (const hook of hooks.get(suite) ?? []) {
+      runner.emit('fail', hook, errors.get(hook));
+    }
+    for (const child of suite.suites) {
+      replaySuite(child);
+    }
+    runner.emit('suite end', suite);
+  };
+  replaySuite(root);
+
+  runner.stats = { ...runner.stats, duration: now - start, ...results.stats };
+  return reporter.getXml(reporter._testsuites);
+}
+
+module.exports = {
+  convertJsonReport,
+};
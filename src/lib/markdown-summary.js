@@ -0,0 +1,172 @@
+'use strict';
+
+const { SUMMARY, TIME_CONVERSION, XML_ELEMENTS } = require('../constants');
+const { buildBlobUrl } = require('./blob-url');
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Escapes text for use on a single Markdown line, such as a table cell or a heading.
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function escapeInline(text) {
+  return String(text)
+    .replaceAll('|', String.raw`\|`)
+    .replaceAll(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Wraps text in a fenced code block whose fence is longer than any backtick run in the text.
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function codeBlock(text) {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}\n${text}\n${fence}`;
+}
+
+/**
+ * Shortens text to at most `length` characters, noting how much was cut.
+ * @param {string} text - The text
+ * @param {number} length - The maximum number of characters to keep
+ * @returns {string}
+ */
+function truncate(text, length) {
+  if (text.length <= length) {
+    return text;
+  }
+  return `${text.slice(0, length)}\n[truncated ${text.length - length} characters]`;
+}
+
+/**
+ * Lists the testcases of formatted testsuites with their result.
+ * @param {Array<Object>} testsuites - The testsuites, after `getXml` has formatted them
+ * @returns {Array<{name: string, classname: string, file: string, time: number, failure: Object}>} The testcases;
+ *   `failure` is the `<failure>` or `<error>` element of a failed testcase, otherwise undefined
+ */
+function collectTestcases(testsuites) {
+  const testcases = [];
+  for (const suite of testsuites) {
+    for (const node of suite.testsuite.slice(1)) {
+      if (!(XML_ELEMENTS.TESTCASE in node)) {
+        continue;
+      }
+      const [{ _attr: attributes }, ...children] = node.testcase;
+      const result = children.find((child) => XML_ELEMENTS.FAILURE in child || XML_ELEMENTS.ERROR in child);
+      testcases.push({
+        name: attributes.name,
+        classname: attributes.classname,
+        file: attributes.file,
+        time: Number.parseFloat(attributes.time) || 0,
+        failure: result && (result[XML_ELEMENTS.FAILURE] ?? result[XML_ELEMENTS.ERROR]),
+      });
+    }
+  }
+  return testcases;
+}
+
+/**
+ * Formats a reference to a test file, as a link when a base URL is known.
+ * @param {string} file - The file, relative to the project root
+ * @param {string} [linkBase] - URL the file path is appended to
+ * @returns {string}
+ */
+function formatFile(file, linkBase) {
+  if (!linkBase) {
+    return `\`${file}\``;
+  }
+  return `[${file}](${buildBlobUrl(linkBase, file)})`;
+}
+
+/**
+ * Builds the Markdown section describing a failed testcase.
+ * @param {Object} testcase - A testcase returned by {@link collectTestcases}
+ * @param {string} [linkBase] - URL test file paths are appended to
+ * @returns {string}
+ */
+function formatFailure(testcase, linkBase) {
+  const title = [testcase.classname, testcase.name].filter(Boolean).join(' ');
+  const lines = [`#### ${escapeInline(title)}`, ''];
+  if (testcase.file) {
+    lines.push(formatFile(testcase.file, linkBase), '');
+  }
+  const message = testcase.failure._attr?.message ?? '';
+  lines.push(codeBlock(truncate(message, SUMMARY.MESSAGE_LENGTH)), '');
+  return lines.join('\n');
+}
+
+/**
+ * Builds a Markdown summary of a test run: the totals, the slowest tests and the failures.
+ * Failures are left out, last first, when the summary would otherwise exceed `maxLength`.
+ * @param {Object} totals - The attributes of the `<testsuites>` element
+ * @param {Array<Object>} testsuites - The testsuites, after `getXml` has formatted them
+ * @param {Object} [options] - Summary options
+ * @param {number} [options.maxLength] - Maximum length of the summary in characters (default: no limit)
+ * @param {string} [options.linkBase] - URL test file paths are appended to, to link failures to their file
+ * @returns {string} The summary
+ */
+function buildMarkdownSummary(totals, testsuites, options = {}) {
+  const maxLength = options.maxLength > 0 ? options.maxLength : Infinity;
+  const testcases = collectTestcases(testsuites);
+  const failed = testcases.filter((testcase) => testcase.failure);
+  const tests = Number(totals.tests) || 0;
+  const failures = Number(totals.failures) || 0;
+  const errors = Number(totals.errors) || 0;
+  const skipped = Number(totals.skipped) || 0;
+  const passed = Math.max(tests - failures - errors - skipped, 0);
+
+  const lines = [
+    failures + errors > 0 ? `## Test results: ${failures + errors} of ${tests} failed` : `## Test results: all passed`,
+    '',
+    '| Tests | Passed | Failures | Errors | Skipped | Time |',
+    '| ----: | -----: | -------: | -----: | ------: | ---: |',
+    `| ${tests} | ${passed} | ${failures} | ${errors} | ${skipped} | ${totals.time}s |`,
+    '',
+  ];
+
+  const slowest = testcases
+    .filter((testcase) => testcase.time > 0)
+    .sort((a, b) => b.time - a.time)
+    .slice(0, SUMMARY.SLOWEST_TESTS);
+  if (slowest.length > 0) {
+    lines.push('### Slowest tests', '', '| Test | Time |', '| ---- | ---: |');
+    for (const testcase of slowest) {
+      const title = [testcase.classname, testcase.name].filter(Boolean).join(' ');
+      lines.push(`| ${escapeInline(title)} | ${testcase.time.toFixed(TIME_CONVERSION.DECIMAL_PLACES)}s |`);
+    }
+    lines.push('');
+  }
+
+  let summary = lines.join('\n');
+  if (failed.length === 0) {
+    return summary.slice(0, maxLength);
+  }
+
+  const header = `<details>\n<summary>Failures (${failed.length})</summary>\n\n`;
+  const footer = '</details>\n';
+  let body = '';
+  let shown = 0;
+  for (const testcase of failed) {
+    const section = formatFailure(testcase, options.linkBase);
+    const omitted = `_${failed.length - shown - 1} more not shown_\n\n`;
+    const reserved = shown + 1 < failed.length ? omitted.length : 0;
+    if (summary.length + header.length + body.length + section.length + reserved + footer.length > maxLength) {
+      break;
+    }
+    body += section;
+    shown++;
+  }
+  if (shown < failed.length) {
+    body += `_${failed.length - shown} more not shown_\n\n`;
+  }
+  summary += header + body + footer;
+  return summary.slice(0, maxLength);
+}
+
+module.exports = {
+  buildMarkdownSummary,
+};
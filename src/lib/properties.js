@@ -0,0 +1,105 @@
+'use strict';
+
+const debug = require('debug')('mocha-gitlab-reporter:properties');
+const { MOCHA_SERIALIZED } = require('../constants');
+
+// Titles of the hooks that run once for a suite
+const ALL_HOOK_TITLE_REGEX = /^"(?:before|after) all" hook/;
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Lists the properties of a test or suite as name and value pairs.
+ * @param {Object|Array<{name: string, value: *}>} [properties] - The properties, as an object whose values
+ *   may be arrays to repeat a property, or as a list of name and value pairs
+ * @returns {Array<{name: string, value: string}>} The properties; those without a value are left out
+ */
+function normalizeProperties(properties) {
+  if (!properties || typeof properties !== 'object') {
+    return [];
+  }
+  const entries = Array.isArray(properties)
+    ? properties.map((property) => [property?.name, property?.value])
+    : Object.entries(properties).flatMap(([name, value]) =>
+        Array.isArray(value) ? value.map((item) => [name, item]) : [[name, value]]
+      );
+  return entries
+    .filter(([name, value]) => name != null && name !== '' && value != null)
+    .map(([name, value]) => ({ name: String(name), value: String(value) }));
+}
+
+/**
+ * Returns the properties set on a suite through its context, ignoring those its context inherits
+ * from the parent suite.
+ * @param {Object} suite - The suite
+ * @returns {Array<{name: string, value: string}>} The properties
+ */
+function getSuiteProperties(suite) {
+  const ctx = suite?.ctx;
+  if (!ctx || !Object.prototype.hasOwnProperty.call(ctx, 'properties')) {
+    return [];
+  }
+  return normalizeProperties(ctx.properties);
+}
+
+/**
+ * Determines the object a property set from a test, hook or suite is stored on.
+ * @param {Object} context - The test, the suite, or the Mocha context (`this`) of a test or hook
+ * @returns {Object|undefined} The test, or the context of the suite
+ */
+function getPropertyTarget(context) {
+  // `this` in a describe() callback is the suite itself
+  if (Array.isArray(context?.suites) && context.ctx) {
+    return context.ctx;
+  }
+  const runnable = context?.test ?? context;
+  if (runnable?.type !== MOCHA_SERIALIZED.TYPE_HOOK) {
+    return runnable;
+  }
+  // "all" hooks run for the suite, "each" hooks for the test in `currentTest`
+  return ALL_HOOK_TITLE_REGEX.test(runnable.originalTitle ?? runnable.title)
+    ? runnable.parent?.ctx
+    : context.currentTest;
+}
+
+/**
+ * Sets a property of a test or suite, which the reporter adds to its `<properties>`.
+ * In a test or an "each" hook, the property is set on the test; in an "all" hook or a describe() callback,
+ * it is set on the suite.
+ * @param {Object} context - The test, the suite, or the Mocha context (`this`) of a test or hook
+ * @param {string} name - The property name
+ * @param {*} value - The property value
+ * @throws {TypeError} If no test or suite is given, or the name is empty
+ * @example
+ * it('creates an order', function () {
+ *   setProperty(this, 'issue', 'ABC-12');
+ * });
+ */
+function setProperty(context, name, value) {
+  const target = getPropertyTarget(context);
+  if (!target || typeof target !== 'object') {
+    throw new TypeError('setProperty: expected a test, a suite or a Mocha context');
+  }
+  if (name == null || name === '') {
+    throw new TypeError('setProperty: a name is required');
+  }
+
+  // A suite's context inherits the properties of the parent suite's context, so never add to those
+  if (!Object.prototype.hasOwnProperty.call(target, 'properties') || !target.properties) {
+    target.properties = {};
+  }
+  if (Array.isArray(target.properties)) {
+    target.properties.push({ name, value });
+  } else {
+    target.properties[name] = value;
+  }
+  debug('setProperty: Set property:', { name, value });
+}
+
+module.exports = {
+  normalizeProperties,
+  getSuiteProperties,
+  setProperty,
+};
@@ -0,0 +1,241 @@
+'use strict';
+
+const path = require('node:path');
+const debug = require('debug')('mocha-gitlab-reporter:quarantine');
+const { readFile } = require('./files');
+const { QUARANTINE } = require('../constants');
+
+// A mapping entry of the YAML subset, e.g. `name: "adds items"`
+const YAML_PAIR_REGEX = /^([\w.-]+)\s*:(?:\s+(.*))?$/;
+const YAML_ITEM_REGEX = /^-(?:\s+(.*))?$/;
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Removes a comment from a line of YAML, leaving `#` inside quoted values.
+ * @param {string} line - The line
+ * @returns {string} The line without its comment
+ */
+function stripYamlComment(line) {
+  let quote = null;
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"') {
+        index++;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (index === 0 || /\s/.test(line[index - 1]))) {
+      return line.slice(0, index);
+    }
+  }
+  return line;
+}
+
+/**
+ * Parses a scalar value of the YAML subset: plain, 'single-quoted' or "double-quoted".
+ * @param {string} [value] - The value as written
+ * @returns {string|null} The value, or null if empty
+ */
+function parseYamlScalar(value) {
+  const trimmed = (value ?? '').trim();
+  if (trimmed === '' || trimmed === '~' || trimmed === 'null') {
+    return null;
+  }
+  if (trimmed.length > 1 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return JSON.parse(trimmed);
+  }
+  if (trimmed.length > 1 && trimmed.startsWith("'") && trimmed.endsWith("'")) {
+    return trimmed.slice(1, -1).replaceAll("''", "'");
+  }
+  return trimmed;
+}
+
+/**
+ * Parses a YAML list of flat mappings, the only YAML a quarantine file needs:
+ *
+ *     - classname: Cart
+ *       name: adds items
+ *       issue: https://gitlab.com/group/project/-/issues/12
+ *
+ * Comments and quoted values are supported; nested collections, anchors and multi-line values are not.
+ * @param {string} content - The YAML document
+ * @returns {Array<Object>} The mappings
+ * @throws {SyntaxError} If the document uses YAML beyond this subset
+ */
+function parseYamlList(content) {
+  const items = [];
+  let item = null;
+
+  String(content)
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const line = stripYamlComment(rawLine).trimEnd();
+      if (line.trim() === '' || line === '---') {
+        return;
+      }
+      const itemMatch = YAML_ITEM_REGEX.exec(line);
+      let pair = line.trim();
+      if (itemMatch) {
+        item = {};
+        items.push(item);
+        pair = itemMatch[1];
+        if (pair === undefined) {
+          return;
+        }
+      } else if (!item || !/^\s/.test(line)) {
+        throw new SyntaxError(`Unsupported YAML on line ${index + 1}, expected a list item: ${rawLine.trim()}`);
+      }
+      const pairMatch = YAML_PAIR_REGEX.exec(pair);
+      if (!pairMatch) {
+        throw new SyntaxError(`Unsupported YAML on line ${index + 1}, expected "key: value": ${rawLine.trim()}`);
+      }
+      item[pairMatch[1]] = parseYamlScalar(pairMatch[2]);
+    });
+
+  return items;
+}
+
+/**
+ * Compiles a classname or name pattern, in which `*` matches any text.
+ * @param {string} [pattern] - The pattern, or undefined to match anything
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  if (pattern == null) {
+    return /^/;
+  }
+  const source = String(pattern)
+    .split(QUARANTINE.WILDCARD)
+    .map((part) => part.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`))
+    .join('.*');
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Validates and compiles the entries of a quarantine file.
+ * @param {Array<Object>} entries - The entries as read from the file
+ * @returns {Array<{classname?: string, name?: string, owner?: string, issue?: string, matches: function(string,
+ *   string): boolean}>} The entries, with a function testing whether a testcase's classname and name match
+ * @throws {TypeError} If the entries are not a list, or an entry has neither a classname nor a name
+ */
+function compileQuarantine(entries) {
+  if (!Array.isArray(entries)) {
+    throw new TypeError('A quarantine file must hold a list of entries');
+  }
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || (entry.classname == null && entry.name == null)) {
+      throw new TypeError(`Quarantine entry ${index + 1} needs a classname or a name`);
+    }
+    const classnameRegex = compilePattern(entry.classname);
+    const nameRegex = compilePattern(entry.name);
+    const compiled = { matches: (classname, name) => classnameRegex.test(classname) && nameRegex.test(name) };
+    for (const field of ['classname', 'name', 'owner', 'issue']) {
+      if (entry[field] != null) {
+        compiled[field] = String(entry[field]);
+      }
+    }
+    return compiled;
+  });
+}
+
+/**
+ * Reads a quarantine file: a JSON or YAML list of known-flaky tests, each with a classname and/or name pattern
+ * and, ideally, the owner and issue of the quarantine. The format is taken from the file extension.
+ * @param {string} filePath - Path of the quarantine file
+ * @returns {Array<Object>} The compiled entries, see {@link compileQuarantine}
+ * @throws {Error} If the file cannot be read or parsed, or an entry is invalid
+ * @example
+ * // quarantine.yml
+ * // - classname: Checkout*
+ * //   name: pays with a saved card
+ * //   owner: "@payments-team"
+ * //   issue: https://gitlab.com/group/project/-/issues/42
+ * loadQuarantine('quarantine.yml');
+ */
+function loadQuarantine(filePath) {
+  const content = readFile(filePath);
+  const isYaml = QUARANTINE.YAML_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  let entries;
+  try {
+    entries = isYaml ? parseYamlList(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Failed to parse quarantine file ${filePath}: ${error.message}`, { cause: error });
+  }
+  const quarantine = compileQuarantine(entries);
+  debug('loadQuarantine: Loaded quarantine:', { filePath, entries: quarantine.length });
+  return quarantine;
+}
+
+/**
+ * Finds the quarantine entry of a testcase.
+ * @param {Array<Object>} quarantine - The entries returned by {@link loadQuarantine}
+ * @param {string} classname - The testcase classname
+ * @param {string} name - The testcase name
+ * @returns {Object|null} The first matching entry, or null if the testcase is not quarantined
+ */
+function findQuarantineEntry(quarantine, classname, name) {
+  return quarantine.find((entry) => entry.matches(classname, name)) ?? null;
+}
+
+/**
+ * Describes a quarantine entry by its issue and owner, e.g. `https://gitlab.com/…/issues/42, owner @team`.
+ * @param {Object} entry - The entry
+ * @returns {string} The description, empty if the entry has neither
+ */
+function describeQuarantineEntry(entry) {
+  return [entry.issue, entry.owner && `owner ${entry.owner}`].filter(Boolean).join(', ');
+}
+
+/**
+ * Formats the skipped message of a quarantined testcase that failed.
+ * @param {Object} entry - The quarantine entry of the testcase
+ * @returns {string} The message, e.g. `quarantined: https://gitlab.com/…/issues/42, owner @team`
+ */
+function formatQuarantineMessage(entry) {
+  const description = describeQuarantineEntry(entry);
+  return description ? `${QUARANTINE.MESSAGE}: ${description}` : QUARANTINE.MESSAGE;
+}
+
+/**
+ * Checks whether a skipped message is that of a quarantined testcase that failed.
+ * @param {string} [message] - The message of a `<skipped>` element
+ * @returns {boolean}
+ */
+function isQuarantineMessage(message) {
+  return message === QUARANTINE.MESSAGE || String(message).startsWith(`${QUARANTINE.MESSAGE}:`);
+}
+
+/**
+ * Lists the quarantined testcases that kept passing for the console, so that they can be released.
+ * @param {Array<{classname: string, name: string, passes: number, entry: Object}>} releasable - The testcases
+ * @returns {string} The summary
+ * @example
+ * formatReleasableSummary([{ classname: 'Cart', name: 'adds items', passes: 3, entry: { owner: '@team' } }])
+ * // Returns: '  Quarantined tests passing again (1):\n\n    Cart adds items: passed 3 runs in a row (owner @team)'
+ */
+function formatReleasableSummary(releasable) {
+  const lines = [`  Quarantined tests passing again (${releasable.length}):`, ''];
+  for (const { classname, name, passes, entry } of releasable) {
+    const title = [classname, name].filter(Boolean).join(' ');
+    const description = describeQuarantineEntry(entry);
+    lines.push(`    ${title}: passed ${passes} runs in a row${description ? ` (${description})` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseYamlList,
+  compileQuarantine,
+  loadQuarantine,
+  findQuarantineEntry,
+  describeQuarantineEntry,
+  formatQuarantineMessage,
+  formatReleasableSummary,
+  isQuarantineMessage,
+};
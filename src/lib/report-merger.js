@@ -0,0 +1,238 @@
+'use strict';
+
+const debug = require('debug')('mocha-gitlab-reporter:report-merger');
+const { toXml } = require('./xml-builder');
+const { parseXml, getChildren, toXmlObject } = require('./xml-parser');
+const { DEFAULTS, TIME_CONVERSION, XML_OPTIONS, XML_ELEMENTS, INTERRUPTION } = require('../constants');
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Parses a number attribute, falling back when it is missing or not a number.
+ * @param {string} [value] - The attribute value
+ * @param {number} fallback - The value to use instead
+ * @returns {number}
+ */
+function numberAttribute(value, fallback) {
+  const parsed = Number.parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Extracts the `<testsuite>` elements from a parsed report.
+ * Accepts both `<testsuites>` documents and documents with a single `<testsuite>` root.
+ * @param {Object} root - The root element returned by `parseXml`
+ * @returns {Array<Object>} The testsuite elements
+ * @throws {TypeError} If the root element is neither `<testsuites>` nor `<testsuite>`
+ */
+function getTestsuites(root) {
+  if (root.name === XML_ELEMENTS.TESTSUITES) {
+    return getChildren(root, XML_ELEMENTS.TESTSUITE);
+  }
+  if (root.name === XML_ELEMENTS.TESTSUITE) {
+    return [root];
+  }
+  throw new TypeError(`Unexpected root element <${root.name}>, expected <${XML_ELEMENTS.TESTSUITES}>`);
+}
+
+/**
+ * Computes the totals of a testsuite from its attributes, counting its testcases where an attribute is missing.
+ * @param {Object} testsuite - A `<testsuite>` element returned by `parseXml`
+ * @returns {{tests: number, failures: number, errors: number, skipped: number, time: number}} The totals,
+ *   time in seconds
+ */
+function summarizeTestsuite(testsuite) {
+  const testcases = getChildren(testsuite, XML_ELEMENTS.TESTCASE);
+  const countWith = (name) => testcases.filter((testcase) => getChildren(testcase, name).length > 0).length;
+  const sumTime = () => testcases.reduce((total, testcase) => total + numberAttribute(testcase.attributes.time, 0), 0);
+
+  return {
+    tests: numberAttribute(testsuite.attributes.tests, testcases.length),
+    failures: numberAttribute(testsuite.attributes.failures, countWith('failure')),
+    errors: numberAttribute(testsuite.attributes.errors, countWith('error')),
+    skipped: numberAttribute(testsuite.attributes.skipped, countWith('skipped')),
+    time: numberAttribute(testsuite.attributes.time, undefined) ?? sumTime(),
+  };
+}
+
+/**
+ * Reads the `<properties>` of the `<testsuites>` element of a parsed report,
+ * such as the environment properties or the `incomplete` flag of an interrupted run.
+ * @param {Object} root - The root element returned by `parseXml`
+ * @returns {Array<{name: string, value: string}>} The properties, in document order
+ */
+function getRootProperties(root) {
+  if (root.name !== XML_ELEMENTS.TESTSUITES) {
+    return [];
+  }
+  return getChildren(root, XML_ELEMENTS.PROPERTIES).flatMap((properties) =>
+    getChildren(properties, XML_ELEMENTS.PROPERTY).map(({ attributes }) => ({
+      name: attributes.name,
+      value: attributes.value ?? '',
+    }))
+  );
+}
+
+/**
+ * Creates a `<properties>` element in the structure returned by `parseXml`.
+ * @param {Array<{name: string, value: string}>} properties - The properties
+ * @returns {Object} The element
+ */
+function createPropertiesElement(properties) {
+  return {
+    name: XML_ELEMENTS.PROPERTIES,
+    attributes: {},
+    children: properties.map(({ name, value }) => ({
+      name: XML_ELEMENTS.PROPERTY,
+      attributes: { name, value },
+      children: [],
+      text: '',
+      cdata: false,
+    })),
+    text: '',
+    cdata: false,
+  };
+}
+
+/**
+ * Adds properties in front of the `<properties>` of a parsed testsuite, creating the element if it has none.
+ * @param {Object} testsuite - A `<testsuite>` element returned by `parseXml`
+ * @param {Array<{name: string, value: string}>} properties - The properties to add
+ * @returns {Object} A copy of the testsuite, or the testsuite itself if there are no properties to add
+ */
+function addTestsuiteProperties(testsuite, properties) {
+  if (properties.length === 0) {
+    return testsuite;
+  }
+  const added = createPropertiesElement(properties);
+  const children = [...testsuite.children];
+  const index = children.findIndex((child) => child.name === XML_ELEMENTS.PROPERTIES);
+  if (index === -1) {
+    children.unshift(added);
+  } else {
+    children[index] = { ...children[index], children: [...added.children, ...children[index].children] };
+  }
+  return { ...testsuite, children };
+}
+
+/**
+ * Splits the root properties of several reports into those every report has with the same value, which
+ * describe the whole pipeline, and those of each report, such as the `CI_NODE_INDEX` or `CI_JOB_URL` of a
+ * parallel job's node. The merged report is flagged `incomplete` if any of the reports is.
+ * @param {Array<Array<{name: string, value: string}>>} propertyLists - The root properties of each report
+ * @returns {{shared: Array<{name: string, value: string}>, own: Array<Array<{name: string, value: string}>>}}
+ *   The properties of the merged `<testsuites>`, and the properties left to each report's testsuites
+ */
+function splitRootProperties(propertyLists) {
+  const keyOf = ({ name, value }) => JSON.stringify([name, value]);
+  const counts = new Map();
+  for (const properties of propertyLists) {
+    for (const key of new Set(properties.map(keyOf))) {
+      counts.set(key, (counts.get(key) ?? 0) + 1);
+    }
+  }
+  const isShared = (property) => counts.get(keyOf(property)) === propertyLists.length;
+  const isIncomplete = ({ name }) => name === INTERRUPTION.PROPERTY_INCOMPLETE;
+
+  const shared = [];
+  const seen = new Set();
+  for (const property of propertyLists.flat()) {
+    const key = keyOf(property);
+    if ((isShared(property) || isIncomplete(property)) && !seen.has(key)) {
+      seen.add(key);
+      shared.push(property);
+    }
+  }
+  const own = propertyLists.map((properties) =>
+    properties.filter((property) => !isShared(property) && !isIncomplete(property))
+  );
+  return { shared, own };
+}
+
+/**
+ * Combines several parsed JUnit reports into a single report.
+ * Every `<testsuite>` is copied, and the `<testsuites>` totals are recomputed.
+ * The `<testsuites>` properties that all reports agree on are kept there, and the others are added to the
+ * testsuites of their report, see {@link splitRootProperties}.
+ * The run time of each report is taken from its `<testsuites>` element, or from the sum of its testsuites.
+ * @param {Array<Object>} roots - The root elements of the reports, as returned by `parseXml`
+ * @param {Object} [options] - Merge options
+ * @param {string} [options.name] - Name of the merged `<testsuites>` element
+ * @returns {string} The merged XML document
+ * @throws {TypeError} If a report is not a JUnit report
+ */
+function mergeParsedReports(roots, options = {}) {
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0, time: 0 };
+  const testsuites = [];
+  const reports = roots.map((root) => ({ root, suites: getTestsuites(root) }));
+  const properties = splitRootProperties(reports.map(({ root }) => getRootProperties(root)));
+
+  for (const [index, { root, suites }] of reports.entries()) {
+    let reportTime = 0;
+
+    for (const testsuite of suites) {
+      const summary = summarizeTestsuite(testsuite);
+      totals.tests += summary.tests;
+      totals.failures += summary.failures;
+      totals.errors += summary.errors;
+      totals.skipped += summary.skipped;
+      reportTime += summary.time;
+      testsuites.push(toXmlObject(addTestsuiteProperties(testsuite, properties.own[index])));
+    }
+
+    if (root.name === XML_ELEMENTS.TESTSUITES) {
+      reportTime = numberAttribute(root.attributes.time, reportTime);
+    }
+    totals.time += reportTime;
+  }
+
+  debug('mergeParsedReports: Merged reports:', { reports: roots.length, testsuites: testsuites.length, totals });
+
+  const rootSuite = {
+    _attr: {
+      name: options.name ?? DEFAULTS.ROOT_TESTSUITES_NAME,
+      time: totals.time.toFixed(TIME_CONVERSION.DECIMAL_PLACES),
+      tests: totals.tests,
+      failures: totals.failures,
+    },
+  };
+  if (totals.errors) {
+    rootSuite._attr.errors = totals.errors;
+  }
+  if (totals.skipped) {
+    rootSuite._attr.skipped = totals.skipped;
+  }
+
+  if (properties.shared.length > 0) {
+    testsuites.unshift(toXmlObject(createPropertiesElement(properties.shared)));
+  }
+
+  return toXml(
+    { [XML_ELEMENTS.TESTSUITES]: [rootSuite, ...testsuites] },
+    { declaration: XML_OPTIONS.DECLARATION, indent: XML_OPTIONS.INDENT }
+  );
+}
+
+/**
+ * Combines several JUnit reports into a single report.
+ * @param {string[]} reports - The XML documents to merge
+ * @param {Object} [options] - Merge options, see {@link mergeParsedReports}
+ * @returns {string} The merged XML document
+ * @throws {SyntaxError} If a report is not well-formed XML
+ * @throws {TypeError} If a report is not a JUnit report
+ */
+function mergeReports(reports, options = {}) {
+  return mergeParsedReports(
+    reports.map((xml) => parseXml(xml)),
+    options
+  );
+}
+
+module.exports = {
+  getTestsuites,
+  summarizeTestsuite,
+  mergeParsedReports,
+  mergeReports,
+};
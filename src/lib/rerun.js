@@ -0,0 +1,101 @@
+'use strict';
+
+const { readFile } = require('./files');
+const { RERUN } = require('../constants');
+
+// Arguments made of these characters need no quoting in POSIX shells
+const SHELL_SAFE_REGEX = /^[\w@%+=:,./-]+$/;
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Escapes the characters of a text that have a meaning in regular expressions.
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+  return text.replaceAll(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+}
+
+/**
+ * Builds a `--grep` pattern matching the full titles of failed tests, as Mocha joins them: the suite titles
+ * and the test title, separated by spaces. A failed hook matches every test of its suite.
+ * @param {Array<{titles: string[], hook: boolean}>} failures - The titles of each failed test, or of the suites
+ *   of each failed hook
+ * @returns {string|null} The pattern, or null if a hook of the root suite failed, so that every test is rerun
+ * @example
+ * buildGrepPattern([{ titles: ['Cart', 'adds items'], hook: false }, { titles: ['Checkout'], hook: true }])
+ * // Returns: '^(?:Cart adds items$|Checkout )'
+ */
+function buildGrepPattern(failures) {
+  if (failures.some(({ titles, hook }) => hook && titles.length === 0)) {
+    return null;
+  }
+  const alternatives = failures.map(({ titles, hook }) => escapeRegExp(titles.join(' ')) + (hook ? ' ' : '$'));
+  return alternatives.length > 0 ? `^(?:${[...new Set(alternatives)].join('|')})` : null;
+}
+
+/**
+ * Builds the rerun manifest written to the "rerunFile": the spec files of the failed tests and a `--grep`
+ * pattern of their full titles.
+ * @param {Array<{file?: string, titles: string[], hook: boolean}>} failures - The failed tests and hooks,
+ *   with the file they are defined in as given to Mocha
+ * @returns {string} The JSON document. Its `files` are empty if a failure has no file, such as a root hook
+ *   loaded with `--require`, so that every spec file is rerun
+ */
+function formatRerunManifest(failures) {
+  const files = failures.every(({ file }) => file) ? [...new Set(failures.map(({ file }) => file))].sort() : [];
+  const manifest = { version: RERUN.VERSION, failures: failures.length, files, grep: buildGrepPattern(failures) };
+  return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+/**
+ * Reads a rerun manifest written by the reporter.
+ * @param {string} filePath - Path of the manifest
+ * @returns {{failures: number, files: string[], grep: string|null}} The manifest
+ * @throws {Error} If the manifest cannot be read, parsed or is of an unknown version
+ */
+function readRerunManifest(filePath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(readFile(filePath));
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`, { cause: error });
+  }
+  if (manifest?.version !== RERUN.VERSION || !Array.isArray(manifest.files)) {
+    throw new TypeError(`Unknown rerun manifest format in ${filePath}`);
+  }
+  return { failures: Number(manifest.failures) || 0, files: manifest.files, grep: manifest.grep ?? null };
+}
+
+/**
+ * Lists the Mocha command line arguments rerunning the failed tests of a manifest.
+ * @param {{failures: number, files: string[], grep: string|null}} manifest - The manifest
+ * @returns {string[]} The arguments, empty if no tests failed
+ */
+function getRerunArgs(manifest) {
+  if (manifest.failures === 0) {
+    return [];
+  }
+  return [...(manifest.grep ? ['--grep', manifest.grep] : []), ...manifest.files];
+}
+
+/**
+ * Quotes an argument for POSIX shells.
+ * @param {string} arg - The argument
+ * @returns {string} The argument, in single quotes unless it is safe without
+ */
+function quoteShellArg(arg) {
+  return SHELL_SAFE_REGEX.test(arg) ? arg : `'${arg.replaceAll("'", String.raw`'\''`)}'`;
+}
+
+module.exports = {
+  escapeRegExp,
+  buildGrepPattern,
+  formatRerunManifest,
+  readRerunManifest,
+  getRerunArgs,
+  quoteShellArg,
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const path = require('node:path');
+const debug = require('debug')('mocha-gitlab-reporter:sharding');
+const { getChildren } = require('./xml-parser');
+const { getTestsuites } = require('./report-merger');
+const { XML_ELEMENTS } = require('../constants');
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Normalizes a file path for comparison with the `file` attributes of reports,
+ * which are relative to the directory the tests ran in.
+ * @param {string} file - The file path, relative or absolute
+ * @param {string} [cwd] - The directory relative paths are resolved against (default: `process.cwd()`)
+ * @returns {string} The path relative to `cwd`, `/`-separated
+ */
+function normalizeFilePath(file, cwd = process.cwd()) {
+  return path.relative(cwd, path.resolve(cwd, file)).split(path.sep).join('/');
+}
+
+/**
+ * Computes how long the tests of each spec file took, from the `file` and `time` attributes of the testcases
+ * of previous reports. A file that appears in several reports, e.g. of several pipelines, takes the average
+ * of its durations in each report.
+ * @param {Array<Object>} roots - The root elements returned by `parseXml`
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd] - The directory the tests ran in (default: `process.cwd()`)
+ * @returns {Map<string, number>} The duration of each file in seconds, by normalized path
+ * @throws {TypeError} If a report is not a JUnit report
+ */
+function readFileDurations(roots, options = {}) {
+  const totals = new Map();
+  for (const root of roots) {
+    const durations = new Map();
+    for (const testsuite of getTestsuites(root)) {
+      for (const testcase of getChildren(testsuite, XML_ELEMENTS.TESTCASE)) {
+        const { file, time } = testcase.attributes;
+        if (!file) {
+          continue;
+        }
+        const key = normalizeFilePath(file, options.cwd);
+        durations.set(key, (durations.get(key) ?? 0) + (Number(time) || 0));
+      }
+    }
+    for (const [file, duration] of durations) {
+      const total = totals.get(file) ?? { duration: 0, reports: 0 };
+      totals.set(file, { duration: total.duration + duration, reports: total.reports + 1 });
+    }
+  }
+  return new Map([...totals].map(([file, { duration, reports }]) => [file, duration / reports]));
+}
+
+/**
+ * Splits spec files into shards of about the same duration. Files are assigned longest first, each to the shard
+ * with the least duration so far; files without a duration are then dealt out one shard after the other.
+ * The plan only depends on its inputs, so every node of a parallel job computes the same one.
+ * @param {string[]} files - The spec files
+ * @param {Map<string, number>} durations - The duration of each file, see {@link readFileDurations}
+ * @param {number} total - The number of shards
+ * @param {Object} [options] - Options
+ * @param {string} [options.cwd] - The directory the tests run in (default: `process.cwd()`)
+ * @returns {Array<{files: string[], duration: number}>} The shards, each with its files sorted and the sum of
+ *   their known durations
+ * @example
+ * planShards(['a.js', 'b.js', 'c.js'], new Map([['a.js', 3], ['b.js', 2], ['c.js', 1]]), 2)
+ * // Returns: [{files: ['a.js'], duration: 3}, {files: ['b.js', 'c.js'], duration: 3}]
+ */
+function planShards(files, durations, total, options = {}) {
+  const shards = Array.from({ length: total }, () => ({ files: [], duration: 0 }));
+  const timed = [];
+  const untimed = [];
+  for (const file of [...new Set(files)].sort()) {
+    const duration = durations.get(normalizeFilePath(file, options.cwd));
+    if (duration === undefined) {
+      untimed.push(file);
+    } else {
+      timed.push({ file, duration });
+    }
+  }
+
+  timed.sort((a, b) => b.duration - a.duration);
+  for (const { file, duration } of timed) {
+    const lightest = shards.reduce((min, shard) => (shard.duration < min.duration ? shard : min));
+    lightest.files.push(file);
+    lightest.duration += duration;
+  }
+  for (const [index, file] of untimed.entries()) {
+    shards[index % total].files.push(file);
+  }
+
+  debug('planShards: Planned shards:', { total, timed: timed.length, untimed: untimed.length });
+  for (const shard of shards) {
+    shard.files.sort();
+  }
+  return shards;
+}
+
+module.exports = {
+  normalizeFilePath,
+  readFileDurations,
+  planShards,
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const fs = require('node:fs');
+const debug = require('debug')('mocha-gitlab-reporter:source-excerpt');
+const { FILE_CONSTANTS, SOURCE_EXCERPT } = require('../constants');
+
+const LINE_BREAK_REGEX = /\r?\n/;
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Formats the lines around a position in a source file, with the line marked and a caret under the column.
+ * @param {string} source - The content of the file
+ * @param {number} line - The line, starting at 1
+ * @param {number} column - The column, starting at 1
+ * @param {number} contextLines - Number of lines to show before and after the line
+ * @returns {string|null} The excerpt, or null if the file has no such line
+ * @example
+ * formatSourceExcerpt('const a = 1;\nassert(a === 2);\n', 2, 1, 1)
+ * // Returns: '  1 | const a = 1;\n> 2 | assert(a === 2);\n    | ^\n  3 |'
+ */
+function formatSourceExcerpt(source, line, column, contextLines) {
+  const lines = String(source).split(LINE_BREAK_REGEX);
+  if (!Number.isInteger(line) || line < 1 || line > lines.length) {
+    return null;
+  }
+  const first = Math.max(1, line - contextLines);
+  const last = Math.min(lines.length, line + contextLines);
+  const width = String(last).length;
+  const blankMarker = ' '.repeat(SOURCE_EXCERPT.MARKER.length);
+
+  const excerpt = [];
+  for (let number = first; number <= last; number++) {
+    const text = lines[number - 1];
+    const marker = number === line ? SOURCE_EXCERPT.MARKER : blankMarker;
+    excerpt.push(`${marker} ${String(number).padStart(width)}${SOURCE_EXCERPT.GUTTER}${text}`.trimEnd());
+    if (number === line && column >= 1) {
+      // Tabs are kept so the caret lines up with the column however wide tabs are shown
+      const offset = text.slice(0, column - 1).replaceAll(/[^\t]/g, ' ');
+      excerpt.push(`${blankMarker} ${' '.repeat(width)}${SOURCE_EXCERPT.GUTTER}${offset}${SOURCE_EXCERPT.CARET}`);
+    }
+  }
+  return excerpt.join('\n');
+}
+
+/**
+ * Reads the lines around a position in a file from disk, see {@link formatSourceExcerpt}.
+ * Files larger than `SOURCE_EXCERPT.MAX_FILE_SIZE` are not read.
+ * @param {string} file - Path of the file
+ * @param {number} line - The line, starting at 1
+ * @param {number} column - The column, starting at 1
+ * @param {Object} [options] - Excerpt options
+ * @param {number} [options.contextLines] - Number of lines to show before and after the line
+ * @param {string} [options.displayPath] - Path of the file shown in the header, defaults to the given path
+ * @returns {string|null} The excerpt under a header with its location, or null if the file cannot be read
+ */
+function readSourceExcerpt(file, line, column, options = {}) {
+  let source;
+  try {
+    const stats = fs.statSync(file);
+    if (!stats.isFile() || stats.size > SOURCE_EXCERPT.MAX_FILE_SIZE) {
+      debug('readSourceExcerpt: Skipping file:', { file, size: stats.size });
+      return null;
+    }
+    source = fs.readFileSync(file, FILE_CONSTANTS.ENCODING);
+  } catch (error) {
+    debug('readSourceExcerpt: Could not read file:', { file, error: error.message });
+    return null;
+  }
+
+  const excerpt = formatSourceExcerpt(source, line, column, options.contextLines ?? 0);
+  if (excerpt === null) {
+    return null;
+  }
+  return `${SOURCE_EXCERPT.HEADER} ${options.displayPath ?? file}:${line}:${column}\n${excerpt}`;
+}
+
+module.exports = {
+  formatSourceExcerpt,
+  readSourceExcerpt,
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { SourceMap } = require('node:module');
+const { fileURLToPath } = require('node:url');
+const debug = require('debug')('mocha-gitlab-reporter:source-maps');
+const { FILE_CONSTANTS, SOURCE_MAPS } = require('../constants');
+
+// The last `//# sourceMappingURL=` comment of a compiled file
+const SOURCE_MAPPING_URL_REGEX = /\/[/*][#@]\s*sourceMappingURL=(\S+?)\s*(?:\*\/\s*)?$/;
+const DATA_URL_REGEX = /^data:application\/json(?:;charset=[\w-]+)?(;base64)?,(.*)$/;
+const URL_SCHEME_REGEX = /^[a-z][\w+.-]*:/i;
+const FILE_URL_PREFIX = 'file://';
+
+/**
+ * Maps positions in compiled files, e.g. of TypeScript or Babel builds, back to their sources,
+ * using the source maps of the compiled files on disk.
+ *
+ * A compiled file's source map is found through its `sourceMappingURL` comment, which may be an inline
+ * `data:` URL or a path relative to the file, or else at the file's path with `.map` appended.
+ * Source maps are read once per file; files without a source map are left as they are.
+ */
+class SourceMapResolver {
+  constructor() {
+    // Loaded source maps by compiled file, null for files without one
+    this._sourceMaps = new Map();
+  }
+
+  /**
+   * Maps a position in a compiled file to its source.
+   * @param {string} file - Path of the compiled file
+   * @param {number} line - The line, starting at 1
+   * @param {number} column - The column, starting at 1
+   * @returns {{file: string, line: number, column: number}|null} The position in the source,
+   *   or null if the file has no source map or the position isn't mapped
+   */
+  resolvePosition(file, line, column) {
+    const sourceMap = this.load(file);
+    if (!sourceMap) {
+      return null;
+    }
+    const entry = sourceMap.map.findEntry(line - 1, column - 1);
+    // findEntry returns the closest mapping before the position, which may be on an earlier line
+    if (entry?.originalSource === undefined || entry.generatedLine !== line - 1) {
+      return null;
+    }
+    return {
+      file: this.resolveSource(sourceMap, entry.originalSource),
+      line: entry.originalLine + 1,
+      column: entry.originalColumn + 1,
+    };
+  }
+
+  /**
+   * Maps a compiled file to its source, if its source map has exactly one source.
+   * @param {string} file - Path of the compiled file
+   * @returns {string} The path of the source, or the given path
+   */
+  resolveFile(file) {
+    const sourceMap = this.load(file);
+    const sources = sourceMap?.map.payload.sources ?? [];
+    return sources.length === 1 ? this.resolveSource(sourceMap, sources[0]) : file;
+  }
+
+  /**
+   * Resolves a source of a source map into a path.
+   * @param {{map: SourceMap, directory: string}} sourceMap - The loaded source map
+   * @param {string} source - The source, as listed in the source map
+   * @returns {string} The path of the source; sources with a URL other than a `file` URL are returned as they are
+   */
+  resolveSource(sourceMap, source) {
+    if (source.startsWith(FILE_URL_PREFIX)) {
+      return fileURLToPath(source);
+    }
+    if (URL_SCHEME_REGEX.test(source)) {
+      return source;
+    }
+    return path.resolve(sourceMap.directory, sourceMap.map.payload.sourceRoot ?? '', source);
+  }
+
+  /**
+   * Loads the source map of a compiled file.
+   * @param {string} file - Path of the compiled file
+   * @returns {{map: SourceMap, directory: string}|null} The source map and the directory its sources are
+   *   relative to, or null if the file has no readable source map
+   */
+  load(file) {
+    if (this._sourceMaps.has(file)) {
+      return this._sourceMaps.get(file);
+    }
+    let sourceMap = null;
+    try {
+      sourceMap = this.read(file);
+    } catch (error) {
+      debug('load: Could not read source map:', { file, error: error.message });
+    }
+    this._sourceMaps.set(file, sourceMap);
+    return sourceMap;
+  }
+
+  /**
+   * Reads the source map of a compiled file from disk.
+   * @param {string} file - Path of the compiled file
+   * @returns {{map: SourceMap, directory: string}|null} The source map, or null if the file has none
+   * @throws {Error} If a source map is referenced but cannot be read or parsed
+   */
+  read(file) {
+    if (!fs.existsSync(file) || fs.statSync(file).size > SOURCE_MAPS.MAX_FILE_SIZE) {
+      return null;
+    }
+    const content = fs.readFileSync(file, FILE_CONSTANTS.ENCODING);
+    const url = SOURCE_MAPPING_URL_REGEX.exec(content.trimEnd())?.[1];
+    let payload;
+    let directory = path.dirname(file);
+
+    const dataUrl = url && DATA_URL_REGEX.exec(url);
+    if (dataUrl) {
+      const [, base64, data] = dataUrl;
+      payload = base64 ? Buffer.from(data, 'base64').toString(FILE_CONSTANTS.ENCODING) : decodeURIComponent(data);
+    } else {
+      let mapFile = `${file}${SOURCE_MAPS.EXTENSION}`;
+      if (url?.startsWith(FILE_URL_PREFIX)) {
+        mapFile = fileURLToPath(url);
+      } else if (url && !URL_SCHEME_REGEX.test(url)) {
+        mapFile = path.resolve(directory, decodeURIComponent(url));
+      }
+      if (!fs.existsSync(mapFile)) {
+        return null;
+      }
+      payload = fs.readFileSync(mapFile, FILE_CONSTANTS.ENCODING);
+      directory = path.dirname(mapFile);
+    }
+
+    debug('read: Loaded source map:', { file });
+    return { map: new SourceMap(JSON.parse(payload)), directory };
+  }
+}
+
+module.exports = {
+  SourceMapResolver,
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+const debug = require('debug')('mocha-gitlab-reporter:stack');
+const path = require('node:path');
+const { fileURLToPath } = require('node:url');
+
+// Matches V8 stack frames: "    at fn (file:line:column)" and "    at file:line:column"
+const FRAME_REGEX = /^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/;
+const NODE_MODULES_REGEX = /[\\/]node_modules[\\/]/;
+const MOCHA_REGEX = /[\\/]node_modules[\\/]mocha[\\/]/;
+const FILE_URL_PREFIX = 'file://';
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Checks whether a frame belongs to Node.js itself rather than to a file on disk,
+ * e.g. `node:internal/timers` or `<anonymous>`.
+ * @param {string} file - The file of the frame
+ * @returns {boolean}
+ */
+function isInternalFile(file) {
+  return file.startsWith('node:') || file.startsWith('internal/') || !/[\\/]/.test(file);
+}
+
+/**
+ * Parses a single line of a V8 stack trace.
+ * @param {string} stackLine - The line
+ * @returns {Object|null} The frame, see {@link parseStackFrames}, or null if the line is not a frame
+ */
+function parseStackFrame(stackLine) {
+  const match = FRAME_REGEX.exec(stackLine);
+  if (!match) {
+    return null;
+  }
+  let file = match[2];
+  if (file.startsWith(FILE_URL_PREFIX)) {
+    try {
+      file = fileURLToPath(file);
+    } catch (error) {
+      // keep the URL as it is
+      debug('parseStackFrame: Could not convert file URL:', { file, error: error.message });
+    }
+  }
+  return {
+    functionName: match[1] ?? null,
+    file,
+    line: Number.parseInt(match[3], 10),
+    column: Number.parseInt(match[4], 10),
+    internal: isInternalFile(file),
+  };
+}
+
+/**
+ * Parses the frames of a V8 stack trace.
+ * Lines that are not frames, such as the error message, are skipped.
+ * @param {string} [stack] - The stack trace
+ * @returns {Array<{functionName: string|null, file: string, line: number, column: number, internal: boolean}>}
+ *   The frames, innermost first. `file` URLs are converted to paths, and `internal` is true for
+ *   Node.js internals.
+ * @example
+ * parseStackFrames('Error: boom\n    at Context.<anonymous> (/repo/test/a.spec.js:3:11)')
+ * // Returns: [{functionName: 'Context.<anonymous>', file: '/repo/test/a.spec.js', line: 3, column: 11, internal: false}]
+ */
+function parseStackFrames(stack) {
+  if (typeof stack !== 'string') {
+    return [];
+  }
+  return stack
+    .split('\n')
+    .map(parseStackFrame)
+    .filter((frame) => frame !== null);
+}
+
+/**
+ * Cleans up a V8 stack trace: removes frames of Node.js internals and Mocha, removes frames matching
+ * the given patterns, and maps frames of compiled files back to their sources.
+ * Lines that are not frames, such as the error message, are kept.
+ * @param {string} [stack] - The stack trace
+ * @param {Object} [options] - Cleanup options
+ * @param {boolean} [options.removeInternals] - Whether to remove frames of Node.js internals and Mocha
+ * @param {RegExp[]} [options.patterns] - Frames whose line matches one of these are removed
+ * @param {function(string, number, number): ?{file: string, line: number, column: number}} [options.resolvePosition]
+ *   Maps a position in a compiled file to its source, or returns null to keep the frame as it is
+ * @returns {string|undefined} The cleaned up stack trace
+ * @example
+ * cleanStack('Error: boom\n    at Context.<anonymous> (/repo/test/a.spec.js:3:11)\n    at process.processImmediate (node:internal/timers:483:21)', { removeInternals: true })
+ * // Returns: 'Error: boom\n    at Context.<anonymous> (/repo/test/a.spec.js:3:11)'
+ */
+function cleanStack(stack, options = {}) {
+  if (typeof stack !== 'string') {
+    return stack;
+  }
+  const patterns = options.patterns ?? [];
+  const lines = [];
+  for (const stackLine of stack.split('\n')) {
+    const frame = parseStackFrame(stackLine);
+    if (!frame) {
+      lines.push(stackLine);
+      continue;
+    }
+    if (options.removeInternals && (frame.internal || MOCHA_REGEX.test(frame.file))) {
+      continue;
+    }
+    if (patterns.some((pattern) => pattern.test(stackLine))) {
+      continue;
+    }
+    const resolved = options.resolvePosition?.(frame.file, frame.line, frame.column);
+    if (!resolved) {
+      lines.push(stackLine);
+      continue;
+    }
+    const indent = /^\s*/.exec(stackLine)[0];
+    const location = `${resolved.file}:${resolved.line}:${resolved.column}`;
+    lines.push(frame.functionName ? `${indent}at ${frame.functionName} (${location})` : `${indent}at ${location}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Finds the frame a failure should be reported at: the innermost frame in the test file,
+ * or else the innermost frame outside Node.js internals and `node_modules`.
+ * @param {Array<Object>} frames - Frames returned by {@link parseStackFrames}
+ * @param {string} [testFile] - The file of the failed test
+ * @returns {Object|null} The frame, or null if there is none
+ */
+function findTestFrame(frames, testFile) {
+  if (testFile) {
+    const resolved = path.resolve(testFile);
+    const testFrame = frames.find((frame) => path.resolve(frame.file) === resolved);
+    if (testFrame) {
+      return testFrame;
+    }
+  }
+  return frames.find((frame) => !frame.internal && !NODE_MODULES_REGEX.test(frame.file)) ?? null;
+}
+
+module.exports = {
+  parseStackFrames,
+  cleanStack,
+  findTestFrame,
+};
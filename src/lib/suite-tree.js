@@ -0,0 +1,102 @@
+'use strict';
+
+const debug = require('debug')('mocha-gitlab-reporter:suite-tree');
+const { MOCHA_SERIALIZED } = require('../constants');
+
+/**
+ * Rebuilds the suite hierarchy from the objects Mocha emits in parallel mode.
+ *
+ * Under `mocha --parallel` each file runs in a worker, and the reporter receives serialized copies of the
+ * worker's suites, tests and hooks. A serialized object only refers to its parent by ID, so the parent chain
+ * cannot be walked. The tree records every suite as its `suite` event arrives, keyed by ID, so titles and
+ * files can be resolved for the tests and hooks that follow.
+ */
+class SuiteTree {
+  constructor() {
+    this._suites = new Map();
+  }
+
+  /**
+   * Returns the ID of a suite, test or hook.
+   * @param {Object} [runnable] - A Mocha object, serialized or not
+   * @returns {string|undefined} The ID, if the object has one
+   */
+  static getId(runnable) {
+    return runnable?.[MOCHA_SERIALIZED.ID_PROP];
+  }
+
+  /**
+   * Records a suite.
+   * @param {Object} suite - The suite from a `suite` event
+   */
+  add(suite) {
+    const id = SuiteTree.getId(suite);
+    if (!id) {
+      debug('add: Suite has no ID, skipping:', suite.title);
+      return;
+    }
+    const existing = this._suites.get(id);
+    this._suites.set(id, {
+      title: suite.title,
+      root: !!suite.root,
+      parentId: SuiteTree.getId(suite.parent) ?? null,
+      file: suite.file ?? existing?.file ?? null,
+    });
+  }
+
+  /**
+   * Records the file of a suite, if it has none yet.
+   * Serialized suites do not carry their file, but their tests and hooks do.
+   * @param {string} id - The suite ID
+   * @param {string} [file] - The file
+   */
+  setFile(id, file) {
+    const suite = this._suites.get(id);
+    if (suite && !suite.file && file) {
+      suite.file = file;
+    }
+  }
+
+  /**
+   * Returns the titles of the suites containing a test or hook, outermost first.
+   * Untitled suites, including the root suite, are omitted.
+   * @param {Object} runnable - The test or hook
+   * @returns {string[]|null} The titles, or null if the parent suite has not been recorded
+   */
+  getTitles(runnable) {
+    let id = SuiteTree.getId(runnable.parent);
+    if (!this._suites.has(id)) {
+      return null;
+    }
+    const titles = [];
+    while (this._suites.has(id)) {
+      const suite = this._suites.get(id);
+      if (suite.title) {
+        titles.unshift(suite.title);
+      }
+      id = suite.parentId;
+    }
+    return titles;
+  }
+
+  /**
+   * Returns the file of the nearest suite containing a test or hook that has one.
+   * @param {Object} runnable - The test or hook
+   * @returns {string|undefined} The file
+   */
+  getFile(runnable) {
+    let id = SuiteTree.getId(runnable.parent);
+    while (this._suites.has(id)) {
+      const suite = this._suites.get(id);
+      if (suite.file) {
+        return suite.file;
+      }
+      id = suite.parentId;
+    }
+    return undefined;
+  }
+}
+
+module.exports = {
+  SuiteTree,
+};
@@ -0,0 +1,58 @@
+'use strict';
+
+const { TAGS } = require('../constants');
+
+// A tag is an `@` at the start of a word, e.g. `@smoke` or `@JIRA-123`, but not the `@` of an email address
+const TAG_REGEX = /(?<=^|\s)@([\w.:-]*\w)(?=\s|$)/g;
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Extracts the `@tags` of a test or suite title.
+ * @param {string} title - The title
+ * @returns {{title: string, tags: string[]}} The title without its tags, and the tags without their `@`
+ * @example
+ * extractTags('logs in @smoke @auth') // { title: 'logs in', tags: ['smoke', 'auth'] }
+ */
+function extractTags(title) {
+  const tags = [];
+  const stripped = String(title ?? '').replaceAll(TAG_REGEX, (match, tag) => {
+    tags.push(tag);
+    return '';
+  });
+  if (tags.length === 0) {
+    return { title, tags };
+  }
+  return { title: stripped.replaceAll(/\s{2,}/g, ' ').trim(), tags };
+}
+
+/**
+ * Normalizes a list of tags given in an option, so `smoke` and `@smoke` are the same tag.
+ * @param {string[]} tags - The tags
+ * @returns {string[]} The tags without their `@`
+ */
+function normalizeTags(tags) {
+  return tags.map((tag) => (tag.startsWith(TAGS.PREFIX) ? tag.slice(TAGS.PREFIX.length) : tag)).filter(Boolean);
+}
+
+/**
+ * Checks whether a test with the given tags is included in the report.
+ * @param {string[]} tags - The tags of the test
+ * @param {string[]} includeTags - Tags of which a test needs at least one, or empty to include every test
+ * @param {string[]} excludeTags - Tags of which a test must have none
+ * @returns {boolean}
+ */
+function matchesTags(tags, includeTags, excludeTags) {
+  if (includeTags.length > 0 && !tags.some((tag) => includeTags.includes(tag))) {
+    return false;
+  }
+  return !tags.some((tag) => excludeTags.includes(tag));
+}
+
+module.exports = {
+  extractTags,
+  normalizeTags,
+  matchesTags,
+};
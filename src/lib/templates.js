@@ -0,0 +1,69 @@
+'use strict';
+
+const { TEMPLATES } = require('../constants');
+
+// A placeholder, e.g. `{title}`, `{suites[-1]}` or `{suites[0..2]}`
+const PLACEHOLDER_REGEX = /\{(\w+)(?:\[(?:(-?\d+)|(-?\d*)\.\.(-?\d*))\])?\}/g;
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Selects the titles a placeholder refers to; negative indexes count from the end.
+ * @param {string[]} list - The titles
+ * @param {string} [index] - Index of a single title
+ * @param {string} [start] - Index of the first title of a range, empty for the start of the list
+ * @param {string} [end] - Index after the last title of a range, empty for the end of the list
+ * @returns {string[]} The selected titles
+ */
+function selectTitles(list, index, start, end) {
+  if (index !== undefined) {
+    const title = list.at(Number(index));
+    return title === undefined ? [] : [title];
+  }
+  if (start === undefined) {
+    return list;
+  }
+  return list.slice(Number(start), end === '' ? undefined : Number(end));
+}
+
+/**
+ * Compiles a classname or name template.
+ *
+ * Placeholders are `{title}` for the test title, `{file}` for the test file, and `{suites}` for the titles
+ * of the suites, outermost first, joined with the separator. A single suite is selected with an index,
+ * as in `{suites[0]}` or `{suites[-1]}` for the innermost suite, and a range with `{suites[1..3]}`,
+ * which ends before the second index. Either index of a range may be left out, e.g. `{suites[-2..]}`.
+ * @param {string} template - The template
+ * @returns {function(Object): string} Renders the template from `{title, file, suites, separator}`
+ * @throws {TypeError} If the template has an unknown placeholder, or an index on a placeholder other than `suites`
+ * @example
+ * compileTemplate('{file}:{suites[0..2]}')({ title: 't', file: 'a.spec.js', suites: ['A', 'B', 'C'], separator: '.' })
+ * // 'a.spec.js:A.B'
+ */
+function compileTemplate(template) {
+  for (const [placeholder, name, index, start] of String(template).matchAll(PLACEHOLDER_REGEX)) {
+    if (!TEMPLATES.PLACEHOLDERS.includes(name)) {
+      throw new TypeError(
+        `Unknown placeholder ${placeholder} in template "${template}", expected one of: ${TEMPLATES.PLACEHOLDERS.join(', ')}`
+      );
+    }
+    if ((index !== undefined || start !== undefined) && name !== TEMPLATES.SUITES) {
+      throw new TypeError(`Only {${TEMPLATES.SUITES}} can be indexed, got ${placeholder} in template "${template}"`);
+    }
+  }
+
+  return function (values) {
+    return String(template).replaceAll(PLACEHOLDER_REGEX, (placeholder, name, index, start, end) => {
+      if (name !== TEMPLATES.SUITES) {
+        return values[name] ?? '';
+      }
+      return selectTitles(values.suites, index, start, end).join(values.separator);
+    });
+  };
+}
+
+module.exports = {
+  compileTemplate,
+};
@@ -1,6 +1,6 @@
 'use strict';
 
-const { SPECIAL_PROPS, XML_ENTITIES, DEFAULTS, FORMAT } = require('./xml-constants');
+const { SPECIAL_PROPS, XML_ENTITIES, DEFAULTS, FORMAT, MARKUP } = require('./xml-constants');
 
 // ============================================================================
 // FUNCTIONS
@@ -20,6 +20,28 @@ function escapeXml(str) {
   return result;
 }
 
+/**
+ * Escapes text for a CDATA section, which can't contain its own end marker:
+ * every `]]>` is split across two CDATA sections.
+ * @param {string} str - The text
+ * @returns {string} The escaped text
+ */
+function escapeCdata(str) {
+  return String(str).replaceAll(MARKUP.CDATA_END, `]]${MARKUP.CDATA_END}${MARKUP.CDATA_START}>`);
+}
+
+/**
+ * Serializes an attribute map into a string of ` key="value"` pairs.
+ * @param {Object} [attributes] - Attribute names and values
+ * @returns {string} The serialized attributes, with a leading space per attribute
+ */
+function buildAttributes(attributes) {
+  if (!attributes) return '';
+  return Object.entries(attributes)
+    .map(([key, val]) => ` ${key}="${escapeXml(val)}"`)
+    .join('');
+}
+
 /**
  * Builds XML string from a JavaScript object structure.
  * Supports special keys: _attr for attributes, _cdata for CDATA sections.
@@ -55,9 +77,7 @@ function buildXml(obj, options = {}, depth = FORMAT.INITIAL_DEPTH) {
         // Treat array as single element with attributes and children
         const indent = options.indent || DEFAULTS.INDENT;
         const indentStr = indent.repeat(depth);
-        const attributes = Object.entries(value[0][SPECIAL_PROPS.ATTR])
-          .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
-          .join('');
+        const attributes = buildAttributes(value[0][SPECIAL_PROPS.ATTR]);
 
         const childrenXml = value
           .slice(1)
@@ -99,16 +119,11 @@ function buildXmlElement(tagName, content, options, depth) {
   }
 
   // Handle objects with attributes and content
-  let attributes = '';
-  if (content[SPECIAL_PROPS.ATTR]) {
-    attributes = Object.entries(content[SPECIAL_PROPS.ATTR])
-      .map(([key, val]) => ` ${key}="${escapeXml(val)}"`)
-      .join('');
-  }
+  const attributes = buildAttributes(content[SPECIAL_PROPS.ATTR]);
 
   // Handle CDATA content
   if (content[SPECIAL_PROPS.CDATA] !== undefined) {
-    return `${indentStr}<${tagName}${attributes}><![CDATA[${content[SPECIAL_PROPS.CDATA]}]]></${tagName}>\n`;
+    return `${indentStr}<${tagName}${attributes}><![CDATA[${escapeCdata(content[SPECIAL_PROPS.CDATA])}]]></${tagName}>\n`;
   }
 
   // Check if there's actual content (excluding _attr)
@@ -131,6 +146,42 @@ function buildXmlElement(tagName, content, options, depth) {
   return `${indentStr}<${tagName}${attributes}>\n${innerXml}${indentStr}</${tagName}>\n`;
 }
 
+/**
+ * Builds the opening tag of an element whose children are written separately.
+ * Used when a document is streamed rather than generated in one pass.
+ * @param {string} tagName - The tag name
+ * @param {Object} [attributes] - Attribute names and values
+ * @param {Object} options - XML generation options
+ * @param {string} options.indent - Indentation string
+ * @param {number} depth - Indentation depth of the element
+ * @returns {string} The opening tag followed by a newline
+ */
+function buildStartTag(tagName, attributes, options = {}, depth = FORMAT.INITIAL_DEPTH) {
+  const indent = options.indent || DEFAULTS.INDENT;
+  return `${indent.repeat(depth)}<${tagName}${buildAttributes(attributes)}>\n`;
+}
+
+/**
+ * Builds the closing tag matching {@link buildStartTag}.
+ * @param {string} tagName - The tag name
+ * @param {Object} options - XML generation options
+ * @param {string} options.indent - Indentation string
+ * @param {number} depth - Indentation depth of the element
+ * @returns {string} The closing tag followed by a newline
+ */
+function buildEndTag(tagName, options = {}, depth = FORMAT.INITIAL_DEPTH) {
+  const indent = options.indent || DEFAULTS.INDENT;
+  return `${indent.repeat(depth)}</${tagName}>\n`;
+}
+
+/**
+ * Builds the XML declaration line.
+ * @returns {string} The XML declaration followed by a newline
+ */
+function buildDeclaration() {
+  return `<?xml version="${DEFAULTS.VERSION}" encoding="${DEFAULTS.ENCODING}"?>\n`;
+}
+
 /**
  * Converts an object structure to XML string with optional declaration.
  * Main entry point for XML generation.
@@ -144,7 +195,7 @@ function toXml(obj, options = {}) {
   let xml = '';
 
   if (options.declaration) {
-    xml += `<?xml version="${DEFAULTS.VERSION}" encoding="${DEFAULTS.ENCODING}"?>\n`;
+    xml += buildDeclaration();
   }
 
   xml += buildXml(obj, options, FORMAT.INITIAL_DEPTH);
@@ -154,7 +205,12 @@ function toXml(obj, options = {}) {
 
 module.exports = {
   escapeXml,
+  escapeCdata,
+  buildAttributes,
   buildXml,
   buildXmlElement,
+  buildStartTag,
+  buildEndTag,
+  buildDeclaration,
   toXml,
 };
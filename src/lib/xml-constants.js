@@ -23,6 +23,28 @@ const XML_ENTITIES = {
   "'": '&apos;',
 };
 
+/**
+ * Entity names recognised when parsing, mapped to the characters they represent
+ */
+const XML_ENTITY_VALUES = Object.fromEntries(
+  Object.entries(XML_ENTITIES).map(([char, entity]) => [entity.slice(1, -1), char])
+);
+
+/**
+ * Markup delimiters recognised by the XML parser
+ */
+const MARKUP = {
+  CDATA_START: '<![CDATA[',
+  CDATA_END: ']]>',
+  COMMENT_START: '<!--',
+  COMMENT_END: '-->',
+  PI_START: '<?',
+  PI_END: '?>',
+  DECLARATION_START: '<!',
+  END_TAG_START: '</',
+  SELF_CLOSING_END: '/>',
+};
+
 /**
  * Default XML formatting options
  */
@@ -43,6 +65,8 @@ const FORMAT = {
 module.exports = {
   SPECIAL_PROPS,
   XML_ENTITIES,
+  XML_ENTITY_VALUES,
+  MARKUP,
   DEFAULTS,
   FORMAT,
 };
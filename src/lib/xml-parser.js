@@ -0,0 +1,212 @@
+'use strict';
+
+const { SPECIAL_PROPS, XML_ENTITY_VALUES, MARKUP } = require('./xml-constants');
+
+const TAG_NAME_REGEX = /[^\s/>]+/y;
+const ATTRIBUTE_REGEX = /\s*([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+const ENTITY_REGEX = /&(#x[\da-f]+|#\d+|[a-z]+);/gi;
+const BYTE_ORDER_MARK = '\uFEFF';
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+/**
+ * Replaces entity and character references with the characters they represent.
+ * @param {string} str - The string to decode
+ * @returns {string} The decoded string
+ * @throws {SyntaxError} If the string contains an unknown entity
+ */
+function unescapeXml(str) {
+  return str.replaceAll(ENTITY_REGEX, (match, ref) => {
+    if (ref[0] === '#') {
+      const isHex = ref[1] === 'x' || ref[1] === 'X';
+      return String.fromCodePoint(Number.parseInt(ref.slice(isHex ? 2 : 1), isHex ? 16 : 10));
+    }
+    if (!Object.prototype.hasOwnProperty.call(XML_ENTITY_VALUES, ref)) {
+      throw new SyntaxError(`Unknown XML entity: ${match}`);
+    }
+    return XML_ENTITY_VALUES[ref];
+  });
+}
+
+/**
+ * Creates an element node.
+ * @param {string} name - The tag name
+ * @param {Object} attributes - The decoded attribute values
+ * @returns {{name: string, attributes: Object, children: Array<Object>, text: string, cdata: boolean}}
+ */
+function createElement(name, attributes) {
+  return { name, attributes, children: [], text: '', cdata: false };
+}
+
+/**
+ * Finds the index at which a piece of markup ends.
+ * @param {string} xml - The document
+ * @param {string} terminator - The string that ends the markup
+ * @param {number} from - Index to search from
+ * @returns {number} Index just after the terminator
+ * @throws {SyntaxError} If the terminator is missing
+ */
+function findEnd(xml, terminator, from) {
+  const end = xml.indexOf(terminator, from);
+  if (end === -1) {
+    throw new SyntaxError(`Unterminated markup at position ${from}: expected "${terminator}"`);
+  }
+  return end + terminator.length;
+}
+
+/**
+ * Parses an XML document into a tree of element nodes.
+ * Supports the subset of XML found in JUnit reports: elements, attributes, text, CDATA sections,
+ * comments, processing instructions and a DOCTYPE, which is skipped.
+ * @param {string} xml - The XML document
+ * @returns {{name: string, attributes: Object, children: Array<Object>, text: string, cdata: boolean}}
+ *   The root element. `text` holds the element's decoded text and CDATA content, and `cdata` is true
+ *   if any of it came from a CDATA section.
+ * @throws {SyntaxError} If the document is not well-formed
+ * @example
+ * parseXml('<testsuites><testsuite name="a"/></testsuites>')
+ * // Returns: {name: 'testsuites', attributes: {}, children: [{name: 'testsuite', attributes: {name: 'a'}, ...}], ...}
+ */
+function parseXml(xml) {
+  xml = String(xml);
+  let pos = xml.startsWith(BYTE_ORDER_MARK) ? 1 : 0;
+  const stack = [];
+  let root = null;
+
+  function appendText(text, isCdata) {
+    const current = stack.at(-1);
+    if (current) {
+      current.text += text;
+      current.cdata = current.cdata || isCdata;
+    } else if (isCdata || text.trim() !== '') {
+      throw new SyntaxError(`Unexpected content outside the root element at position ${pos}`);
+    }
+  }
+
+  while (pos < xml.length) {
+    const tagStart = xml.indexOf('<', pos);
+    if (tagStart === -1) {
+      appendText(unescapeXml(xml.slice(pos)), false);
+      break;
+    }
+    if (tagStart > pos) {
+      appendText(unescapeXml(xml.slice(pos, tagStart)), false);
+    }
+    pos = tagStart;
+
+    if (xml.startsWith(MARKUP.CDATA_START, pos)) {
+      const end = findEnd(xml, MARKUP.CDATA_END, pos);
+      appendText(xml.slice(pos + MARKUP.CDATA_START.length, end - MARKUP.CDATA_END.length), true);
+      pos = end;
+    } else if (xml.startsWith(MARKUP.COMMENT_START, pos)) {
+      pos = findEnd(xml, MARKUP.COMMENT_END, pos);
+    } else if (xml.startsWith(MARKUP.PI_START, pos)) {
+      pos = findEnd(xml, MARKUP.PI_END, pos);
+    } else if (xml.startsWith(MARKUP.DECLARATION_START, pos)) {
+      // DOCTYPE, possibly with an internal subset in square brackets
+      const bracket = xml.indexOf('[', pos);
+      const close = xml.indexOf('>', pos);
+      pos = bracket !== -1 && bracket < close ? findEnd(xml, ']>', bracket) : findEnd(xml, '>', pos);
+    } else if (xml.startsWith(MARKUP.END_TAG_START, pos)) {
+      const end = findEnd(xml, '>', pos);
+      const name = xml.slice(pos + MARKUP.END_TAG_START.length, end - 1).trim();
+      const element = stack.pop();
+      if (!element || element.name !== name) {
+        throw new SyntaxError(`Unexpected closing tag </${name}> at position ${pos}`);
+      }
+      pos = end;
+    } else {
+      TAG_NAME_REGEX.lastIndex = pos + 1;
+      const nameMatch = TAG_NAME_REGEX.exec(xml);
+      if (!nameMatch) {
+        throw new SyntaxError(`Invalid tag at position ${pos}`);
+      }
+      pos = TAG_NAME_REGEX.lastIndex;
+
+      const attributes = {};
+      ATTRIBUTE_REGEX.lastIndex = pos;
+      let attributeMatch;
+      while ((attributeMatch = ATTRIBUTE_REGEX.exec(xml)) !== null) {
+        attributes[attributeMatch[1]] = unescapeXml(attributeMatch[2] ?? attributeMatch[3]);
+        pos = ATTRIBUTE_REGEX.lastIndex;
+      }
+      while (/\s/.test(xml[pos])) pos++;
+
+      const element = createElement(nameMatch[0], attributes);
+      const parent = stack.at(-1);
+      if (parent) {
+        parent.children.push(element);
+      } else if (root) {
+        throw new SyntaxError(`Unexpected second root element <${element.name}> at position ${tagStart}`);
+      } else {
+        root = element;
+      }
+
+      if (xml.startsWith(MARKUP.SELF_CLOSING_END, pos)) {
+        pos += MARKUP.SELF_CLOSING_END.length;
+      } else if (xml[pos] === '>') {
+        pos++;
+        stack.push(element);
+      } else {
+        throw new SyntaxError(`Malformed tag <${element.name}> at position ${tagStart}`);
+      }
+    }
+  }
+
+  if (stack.length > 0) {
+    throw new SyntaxError(`Unclosed element <${stack.at(-1).name}>`);
+  }
+  if (!root) {
+    throw new SyntaxError('Document has no root element');
+  }
+  return root;
+}
+
+/**
+ * Returns the child elements with the given tag name.
+ * @param {Object} element - A node returned by {@link parseXml}
+ * @param {string} name - The tag name
+ * @returns {Array<Object>} The matching children, in document order
+ */
+function getChildren(element, name) {
+  return element.children.filter((child) => child.name === name);
+}
+
+/**
+ * Converts a parsed element back into the object structure accepted by `toXml`,
+ * so that parsed reports can be modified and written out again.
+ * @param {Object} element - A node returned by {@link parseXml}
+ * @returns {Object} An object with the element's tag name as its only key
+ */
+function toXmlObject(element) {
+  const hasAttributes = Object.keys(element.attributes).length > 0;
+  const _attr = { ...element.attributes };
+  let content;
+
+  if (element.children.length > 0) {
+    content = [{ [SPECIAL_PROPS.ATTR]: _attr }, ...element.children.map((child) => toXmlObject(child))];
+  } else if (element.cdata || (hasAttributes && element.text.trim() !== '')) {
+    // The builder only supports text alongside attributes as CDATA
+    content = { [SPECIAL_PROPS.CDATA]: element.text };
+    if (hasAttributes) {
+      content[SPECIAL_PROPS.ATTR] = _attr;
+    }
+  } else if (element.text.trim() !== '') {
+    content = element.text;
+  } else if (hasAttributes) {
+    content = { [SPECIAL_PROPS.ATTR]: _attr };
+  } else {
+    content = null;
+  }
+
+  return { [element.name]: content };
+}
+
+module.exports = {
+  unescapeXml,
+  parseXml,
+  getChildren,
+  toXmlObject,
+};
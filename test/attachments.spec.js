@@ -0,0 +1,132 @@
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { expect } = require('chai');
+const {
+  storeAttachment,
+  setAttachmentsDirectory,
+  getAttachmentsDirectory,
+  attach,
+  attachText,
+} = require('../src/lib/attachments');
+
+describe('attachments', function () {
+  const outputDir = path.join(__dirname, 'output', 'attachments-spec');
+  const storeDir = path.join(outputDir, 'store');
+
+  beforeEach(function () {
+    fs.mkdirSync(outputDir, { recursive: true });
+  });
+
+  afterEach(async function () {
+    await fs.promises.rm(path.join(__dirname, 'output'), { recursive: true, force: true });
+  });
+
+  describe('storeAttachment', function () {
+    it('should store a copy named after the content hash', function () {
+      const source = path.join(outputDir, 'screenshot.png');
+      fs.writeFileSync(source, 'image');
+
+      const stored = storeAttachment(source, storeDir);
+
+      expect(path.dirname(stored)).to.equal(storeDir);
+      expect(path.basename(stored)).to.match(/^[a-f0-9]{64}\.png$/);
+      expect(fs.readFileSync(stored, 'utf-8')).to.equal('image');
+    });
+
+    it('should store files with the same content once', function () {
+      fs.writeFileSync(path.join(outputDir, 'a.log'), 'same');
+      fs.writeFileSync(path.join(outputDir, 'b.log'), 'same');
+
+      const first = storeAttachment(path.join(outputDir, 'a.log'), storeDir);
+      const second = storeAttachment(path.join(outputDir, 'b.log'), storeDir);
+
+      expect(second).to.equal(first);
+      expect(fs.readdirSync(storeDir)).to.have.lengthOf(1);
+    });
+
+    it('should not change the stored copy when the attachment is overwritten', function () {
+      const source = path.join(outputDir, 'screenshot.png');
+      fs.writeFileSync(source, 'before');
+      const stored = storeAttachment(source, storeDir);
+
+      fs.writeFileSync(source, 'after');
+
+      expect(fs.readFileSync(stored, 'utf-8')).to.equal('before');
+      expect(storeAttachment(source, storeDir)).not.to.equal(stored);
+    });
+
+    it('should throw ENOENT for a missing attachment', function () {
+      expect(() => storeAttachment(path.join(outputDir, 'missing.png'), storeDir))
+        .to.throw()
+        .with.property('code', 'ENOENT');
+    });
+  });
+
+  describe('attach', function () {
+    beforeEach(function () {
+      setAttachmentsDirectory(storeDir);
+    });
+
+    afterEach(function () {
+      setAttachmentsDirectory(null);
+    });
+
+    it('should write content and register it on the test', function () {
+      const test = { title: 'test', type: 'test' };
+
+      const filePath = attach(test, Buffer.from('{}'), 'response.json');
+
+      expect(path.basename(filePath)).to.equal('response.json');
+      expect(path.dirname(path.dirname(filePath))).to.equal(storeDir);
+      expect(fs.readFileSync(filePath, 'utf-8')).to.equal('{}');
+      expect(test.attachments).to.deep.equal([filePath]);
+    });
+
+    it('should attach a copy of a file', function () {
+      const source = path.join(outputDir, 'screenshot.png');
+      fs.writeFileSync(source, 'image');
+      const test = { title: 'test', type: 'test' };
+
+      const filePath = attach(test, source);
+
+      expect(filePath).not.to.equal(source);
+      expect(path.basename(filePath)).to.equal('screenshot.png');
+      expect(fs.readFileSync(filePath, 'utf-8')).to.equal('image');
+    });
+
+    it('should attach to the test of a Mocha context', function () {
+      const test = { title: 'test', type: 'test' };
+      const hook = { title: '"after each" hook', type: 'hook' };
+
+      attachText({ test }, 'from the test', 'test.txt');
+      attachText({ test: hook, currentTest: test }, 'from the hook', 'hook.txt');
+
+      expect(test.attachments.map((filePath) => path.basename(filePath))).to.deep.equal(['test.txt', 'hook.txt']);
+      expect(hook).not.to.have.property('attachments');
+    });
+
+    it('should keep files inside the attachments directory', function () {
+      const filePath = attachText({ title: 'test' }, 'text', '../../escape.txt');
+
+      expect(path.basename(filePath)).to.equal('escape.txt');
+      expect(path.relative(storeDir, filePath)).not.to.match(/^\.\./);
+    });
+
+    it('should default to a temporary directory', function () {
+      setAttachmentsDirectory(null);
+
+      expect(getAttachmentsDirectory()).to.equal(path.join(os.tmpdir(), 'mocha-gitlab-reporter-attachments'));
+    });
+
+    it('should require a name for content', function () {
+      expect(() => attach({ title: 'test' }, Buffer.from('x'))).to.throw(TypeError, 'a name is required');
+    });
+
+    it('should require a test', function () {
+      expect(() => attachText(undefined, 'x', 'x.txt')).to.throw(TypeError, 'expected a test');
+    });
+  });
+});
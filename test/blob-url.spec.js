@@ -0,0 +1,26 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildBlobUrl } = require('../src/lib/blob-url');
+
+describe('blob-url', function () {
+  describe('buildBlobUrl', function () {
+    const base = 'https://gitlab.example.com/group/project/-/blob/abc123';
+
+    it('should append the file and line to the base URL', function () {
+      expect(buildBlobUrl(base, 'test/cart.spec.js', 12)).to.equal(`${base}/test/cart.spec.js#L12`);
+    });
+
+    it('should link to the file without a line', function () {
+      expect(buildBlobUrl(`${base}/`, 'test/cart.spec.js')).to.equal(`${base}/test/cart.spec.js`);
+    });
+
+    it('should encode each path segment', function () {
+      expect(buildBlobUrl(base, 'test/a b/#1.spec.js', 3)).to.equal(`${base}/test/a%20b/%231.spec.js#L3`);
+    });
+
+    it('should accept Windows paths', function () {
+      expect(buildBlobUrl(base, 'test\\cart.spec.js', 1)).to.equal(`${base}/test/cart.spec.js#L1`);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const { expect } = require('chai');
+const { createIssue, formatCodeQualityReport } = require('../src/lib/code-quality');
+
+describe('code-quality', function () {
+  const failure = {
+    name: 'adds numbers',
+    classname: 'Calculator',
+    file: 'test/calculator.spec.js',
+    message: 'expected 3 to equal 4\nmore details',
+    isError: false,
+    location: { path: 'test/calculator.spec.js', line: 12 },
+  };
+
+  describe('createIssue', function () {
+    it('should create a finding in the Code Quality format', function () {
+      const issue = createIssue(failure);
+
+      expect(issue).to.deep.include({
+        description: 'Calculator adds numbers: expected 3 to equal 4',
+        check_name: 'mocha-test-failure',
+        severity: 'major',
+        location: { path: 'test/calculator.spec.js', lines: { begin: 12 } },
+      });
+      expect(issue.fingerprint).to.match(/^[a-f0-9]{64}$/);
+    });
+
+    it('should report errors with a higher severity', function () {
+      expect(createIssue({ ...failure, isError: true })).to.include({
+        check_name: 'mocha-test-error',
+        severity: 'critical',
+      });
+    });
+
+    it('should keep the fingerprint when the message or line changes', function () {
+      const changed = createIssue({
+        ...failure,
+        message: 'expected 5 to equal 4',
+        location: { ...failure.location, line: 20 },
+      });
+
+      expect(changed.fingerprint).to.equal(createIssue(failure).fingerprint);
+      expect(createIssue({ ...failure, name: 'subtracts numbers' }).fingerprint).not.to.equal(changed.fingerprint);
+    });
+  });
+
+  describe('formatCodeQualityReport', function () {
+    it('should serialize the findings as a JSON array', function () {
+      expect(JSON.parse(formatCodeQualityReport([createIssue(failure)]))).to.have.lengthOf(1);
+      expect(formatCodeQualityReport([])).to.equal('[]\n');
+    });
+  });
+});
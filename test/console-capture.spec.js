@@ -0,0 +1,72 @@
+'use strict';
+
+const { expect } = require('chai');
+const { ConsoleCapture } = require('../src/lib/console-capture');
+
+describe('console-capture', function () {
+  let streams;
+  let written;
+
+  function createStream(name) {
+    return {
+      write(chunk) {
+        written.push([name, String(chunk)]);
+        return true;
+      },
+    };
+  }
+
+  beforeEach(function () {
+    written = [];
+    streams = { stdout: createStream('stdout'), stderr: createStream('stderr') };
+  });
+
+  it('attributes writes to the current target and still passes them through', function () {
+    const capture = new ConsoleCapture({ streams });
+    const first = {};
+    const second = {};
+    capture.install();
+
+    streams.stdout.write('before any target\n');
+    capture.start(first);
+    streams.stdout.write('first ');
+    streams.stdout.write(Buffer.from('test\n'));
+    streams.stderr.write('first error\n');
+    capture.start(second);
+    streams.stdout.write('second test\n');
+    capture.stop();
+    streams.stdout.write('after\n');
+    capture.restore();
+
+    expect(capture.get(first)).to.deep.equal({ stdout: 'first test\n', stderr: 'first error\n' });
+    expect(capture.get(second)).to.deep.equal({ stdout: 'second test\n', stderr: '' });
+    expect(capture.get({})).to.deep.equal({ stdout: '', stderr: '' });
+    expect(written).to.have.lengthOf(6);
+  });
+
+  it('truncates output beyond the limit', function () {
+    const capture = new ConsoleCapture({ streams, limit: 10 });
+    const target = {};
+    capture.install();
+    capture.start(target);
+
+    streams.stdout.write('0123456');
+    streams.stdout.write('789abcdef');
+    capture.restore();
+
+    expect(capture.get(target).stdout).to.equal('0123456789\n[truncated 6 characters]');
+    expect(written.map(([, text]) => text).join('')).to.equal('0123456789abcdef');
+  });
+
+  it('restores the original write methods', function () {
+    const capture = new ConsoleCapture({ streams });
+    const originalWrite = streams.stdout.write;
+    capture.install();
+    expect(capture.isInstalled).to.be.true;
+    expect(streams.stdout.write).not.to.equal(originalWrite);
+
+    capture.restore();
+    expect(capture.isInstalled).to.be.false;
+    expect(streams.stdout.write).to.equal(originalWrite);
+  });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const {
+  DurationHistory,
+  formatRatio,
+  formatRegression,
+  formatRegressionSummary,
+} = require('../src/lib/duration-history');
+
+describe('duration-history', function () {
+  const filePath = path.join(__dirname, 'output', 'duration-history', 'durations.json');
+  const thresholds = { factor: 5, minTime: 0.1 };
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  function createHistory(testcases, options) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, testcases }));
+    return new DurationHistory(filePath, options).load();
+  }
+
+  describe('DurationHistory', function () {
+    it('should start empty without a history file', function () {
+      const history = new DurationHistory(filePath).load();
+      expect(history.getDurations('Cart', 'adds items')).to.deep.equal([]);
+    });
+
+    it('should start empty with an unreadable or unknown history file', function () {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, '{"version": 1, "testcases": ');
+      expect(new DurationHistory(filePath).load().getDurations('Cart', 'adds items')).to.deep.equal([]);
+
+      fs.writeFileSync(filePath, JSON.stringify({ version: 2, testcases: { Cart: { 'adds items': [1, 1, 1] } } }));
+      expect(new DurationHistory(filePath).load().getDurations('Cart', 'adds items')).to.deep.equal([]);
+    });
+
+    it('should find a testcase that got slower than the factor times its median', function () {
+      const history = createHistory({ Cart: { 'adds items': [0.1, 0.3, 0.12] } });
+      expect(history.findRegression('Cart', 'adds items', 0.8, thresholds)).to.deep.equal({
+        time: 0.8,
+        median: 0.12,
+        ratio: 0.8 / 0.12,
+        runs: 3,
+      });
+      expect(history.findRegression('Cart', 'adds items', 0.5, thresholds)).to.be.null;
+    });
+
+    it('should not find a regression below the minimum increase', function () {
+      const history = createHistory({ Cart: { 'adds items': [0.002, 0.002, 0.002] } });
+      expect(history.findRegression('Cart', 'adds items', 0.05, thresholds)).to.be.null;
+      expect(history.findRegression('Cart', 'adds items', 0.2, thresholds).ratio).to.be.closeTo(100, 1e-9);
+    });
+
+    it('should take a median of 0 as one millisecond', function () {
+      const history = createHistory({ Cart: { 'adds items': [0, 0, 0] } });
+      const regression = history.findRegression('Cart', 'adds items', 0.5, thresholds);
+      expect(regression.median).to.equal(0);
+      expect(regression.ratio).to.be.closeTo(500, 1e-9);
+    });
+
+    it('should not check testcases with too few previous durations', function () {
+      const history = createHistory({ Cart: { 'adds items': [0.01, 0.01] } });
+      expect(history.findRegression('Cart', 'adds items', 10, thresholds)).to.be.null;
+      expect(history.findRegression('Cart', 'removes items', 10, thresholds)).to.be.null;
+    });
+
+    it('should keep the last durations up to the history size', function () {
+      const history = createHistory({ Cart: { 'adds items': [1, 2, 3] } }, { size: 3 });
+      history.record('Cart', 'adds items', 4);
+      history.record('Checkout', 'pays', 5);
+      expect(history.getDurations('Cart', 'adds items')).to.deep.equal([2, 3, 4]);
+      expect(history.getDurations('Checkout', 'pays')).to.deep.equal([5]);
+    });
+
+    it('should save the durations to the history file', function () {
+      const history = new DurationHistory(filePath).load();
+      history.record('Cart', 'adds items', 0.25);
+      history.record('__proto__', 'constructor', 0.5);
+      history.save();
+
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf-8'))).to.deep.equal({
+        version: 1,
+        testcases: { Cart: { 'adds items': [0.25] }, ['__proto__']: { constructor: [0.5] } },
+      });
+      expect(new DurationHistory(filePath).load().getDurations('__proto__', 'constructor')).to.deep.equal([0.5]);
+    });
+  });
+
+  describe('formatRegression', function () {
+    it('should describe a regression', function () {
+      const regression = { time: 1.25, median: 0.198, ratio: 6.313, runs: 5 };
+      expect(formatRatio(regression)).to.equal('6.3x');
+      expect(formatRegression(regression)).to.equal(
+        'Duration regression: took 1.250s, 6.3x the median of 0.198s over the last 5 runs'
+      );
+    });
+  });
+
+  describe('formatRegressionSummary', function () {
+    it('should list the worst regressions first', function () {
+      const regressions = [
+        { classname: 'Cart', name: 'adds items', time: 0.6, median: 0.1, ratio: 6, runs: 3 },
+        { classname: 'Checkout', name: 'pays', time: 2, median: 0.1, ratio: 20, runs: 3 },
+        { classname: 'Cart', name: 'removes items', time: 0.5, median: 0.1, ratio: 5, runs: 3 },
+      ];
+      expect(formatRegressionSummary(regressions, 2).split('\n')).to.deep.equal([
+        '  Duration regressions (3):',
+        '',
+        '     20.0x  Checkout pays: 2.000s, median 0.100s',
+        '      6.0x  Cart adds items: 0.600s, median 0.100s',
+        '    … and 1 more',
+      ]);
+    });
+  });
+});
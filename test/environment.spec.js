@@ -0,0 +1,57 @@
+'use strict';
+
+const os = require('node:os');
+const { expect } = require('chai');
+const { parseEnvironmentProperties, getEnvironmentProperties } = require('../src/lib/environment');
+
+describe('environment', function () {
+  describe('parseEnvironmentProperties', function () {
+    it('should use the default properties for true', function () {
+      expect(parseEnvironmentProperties(true)).to.include.members(['CI_COMMIT_SHA', 'CI_JOB_ID', 'node.version']);
+      expect(parseEnvironmentProperties('true')).to.deep.equal(parseEnvironmentProperties(true));
+    });
+
+    it('should record nothing when off', function () {
+      expect(parseEnvironmentProperties(false)).to.deep.equal([]);
+      expect(parseEnvironmentProperties('false')).to.deep.equal([]);
+      expect(parseEnvironmentProperties(null)).to.deep.equal([]);
+    });
+
+    it('should accept a list of names', function () {
+      expect(parseEnvironmentProperties('CI_COMMIT_SHA, os.platform')).to.deep.equal(['CI_COMMIT_SHA', 'os.platform']);
+      expect(parseEnvironmentProperties(['CI_JOB_ID'])).to.deep.equal(['CI_JOB_ID']);
+    });
+
+    it('should reject names that are not environment variable names', function () {
+      expect(() => parseEnvironmentProperties('CI_*')).to.throw(
+        TypeError,
+        'environmentProperties must list environment variable names, got: CI_*'
+      );
+    });
+  });
+
+  describe('getEnvironmentProperties', function () {
+    it('should record the listed environment variables that are set', function () {
+      const env = { CI_COMMIT_SHA: 'abc123', CI_JOB_ID: '', SECRET_TOKEN: 'secret' };
+
+      expect(getEnvironmentProperties(['CI_COMMIT_SHA', 'CI_JOB_ID', 'CI_PIPELINE_ID'], { env })).to.deep.equal([
+        { name: 'CI_COMMIT_SHA', value: 'abc123' },
+      ]);
+    });
+
+    it('should record the versions, hostname and platform', function () {
+      const names = ['node.version', 'mocha.version', 'os.hostname', 'os.platform'];
+
+      expect(getEnvironmentProperties(names, { env: {}, mochaVersion: '11.0.0' })).to.deep.equal([
+        { name: 'node.version', value: process.versions.node },
+        { name: 'mocha.version', value: '11.0.0' },
+        { name: 'os.hostname', value: os.hostname() },
+        { name: 'os.platform', value: process.platform },
+      ]);
+    });
+
+    it('should leave out an unknown Mocha version', function () {
+      expect(getEnvironmentProperties(['mocha.version'], { env: {} })).to.deep.equal([]);
+    });
+  });
+});
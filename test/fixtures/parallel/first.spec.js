@@ -0,0 +1,13 @@
+'use strict';
+
+describe('First file', function () {
+  it('passes', function () {});
+
+  describe('nested suite', function () {
+    it('fails', function () {
+      throw new TypeError('first file failure');
+    });
+  });
+
+  it('also passes', function () {});
+});
@@ -0,0 +1,7 @@
+'use strict';
+
+describe('Second file', function () {
+  it('passes', function () {});
+
+  it.skip('is pending', function () {});
+});
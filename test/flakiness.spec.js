@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const { toXml } = require('../src/lib/xml-builder');
+const { parseXml } = require('../src/lib/xml-parser');
+const {
+  collectOutcomes,
+  readOutcomes,
+  readPreviousRuns,
+  scoreFlakiness,
+  formatFlakiness,
+  formatFlakinessReport,
+} = require('../src/lib/flakiness');
+
+function buildReport(timestamp, testcases) {
+  return toXml(
+    {
+      testsuites: [
+        { _attr: { name: 'Mocha Tests' } },
+        {
+          testsuite: [
+            { _attr: { name: 'Cart', timestamp } },
+            ...testcases.map(([name, ...children]) => ({
+              testcase: [{ _attr: { name, classname: 'Cart' } }, ...children],
+            })),
+          ],
+        },
+      ],
+    },
+    { declaration: true, indent: '  ' }
+  );
+}
+
+const failure = { failure: { _attr: { message: 'boom' }, _cdata: 'Error: boom' } };
+const skipped = { skipped: null };
+
+function outcomes(...entries) {
+  return collectOutcomes(entries.map(([name, ...elementNames]) => ({ classname: 'Cart', name, elementNames })));
+}
+
+describe('flakiness', function () {
+  describe('readOutcomes', function () {
+    it('should read the outcomes of a report built with toXml', function () {
+      const root = parseXml(
+        buildReport('2024-01-01T10:00:00', [['adds items'], ['removes items', failure], ['empties the cart', skipped]])
+      );
+      expect([...readOutcomes(root).values()]).to.deep.equal([
+        { classname: 'Cart', name: 'adds items', outcome: 'passed' },
+        { classname: 'Cart', name: 'removes items', outcome: 'failed' },
+      ]);
+    });
+
+    it('should count a testcase that appears more than once as failed if one occurrence failed', function () {
+      expect([...outcomes(['adds items', 'failure'], ['adds items']).values()]).to.deep.equal([
+        { classname: 'Cart', name: 'adds items', outcome: 'failed' },
+      ]);
+    });
+
+    it('should count errors as failed', function () {
+      expect([...outcomes(['adds items', 'system-out', 'error']).values()][0].outcome).to.equal('failed');
+    });
+  });
+
+  describe('readPreviousRuns', function () {
+    const directory = path.join(__dirname, 'output', 'flakiness');
+
+    beforeEach(function () {
+      fs.mkdirSync(directory, { recursive: true });
+      // Written in a different order than they ran
+      fs.writeFileSync(
+        path.join(directory, 'test-results-b.xml'),
+        buildReport('2024-01-02T10:00:00', [['adds items', failure]])
+      );
+      fs.writeFileSync(
+        path.join(directory, 'test-results-a.xml'),
+        buildReport('2024-01-01T10:00:00', [['adds items']])
+      );
+      fs.writeFileSync(path.join(directory, 'test-results-broken.xml'), '<testsuites><testsuite>');
+      fs.writeFileSync(path.join(directory, 'other.xml'), buildReport('2024-01-03T10:00:00', [['adds items']]));
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should read the reports of a directory, oldest first, skipping unreadable ones', function () {
+      const runs = readPreviousRuns(directory);
+      expect(runs.map((run) => [...run.values()][0].outcome)).to.deep.equal(['passed', 'failed']);
+    });
+
+    it('should read the reports matching a glob pattern', function () {
+      expect(readPreviousRuns(path.join(directory, '*.xml'))).to.have.lengthOf(3);
+    });
+
+    it('should leave out excluded reports', function () {
+      const runs = readPreviousRuns(directory, { exclude: [path.join(directory, 'test-results-a.xml')] });
+      expect(runs).to.have.lengthOf(1);
+    });
+  });
+
+  describe('scoreFlakiness', function () {
+    it('should score the share of runs in which the outcome flipped', function () {
+      const scores = scoreFlakiness([
+        outcomes(['adds items'], ['removes items', 'failure'], ['pays']),
+        outcomes(['adds items', 'failure'], ['removes items', 'failure'], ['pays']),
+        outcomes(['adds items'], ['removes items', 'failure'], ['pays']),
+        outcomes(['adds items'], ['removes items'], ['pays']),
+      ]);
+      expect(scores).to.deep.equal([
+        { classname: 'Cart', name: 'adds items', flakiness: 2 / 3, flips: 2, failures: 1, runs: 4 },
+        { classname: 'Cart', name: 'removes items', flakiness: 1 / 3, flips: 1, failures: 3, runs: 4 },
+        { classname: 'Cart', name: 'pays', flakiness: 0, flips: 0, failures: 0, runs: 4 },
+      ]);
+    });
+
+    it('should score a testcase with a single run as not flaky', function () {
+      expect(scoreFlakiness([outcomes(['adds items', 'failure'])])[0].flakiness).to.equal(0);
+    });
+  });
+
+  describe('formatFlakinessReport', function () {
+    it('should list the flaky testcases with rounded scores', function () {
+      const scores = [
+        { classname: 'Cart', name: 'adds items', flakiness: 2 / 3, flips: 2, failures: 1, runs: 4 },
+        { classname: 'Cart', name: 'pays', flakiness: 0, flips: 0, failures: 0, runs: 4 },
+      ];
+      expect(formatFlakiness(2 / 3)).to.equal('0.67');
+      expect(JSON.parse(formatFlakinessReport(scores, 4))).to.deep.equal({
+        runs: 4,
+        tests: [{ classname: 'Cart', name: 'adds items', flakiness: 0.67, flips: 2, failures: 1, runs: 4 }],
+      });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const { globToRegExp, expandGlob, hasMagic } = require('../src/lib/glob');
+
+describe('glob', function () {
+  describe('globToRegExp', function () {
+    it('should match within a single path segment', function () {
+      const regex = globToRegExp('results.*.xml');
+      expect(regex.test('results.abc.xml')).to.be.true;
+      expect(regex.test('results.a/b.xml')).to.be.false;
+      expect(regex.test('resultsXabc.xml')).to.be.false;
+    });
+
+    it('should match across directories with **', function () {
+      const regex = globToRegExp('**/*.xml');
+      expect(regex.test('a.xml')).to.be.true;
+      expect(regex.test('a/b/c.xml')).to.be.true;
+      expect(regex.test('a/b/c.json')).to.be.false;
+    });
+
+    it('should support ?, character classes and braces', function () {
+      expect(globToRegExp('report-?.xml').test('report-1.xml')).to.be.true;
+      expect(globToRegExp('report-[!0-4].xml').test('report-3.xml')).to.be.false;
+      expect(globToRegExp('report-[!0-4].xml').test('report-7.xml')).to.be.true;
+      expect(globToRegExp('*.{xml,json}').test('a.json')).to.be.true;
+    });
+  });
+
+  describe('expandGlob', function () {
+    const cwd = path.join(__dirname, 'output', 'glob');
+
+    before(function () {
+      for (const file of ['a.xml', 'b.xml', 'c.txt', 'nested/d.xml', 'nested/deeper/e.xml']) {
+        fs.mkdirSync(path.dirname(path.join(cwd, file)), { recursive: true });
+        fs.writeFileSync(path.join(cwd, file), '');
+      }
+    });
+
+    after(async function () {
+      await fs.promises.rm(path.join(__dirname, 'output'), { recursive: true, force: true });
+    });
+
+    it('should expand patterns relative to cwd', function () {
+      expect(expandGlob('*.xml', { cwd })).to.deep.equal(['a.xml', 'b.xml']);
+      expect(expandGlob('nested/*.xml', { cwd })).to.deep.equal(['nested/d.xml']);
+      expect(expandGlob('**/*.xml', { cwd })).to.deep.equal(['a.xml', 'b.xml', 'nested/d.xml', 'nested/deeper/e.xml']);
+    });
+
+    it('should keep absolute patterns absolute', function () {
+      expect(expandGlob(path.join(cwd, 'nested', '*.xml'))).to.deep.equal([path.join(cwd, 'nested', 'd.xml')]);
+    });
+
+    it('should return plain paths only if they exist', function () {
+      expect(hasMagic('a.xml')).to.be.false;
+      expect(expandGlob('a.xml', { cwd })).to.deep.equal(['a.xml']);
+      expect(expandGlob('missing.xml', { cwd })).to.deep.equal([]);
+    });
+  });
+});
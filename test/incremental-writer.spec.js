@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const chai = require('chai');
+const chaiXML = require('chai-xml');
+const { IncrementalXmlWriter } = require('../src/lib/incremental-writer');
+
+const expect = chai.expect;
+chai.use(chaiXML);
+
+describe('incremental-writer', function () {
+  const outputDir = path.join(__dirname, 'output');
+  const filePath = path.join(outputDir, 'incremental', 'report.xml');
+
+  function read() {
+    return fs.readFileSync(filePath, 'utf-8');
+  }
+
+  afterEach(async function () {
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+  });
+
+  it('writes an empty, well-formed document when opened', function () {
+    const writer = new IncrementalXmlWriter(filePath, { rootAttributes: { name: 'Mocha Tests' } });
+    writer.open();
+
+    expect(writer.isOpen).to.be.true;
+    expect(read()).xml.to.be.valid();
+    expect(read()).to.equal('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="Mocha Tests">\n</testsuites>\n');
+
+    writer.close();
+    expect(writer.isOpen).to.be.false;
+  });
+
+  it('keeps the document well-formed after every write', function () {
+    const writer = new IncrementalXmlWriter(filePath);
+    writer.open();
+
+    writer.beginTestsuite('suite 1', { name: 'Suite 1', tests: 1 });
+    expect(read()).xml.to.be.valid();
+
+    writer.appendTestcase('suite 1', { testcase: [{ _attr: { name: 'test 1', time: '0.001' } }] });
+    expect(read()).xml.to.be.valid();
+
+    writer.beginTestsuite('suite 2', { name: 'Suite 2', tests: 1 });
+    writer.appendTestcase('suite 2', {
+      testcase: [
+        { _attr: { name: 'test 2', time: '0.002' } },
+        { failure: { _attr: { message: 'boom' }, _cdata: 'x' } },
+      ],
+    });
+    writer.close();
+
+    expect(read()).xml.to.equal(
+      '<testsuites>' +
+        '<testsuite name="Suite 1" tests="1"><testcase name="test 1" time="0.001"></testcase></testsuite>' +
+        '<testsuite name="Suite 2" tests="1"><testcase name="test 2" time="0.002">' +
+        '<failure message="boom"><![CDATA[x]]></failure></testcase></testsuite>' +
+        '</testsuites>'
+    );
+  });
+
+  it('escapes attribute values', function () {
+    const writer = new IncrementalXmlWriter(filePath);
+    writer.open();
+    writer.beginTestsuite('suite', { name: 'a "quoted" <suite>' });
+    writer.close();
+
+    expect(read()).to.include('<testsuite name="a &quot;quoted&quot; &lt;suite&gt;">');
+  });
+
+  it('appends testcases to their testsuite when it is not the last one', function () {
+    const writer = new IncrementalXmlWriter(filePath);
+    writer.open();
+    writer.beginTestsuite('parent', { name: 'Parent', tests: 1 });
+    writer.beginTestsuite('child', { name: 'Child', tests: 1 });
+    writer.appendTestcase('child', { testcase: [{ _attr: { name: 'child test' } }] });
+    writer.appendTestcase('parent', { testcase: [{ _attr: { name: 'parent test' } }] });
+    expect(read()).xml.to.be.valid();
+    writer.appendTestcase('child', { testcase: [{ _attr: { name: 'second child test' } }] });
+    writer.close();
+
+    expect(read()).xml.to.equal(
+      '<testsuites>' +
+        '<testsuite name="Parent" tests="1"><testcase name="parent test"></testcase></testsuite>' +
+        '<testsuite name="Child" tests="1"><testcase name="child test"></testcase>' +
+        '<testcase name="second child test"></testcase></testsuite>' +
+        '</testsuites>'
+    );
+  });
+
+  it('patches the attributes of a testsuite', function () {
+    const writer = new IncrementalXmlWriter(filePath);
+    writer.open();
+    writer.beginTestsuite('first', { name: 'First', tests: 1 });
+    writer.appendTestcase('first', { testcase: [{ _attr: { name: 'test' } }, { failure: null }] });
+    writer.beginTestsuite('second', { name: 'Second', tests: 0 });
+    writer.updateTestsuite('first', { name: 'First', tests: 1, time: '0.010', failures: 1 });
+    writer.close();
+
+    expect(read()).xml.to.equal(
+      '<testsuites>' +
+        '<testsuite name="First" tests="1" time="0.010" failures="1"><testcase name="test"><failure/></testcase>' +
+        '</testsuite><testsuite name="Second" tests="0"></testsuite>' +
+        '</testsuites>'
+    );
+  });
+
+  it('ignores testcases of testsuites that were not begun', function () {
+    const writer = new IncrementalXmlWriter(filePath);
+    writer.open();
+    writer.appendTestcase('unknown', { testcase: [{ _attr: { name: 'orphan' } }] });
+    writer.close();
+
+    expect(read()).not.to.include('orphan');
+  });
+
+  it('stops writing without throwing when the file cannot be created', function () {
+    fs.mkdirSync(filePath, { recursive: true });
+    const writer = new IncrementalXmlWriter(filePath);
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+      writer.open();
+      writer.beginTestsuite('suite 1', { name: 'Suite 1' });
+    } finally {
+      console.warn = warn;
+    }
+
+    expect(writer.isOpen).to.be.false;
+    expect(warnings).to.have.lengthOf(1);
+    expect(warnings[0]).to.include('Could not open incremental report file');
+  });
+});
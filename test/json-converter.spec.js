@@ -0,0 +1,160 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const testConsole = require('test-console');
+const Reporter = require('../src/index');
+const { convertJsonReport } = require('../src/lib/json-converter');
+const { main } = require('../src/cli');
+
+const mochaVersion = process.env.MOCHA_VERSION || '';
+const Mocha = require('mocha' + mochaVersion);
+const { Runner, Suite, Test } = Mocha;
+
+const outputDir = path.join(__dirname, 'output', 'convert');
+
+/**
+ * Removes the attributes that depend on when the run happened.
+ * @param {string} xml - A report
+ * @returns {string}
+ */
+function withoutTimes(xml) {
+  return xml.replaceAll(/ (time|timestamp)="[^"]*"/g, '');
+}
+
+/**
+ * Runs a suite with both the reporter and Mocha's JSON reporter.
+ * @param {Function} addTests - Adds suites and tests to the root suite
+ * @param {Function} callback - Called with the report and the JSON results
+ */
+function runWithJsonReporter(addTests, callback) {
+  const rootSuite = new Suite('', 'root', true);
+  rootSuite.timeout(0);
+  addTests(rootSuite);
+  // Mocha sets the file of every test and hook when it loads the spec files
+  (function setFile(suite) {
+    for (const runnable of [...suite.tests, ...suite._beforeAll]) {
+      runnable.file = suite.file;
+    }
+    for (const child of suite.suites) {
+      child.file = suite.file;
+      setFile(child);
+    }
+  })(rootSuite);
+  const runner = new Runner(rootSuite);
+  const reporter = new Reporter(runner, { reporterOptions: { mochaFile: path.join(outputDir, 'live.xml') } });
+  new Mocha.reporters.JSON(runner, { reporterOption: { output: path.join(outputDir, 'results.json') } });
+
+  runner.run(function () {
+    if (runner.dispose) {
+      runner.dispose();
+    }
+    callback(reporter._xml, JSON.parse(fs.readFileSync(path.join(outputDir, 'results.json'), 'utf-8')));
+  });
+}
+
+describe('json-converter', function () {
+  afterEach(async function () {
+    await fs.promises.rm(path.join(__dirname, 'output'), { recursive: true, force: true });
+  });
+
+  describe('convertJsonReport', function () {
+    it('should produce the same report as the reporter', function (done) {
+      runWithJsonReporter(
+        function (rootSuite) {
+          const calculator = Suite.create(rootSuite, 'Calculator');
+          calculator.file = '/project/test/calculator.spec.js';
+          calculator.addTest(new Test('adds', function () {}));
+          calculator.addTest(
+            new Test('subtracts', function () {
+              const err = new Error('expected 1 to equal 2');
+              err.name = 'AssertionError';
+              err.actual = 1;
+              err.expected = 2;
+              throw err;
+            })
+          );
+          calculator.addTest(
+            new Test('\u001B[31mdivides\u001B[0m', function () {
+              throw new TypeError('Cannot divide');
+            })
+          );
+          calculator.addTest(new Test('multiplies'));
+          const nested = Suite.create(calculator, 'with negative numbers');
+          nested.addTest(new Test('adds', function () {}));
+          const broken = Suite.create(calculator, 'broken');
+          broken.beforeAll('setup', function () {
+            throw new Error('setup failed');
+          });
+          broken.addTest(new Test('never runs', function () {}));
+        },
+        function (xml, results) {
+          expect(withoutTimes(convertJsonReport(results))).to.equal(withoutTimes(xml));
+          done();
+        }
+      );
+    });
+
+    it('should apply the reporter options', function () {
+      const results = {
+        stats: { start: '2024-01-02T03:04:05.000Z', duration: 1500, pending: 0 },
+        tests: [
+          { title: 'adds', fullTitle: 'Calculator adds', file: '/project/test/a.spec.js', duration: 1500, err: {} },
+        ],
+        failures: [],
+        pending: [],
+      };
+
+      const xml = convertJsonReport(results, { filePathTransforms: "[{search: '^.*/test/'| replace: 'spec/'}]" });
+
+      expect(xml).to.include('<testsuites name="Mocha Tests" time="1.500" tests="1" failures="0">');
+      expect(xml).to.include('<testsuite name="Calculator" timestamp="2024-01-02T03:04:05" tests="1" time="1.500"');
+      expect(xml).to.include('<testcase name="adds" time="1.500" classname="Calculator" file="spec/a.spec.js">');
+    });
+
+    it('should join the titles of suites that only contain suites', function () {
+      const results = {
+        tests: [{ title: 'adds', fullTitle: 'API Calculator adds', duration: 1, err: {} }],
+      };
+
+      expect(convertJsonReport(results)).to.include('classname="API Calculator"');
+    });
+
+    it('should reject other documents', function () {
+      expect(() => convertJsonReport({ stats: {} })).to.throw(TypeError, 'Not a Mocha JSON report');
+    });
+  });
+
+  describe('convert command', function () {
+    const resultsFile = path.join(outputDir, 'results.json');
+
+    beforeEach(function () {
+      fs.mkdirSync(outputDir, { recursive: true });
+      fs.writeFileSync(
+        resultsFile,
+        JSON.stringify({ tests: [{ title: 'adds', fullTitle: 'Calculator adds', duration: 1, err: {} }] })
+      );
+    });
+
+    it('writes the report to the output file', function () {
+      const output = path.join(outputDir, 'results.xml');
+      const stdout = testConsole.stdout.inspectSync(() => {
+        expect(main(['convert', '-o', output, '--reporter-option', 'includePending=true', resultsFile])).to.equal(0);
+      });
+
+      expect(stdout.join('')).to.include(`Converted ${resultsFile} into ${output}`);
+      expect(fs.readFileSync(output, 'utf-8')).to.include('<testcase name="adds"');
+    });
+
+    it('names the file that cannot be parsed', function () {
+      fs.writeFileSync(resultsFile, '{');
+
+      const stderr = testConsole.stderr.inspectSync(() => {
+        expect(main(['convert', '-o', path.join(outputDir, 'out.xml'), resultsFile])).to.equal(1);
+      });
+
+      expect(stderr.join('')).to.include(`Failed to parse ${resultsFile}`);
+    });
+  });
+});
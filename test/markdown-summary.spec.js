@@ -0,0 +1,84 @@
+'use strict';
+
+const { expect } = require('chai');
+const { buildMarkdownSummary } = require('../src/lib/markdown-summary');
+
+function testcase(name, time, ...children) {
+  return { testcase: [{ _attr: { name, classname: 'Suite', time, file: 'test/a b.spec.js' } }, ...children] };
+}
+
+function testsuite(...testcases) {
+  return { testsuite: [{ _attr: { name: 'Suite' } }, ...testcases] };
+}
+
+describe('markdown-summary', function () {
+  describe('buildMarkdownSummary', function () {
+    const totals = { tests: 4, failures: 1, errors: 1, skipped: 1, time: '1.500' };
+    const testsuites = [
+      testsuite(
+        testcase('passes', '0.250'),
+        testcase('is slow', '1.000'),
+        testcase('fails', '0.100', { failure: { _attr: { message: 'expected 1 | 2', type: 'AssertionError' } } }),
+        testcase('breaks', '0.050', { error: { _attr: { message: 'with ```fence```', type: 'TypeError' } } })
+      ),
+    ];
+
+    it('should include the totals', function () {
+      const summary = buildMarkdownSummary(totals, testsuites);
+
+      expect(summary).to.match(/^## Test results: 2 of 4 failed\n/);
+      expect(summary).to.include('| 4 | 1 | 1 | 1 | 1 | 1.500s |');
+    });
+
+    it('should report a run without failures as passed', function () {
+      const summary = buildMarkdownSummary({ tests: 1, failures: 0, time: '0.250' }, [
+        testsuite(testcase('passes', '0.250')),
+      ]);
+
+      expect(summary).to.match(/^## Test results: all passed\n/);
+      expect(summary).not.to.include('<details>');
+    });
+
+    it('should list the slowest tests first', function () {
+      const summary = buildMarkdownSummary(totals, testsuites);
+      const slowest = summary.slice(summary.indexOf('### Slowest tests'), summary.indexOf('<details>'));
+
+      expect(slowest.indexOf('Suite is slow')).to.be.below(slowest.indexOf('Suite passes'));
+      expect(slowest).to.include('| Suite is slow | 1.000s |');
+    });
+
+    it('should list failures and errors in a collapsible section', function () {
+      const summary = buildMarkdownSummary(totals, testsuites);
+
+      expect(summary).to.include('<details>\n<summary>Failures (2)</summary>');
+      expect(summary).to.include('#### Suite fails\n\n`test/a b.spec.js`\n\n```\nexpected 1 | 2\n```');
+      expect(summary).to.include('````\nwith ```fence```\n````');
+    });
+
+    it('should link failures to their file when a base URL is given', function () {
+      const summary = buildMarkdownSummary(totals, testsuites, { linkBase: 'https://gitlab.example.com/-/blob/abc/' });
+
+      expect(summary).to.include('[test/a b.spec.js](https://gitlab.example.com/-/blob/abc/test/a%20b.spec.js)');
+    });
+
+    it('should truncate long failure messages', function () {
+      const message = 'x'.repeat(600);
+      const summary = buildMarkdownSummary(totals, [
+        testsuite(testcase('fails', '0.100', { failure: { _attr: { message } } })),
+      ]);
+
+      expect(summary).to.include(`${'x'.repeat(500)}\n[truncated 100 characters]`);
+    });
+
+    it('should leave out failures that do not fit in maxLength', function () {
+      const full = buildMarkdownSummary(totals, testsuites);
+      const summary = buildMarkdownSummary(totals, testsuites, { maxLength: full.length - 1 });
+
+      expect(summary.length).to.be.below(full.length);
+      expect(summary).to.include('#### Suite fails');
+      expect(summary).not.to.include('#### Suite breaks');
+      expect(summary).to.include('_1 more not shown_');
+      expect(summary).to.match(/<\/details>\n$/);
+    });
+  });
+});
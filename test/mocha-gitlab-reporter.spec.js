@@ -214,8 +214,12 @@ describe('mocha-junit-reporter', function () {
   });
 
   after(function () {
-    // reset this
-    process.env.MOCHA_FILE = MOCHA_FILE;
+    // reset this, without turning an unset variable into the string "undefined"
+    if (MOCHA_FILE === undefined) {
+      delete process.env.MOCHA_FILE;
+    } else {
+      process.env.MOCHA_FILE = MOCHA_FILE;
+    }
   });
 
   beforeEach(function () {
@@ -379,7 +383,7 @@ describe('mocha-junit-reporter', function () {
         failureMessage += ' for "test 1"';
       }
       expect(reporter._testsuites[1].testsuite[1].testcase[0]._attr.name).to.equal(failureMessage);
-      expect(reporter._testsuites[1].testsuite[1].testcase[1].failure._attr.message).to.equal('error in before');
+      expect(reporter._testsuites[1].testsuite[1].testcase[1].error._attr.message).to.equal('error in before');
       expect(reporter._testsuites[2].testsuite[0]._attr.name).to.equal('good suite');
       expect(reporter._testsuites[2].testsuite[1].testcase).to.have.lengthOf(1);
       expect(reporter._testsuites[2].testsuite[1].testcase[0]._attr.name).to.equal('test 2');
@@ -574,6 +578,1397 @@ describe('mocha-junit-reporter', function () {
     });
   });
 
+  describe('when "attachmentsDir" option is specified', function () {
+    const sourceDir = path.join(__dirname, 'output', 'tmp');
+
+    beforeEach(function () {
+      fs.mkdirSync(sourceDir, { recursive: true });
+    });
+
+    it('copies attachments next to the report and references the copies', function (done) {
+      const first = path.join(sourceDir, 'first.png');
+      const second = path.join(sourceDir, 'second.png');
+      fs.writeFileSync(first, 'screenshot');
+      fs.writeFileSync(second, 'screenshot');
+      const reporter = createReporter({
+        mochaFile: 'test/output/mocha.xml',
+        attachments: true,
+        attachmentsDir: 'attachments',
+      });
+      const suite = Suite.create(reporter.runner.suite, 'with attachments');
+      const test = createTest('has attachments');
+      test.attachments = [first, second];
+      suite.addTest(test);
+
+      runRunner(reporter.runner, function () {
+        const stored = fs.readdirSync(path.join(__dirname, 'output', 'attachments'));
+        expect(stored).to.have.lengthOf(1);
+        expect(stored[0]).to.match(/^[a-f0-9]{64}\.png$/);
+        const marker = `[[ATTACHMENT|${path.join('test', 'output', 'attachments', stored[0])}]]`;
+        expect(reporter._xml).to.include(`<system-out>${marker}\n${marker}</system-out>`);
+        done();
+      });
+    });
+
+    it('writes attachments added with attach() to the directory', function (done) {
+      const reporter = createReporter({
+        mochaFile: 'test/output/mocha.xml',
+        attachments: true,
+        attachmentsDir: 'attachments',
+      });
+      const suite = Suite.create(reporter.runner.suite, 'with attachments');
+      const test = createTest('attaches text', function () {
+        Reporter.attachText(test, 'hello', 'hello.txt');
+      });
+      suite.addTest(test);
+
+      runRunner(reporter.runner, function () {
+        const [attachment] = test.attachments;
+        expect(path.relative(path.join(__dirname, 'output', 'attachments'), attachment)).to.match(
+          /^[a-f0-9]{64}[\\/]hello\.txt$/
+        );
+        expect(reporter._xml).to.include(`<system-out>[[ATTACHMENT|${path.relative(process.cwd(), attachment)}]]`);
+        done();
+      });
+    });
+
+    it('warns about attachments that do not exist', function (done) {
+      const missing = path.join(sourceDir, 'missing.png');
+      const reporter = createReporter({
+        mochaFile: 'test/output/mocha.xml',
+        attachments: true,
+        attachmentsDir: 'attachments',
+      });
+      const suite = Suite.create(reporter.runner.suite, 'with attachments');
+      const test = createTest('has a missing attachment');
+      test.attachments = [missing];
+      suite.addTest(test);
+
+      const stderr = testConsole.stderr.inspect();
+      runRunner(reporter.runner, function () {
+        stderr.restore();
+        expect(stderr.output.join('')).to.include(`Warning: Attachment not found: ${missing}`);
+        expect(reporter._xml).to.include(`[[ATTACHMENT|${missing}]]`);
+        done();
+      });
+    });
+  });
+
+  describe('test and suite properties', function () {
+    it('adds the properties of tests and suites to the report', function (done) {
+      const reporter = createReporter();
+      const suite = Suite.create(reporter.runner.suite, 'with properties');
+      suite.beforeAll(function () {
+        this.properties = { component: 'checkout' };
+      });
+      const test = createTest('has properties', function () {
+        test.properties = { owner: 'team-a', issue: 'ABC-12 <"&">' };
+      });
+      suite.addTest(test);
+      const helperTest = createTest('uses the helper', function () {
+        Reporter.setProperty(helperTest, 'owner', 'team-b');
+      });
+      suite.addTest(helperTest);
+      suite.addTest(createTest('has none'));
+
+      runRunner(reporter.runner, function () {
+        const [, suiteProperties, withProperties, withHelper, withoutProperties] = reporter._testsuites[1].testsuite;
+        expect(suiteProperties.properties.property).to.deep.equal([
+          { _attr: { name: 'component', value: 'checkout' } },
+        ]);
+        expect(withProperties.testcase[1]).to.deep.equal({
+          properties: {
+            property: [
+              { _attr: { name: 'owner', value: 'team-a' } },
+              { _attr: { name: 'issue', value: 'ABC-12 <"&">' } },
+            ],
+          },
+        });
+        expect(withHelper.testcase[1].properties.property).to.deep.equal([
+          { _attr: { name: 'owner', value: 'team-b' } },
+        ]);
+        expect(withoutProperties.testcase).to.have.lengthOf(1);
+
+        expect(reporter._xml).xml.to.be.valid();
+        expect(reporter._xml).to.include('<property name="issue" value="ABC-12 &lt;&quot;&amp;&quot;&gt;">');
+        expect(reporter._xml).to.match(
+          /<testsuite name="with properties"[^>]*>\n\s*<properties>\n\s*<property name="component" value="checkout">/
+        );
+        done();
+      });
+    });
+  });
+
+  describe('when "environmentProperties" option is specified', function () {
+    afterEach(function () {
+      delete process.env.CI_PIPELINE_ID;
+    });
+
+    it('adds the listed environment properties to the root element', function (done) {
+      process.env.CI_PIPELINE_ID = '1234';
+      const reporter = createReporter({ environmentProperties: 'CI_PIPELINE_ID,os.platform,CI_UNSET_VARIABLE' });
+      Suite.create(reporter.runner.suite, 'suite').addTest(createTest('passes'));
+
+      runRunner(reporter.runner, function () {
+        expect(reporter._xml).xml.to.be.valid();
+        expect(reporter._xml).to.match(
+          /<testsuites [^>]*>\n\s*<properties>\n\s*<property name="CI_PIPELINE_ID" value="1234">\s*<\/property>\n\s*<property name="os.platform" value="[^"]+">/
+        );
+        expect(reporter._xml).not.to.include('CI_UNSET_VARIABLE');
+        done();
+      });
+    });
+  });
+
+  describe('when "tags" option is specified', function () {
+    function runTaggedTests(options, callback) {
+      const reporter = createReporter(options);
+      const suite = Suite.create(reporter.runner.suite, 'login @auth');
+      suite.addTest(createTest('logs in @smoke'));
+      suite.addTest(createTest('logs out'));
+      suite.addTest(createTest('remembers the user @slow', null));
+      Suite.create(reporter.runner.suite, 'search').addTest(createTest('finds nothing @smoke'));
+
+      runRunner(reporter.runner, function () {
+        callback(reporter);
+      });
+    }
+
+    function getTestcases(reporter) {
+      return reporter._testsuites
+        .flatMap((suite) => suite.testsuite.slice(1))
+        .filter((node) => 'testcase' in node)
+        .map((node) => node.testcase);
+    }
+
+    it('removes tags from names and classnames and reports them as properties', function (done) {
+      runTaggedTests({ tags: true }, function (reporter) {
+        const [loggedIn, loggedOut] = getTestcases(reporter);
+        expect(loggedIn[0]._attr).to.include({ name: 'logs in', classname: 'login' });
+        expect(loggedIn[1].properties.property).to.deep.equal([
+          { _attr: { name: 'tag', value: 'auth' } },
+          { _attr: { name: 'tag', value: 'smoke' } },
+        ]);
+        expect(loggedOut[1].properties.property).to.deep.equal([{ _attr: { name: 'tag', value: 'auth' } }]);
+        expect(reporter._xml).to.include('<testsuite name="login" ');
+        done();
+      });
+    });
+
+    it('keeps tags in names with "stripTags=false"', function (done) {
+      runTaggedTests({ tags: true, stripTags: 'false' }, function (reporter) {
+        expect(getTestcases(reporter)[0][0]._attr).to.include({ name: 'logs in @smoke', classname: 'login @auth' });
+        done();
+      });
+    });
+
+    it('uses the tags as classname with "tagClassname"', function (done) {
+      runTaggedTests({ tags: true, tagClassname: true }, function (reporter) {
+        expect(getTestcases(reporter).map((testcase) => testcase[0]._attr.classname)).to.deep.equal([
+          '@auth @smoke',
+          '@auth',
+          '@auth @slow',
+          '@smoke',
+        ]);
+        done();
+      });
+    });
+
+    it('reports only the tests with one of "includeTags"', function (done) {
+      runTaggedTests({ includeTags: '@smoke' }, function (reporter) {
+        expect(getTestcases(reporter).map((testcase) => testcase[0]._attr.name)).to.deep.equal([
+          'logs in @smoke',
+          'finds nothing @smoke',
+        ]);
+        expect(reporter._xml).to.match(/<testsuites name="Mocha Tests" time="[\d.]+" tests="2" failures="0">/);
+        done();
+      });
+    });
+
+    it('leaves out the tests with one of "excludeTags"', function (done) {
+      runTaggedTests({ excludeTags: 'auth' }, function (reporter) {
+        expect(getTestcases(reporter).map((testcase) => testcase[0]._attr.name)).to.deep.equal([
+          'finds nothing @smoke',
+        ]);
+        expect(reporter._xml).to.match(/<testsuites name="Mocha Tests" time="[\d.]+" tests="1" failures="0">/);
+        expect(reporter._xml).not.to.include('<testsuite name="login @auth"');
+        done();
+      });
+    });
+  });
+
+  describe('when classname and name templates are specified', function () {
+    function runNestedTest(options, callback) {
+      const reporter = createReporter(options);
+      const outer = Suite.create(reporter.runner.suite, 'api v1.2');
+      outer.file = 'test/api.spec.js';
+      const inner = Suite.create(Suite.create(outer, 'users'), 'create');
+      inner.addTest(createTest('rejects an invalid e-mail'));
+
+      runRunner(reporter.runner, function () {
+        const testsuite = reporter._testsuites.at(-1).testsuite;
+        callback(testsuite[1].testcase[0]._attr);
+      });
+    }
+
+    it('renders the templates', function (done) {
+      runNestedTest(
+        { classnameTemplate: '{file}:{suites[0..2]}', nameTemplate: '{suites[-1]} › {title}' },
+        function (attributes) {
+          expect(attributes).to.include({
+            classname: 'test/api.spec.js:api v1.2.users',
+            name: 'create › rejects an invalid e-mail',
+          });
+          done();
+        }
+      );
+    });
+
+    it('joins suite titles with "classnameSeparator" and replaces dots with "titleDotReplacement"', function (done) {
+      runNestedTest({ classnameSeparator: ' / ', titleDotReplacement: '_' }, function (attributes) {
+        expect(attributes).to.include({ classname: 'api v1_2 / users / create', name: 'rejects an invalid e-mail' });
+        done();
+      });
+    });
+
+    it('throws an error for an unknown placeholder', function () {
+      expect(() => createReporter({ classnameTemplate: '{path}' })).to.throw(TypeError, 'Unknown placeholder {path}');
+    });
+  });
+
+  describe('when stack options are specified', function () {
+    const compiledFile = path.join(__dirname, 'output', 'build', 'login.spec.js');
+    const sourceFile = path.join(__dirname, 'output', 'src', 'login.spec.ts');
+
+    function runCompiledTest(options, callback) {
+      fs.mkdirSync(path.dirname(compiledFile), { recursive: true });
+      fs.writeFileSync(
+        compiledFile,
+        "'use strict';\nthrow new Error('boom');\n//# sourceMappingURL=login.spec.js.map\n"
+      );
+      fs.writeFileSync(
+        `${compiledFile}.map`,
+        JSON.stringify({ version: 3, sources: ['../src/login.spec.ts'], names: [], mappings: 'AAAA;AAEA,IAAI' })
+      );
+
+      const reporter = createReporter(options);
+      const suite = Suite.create(reporter.runner.suite, 'login');
+      suite.file = compiledFile;
+      const err = new Error('boom');
+      err.stack = [
+        'Error: boom',
+        `    at Context.<anonymous> (${compiledFile}:2:5)`,
+        '    at callFn (/repo/node_modules/mocha/lib/runnable.js:366:21)',
+        '    at Helper.retry (/repo/test/helpers/retry.js:10:3)',
+        '    at process.processImmediate (node:internal/timers:483:21)',
+      ].join('\n');
+      suite.addTest(
+        createTest('fails', function () {
+          throw err;
+        })
+      );
+
+      runRunner(reporter.runner, function () {
+        callback(reporter._testsuites[1].testsuite[1].testcase);
+      });
+    }
+
+    it('removes frames of Node.js, Mocha and "stackFilterPatterns"', function (done) {
+      runCompiledTest({ filterStack: true, stackFilterPatterns: 'helpers/retry' }, function (testcase) {
+        // Mocha makes the paths of the stack relative to the working directory
+        expect(testcase[1].error._cdata).to.equal(
+          `Error: boom\n    at Context.<anonymous> (${path.relative(process.cwd(), compiledFile)}:2:5)`
+        );
+        done();
+      });
+    });
+
+    it('maps stack frames and the file attribute to their sources with "sourceMaps"', function (done) {
+      runCompiledTest({ sourceMaps: true }, function (testcase) {
+        expect(testcase[0]._attr.file).to.equal(path.relative(process.cwd(), sourceFile));
+        expect(testcase[1].error._cdata.split('\n').slice(0, 3)).to.deep.equal([
+          'Error: boom',
+          `    at Context.<anonymous> (${sourceFile}:3:5)`,
+          '    at Helper.retry (/repo/test/helpers/retry.js:10:3)',
+        ]);
+        done();
+      });
+    });
+
+    it('throws an error for an invalid pattern', function () {
+      expect(() => createReporter({ stackFilterPatterns: '(' })).to.throw(
+        TypeError,
+        'stackFilterPatterns has an invalid pattern: ('
+      );
+    });
+  });
+
+  describe('when "sourceExcerpt" option is specified', function () {
+    const testFile = path.join(__dirname, 'output', 'excerpt', 'cart.spec.js');
+
+    function runFailingTest(options, callback) {
+      fs.mkdirSync(path.dirname(testFile), { recursive: true });
+      fs.writeFileSync(
+        testFile,
+        "it('adds items', function () {\n  const cart = [];\n  assert(cart.length === 1);\n});\n"
+      );
+
+      const reporter = createReporter(options);
+      const suite = Suite.create(reporter.runner.suite, 'cart');
+      const err = Object.assign(new Error('cart is empty'), { name: 'AssertionError' });
+      err.stack = [
+        'AssertionError: cart is empty',
+        '    at assert (/repo/node_modules/assert-lib/index.js:4:11)',
+        `    at Context.<anonymous> (${testFile}:3:3)`,
+        '    at process.processImmediate (node:internal/timers:483:21)',
+      ].join('\n');
+      suite.addTest(
+        createTest('adds items', function () {
+          throw err;
+        })
+      );
+
+      runRunner(reporter.runner, function () {
+        callback(reporter._testsuites[1].testsuite[1].testcase);
+      });
+    }
+
+    it('adds the source lines around the failing line to the failure', function (done) {
+      runFailingTest({ sourceExcerpt: true, sourceExcerptLines: 1 }, function (testcase) {
+        const details = testcase[1].failure._cdata;
+        expect(details).to.match(/^AssertionError: cart is empty\n/);
+        expect(details).to.have.string(
+          [
+            '',
+            '',
+            `Source: ${path.relative(process.cwd(), testFile)}:3:3`,
+            '  2 |   const cart = [];',
+            '> 3 |   assert(cart.length === 1);',
+            '    |   ^',
+            '  4 | });',
+          ].join('\n')
+        );
+        done();
+      });
+    });
+
+    it('does not add source lines by default', function (done) {
+      runFailingTest({}, function (testcase) {
+        expect(testcase[1].failure._cdata).not.to.have.string('Source:');
+        done();
+      });
+    });
+
+    it('throws an error for an invalid number of lines', function () {
+      expect(() => createReporter({ sourceExcerptLines: 'many' })).to.throw(
+        TypeError,
+        'sourceExcerptLines must be a non-negative integer, got: NaN'
+      );
+    });
+  });
+
+  describe('when "blobLinks" option is specified', function () {
+    const line = 3;
+
+    beforeEach(function () {
+      process.env.CI_PROJECT_URL = 'https://gitlab.example.com/group/project';
+      process.env.CI_COMMIT_SHA = 'abc123';
+    });
+
+    afterEach(function () {
+      delete process.env.CI_PROJECT_URL;
+      delete process.env.CI_COMMIT_SHA;
+    });
+
+    function runFailingTest(options, callback) {
+      const reporter = createReporter(options);
+      const suite = Suite.create(reporter.runner.suite, 'cart');
+      const err = Object.assign(new Error('cart is empty'), { name: 'AssertionError' });
+      err.stack = `AssertionError: cart is empty\n    at Context.<anonymous> (${__filename}:${line}:5)`;
+      const test = createTest('adds items', function () {
+        throw err;
+      });
+      test.file = __filename;
+      test.consoleOutputs = ['adding item'];
+      suite.addTest(test);
+
+      runRunner(reporter.runner, function () {
+        callback(reporter._testsuites[1].testsuite[1].testcase);
+      });
+    }
+
+    it('links failures and system-out to the failing line in GitLab', function (done) {
+      runFailingTest({ blobLinks: true, outputs: true }, function (testcase) {
+        const link = `https://gitlab.example.com/group/project/-/blob/abc123/test/mocha-gitlab-reporter.spec.js#L${line}`;
+        expect(testcase[1]['system-out']).to.equal(`${link}\nadding item`);
+        expect(testcase[2].failure._cdata).to.equal(
+          `${link}\nAssertionError: cart is empty\n    at Context.<anonymous> (${path.relative(process.cwd(), __filename)}:${line}:5)`
+        );
+        done();
+      });
+    });
+
+    it('uses "blobUrl" as the base of links', function (done) {
+      runFailingTest({ blobLinks: true, blobUrl: 'https://git.example.org/project/-/blob/main/' }, function (testcase) {
+        const link = `https://git.example.org/project/-/blob/main/test/mocha-gitlab-reporter.spec.js#L${line}`;
+        expect(testcase[1]['system-out']).to.equal(link);
+        expect(testcase[2].failure._cdata.split('\n')[0]).to.equal(link);
+        done();
+      });
+    });
+
+    it('does not link failures outside GitLab CI without "blobUrl"', function (done) {
+      delete process.env.CI_PROJECT_URL;
+      runFailingTest({ blobLinks: true }, function (testcase) {
+        expect(testcase[1].failure._cdata).to.match(/^AssertionError: cart is empty/);
+        done();
+      });
+    });
+
+    it('does not link failures by default', function (done) {
+      runFailingTest({}, function (testcase) {
+        expect(testcase[1].failure._cdata).to.match(/^AssertionError: cart is empty/);
+        done();
+      });
+    });
+  });
+
+  describe('when "durationHistoryFile" option is specified', function () {
+    const durationHistoryFile = path.join(__dirname, 'output', 'durations.json');
+
+    function runCartTests(options, callback) {
+      fs.mkdirSync(path.dirname(durationHistoryFile), { recursive: true });
+      fs.writeFileSync(
+        durationHistoryFile,
+        JSON.stringify({
+          version: 1,
+          testcases: { Cart: { 'adds items': [0.01, 0.012, 0.011], 'removes items': [0.01, 0.01, 0.01] } },
+        })
+      );
+
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', durationHistoryFile, ...options });
+      const suite = Suite.create(reporter.runner.suite, 'Cart');
+      const slowTest = createTest('adds items', { duration: 500 });
+      slowTest.properties = { issue: 'SHOP-1' };
+      suite.addTest(slowTest);
+      suite.addTest(createTest('removes items', { duration: 20 }));
+      suite.addTest(createTest('empties the cart', { duration: 700 }));
+
+      runRunner(reporter.runner, function () {
+        callback(reporter._testsuites[1].testsuite);
+      });
+    }
+
+    it('marks testcases that got slower and records their durations', function (done) {
+      runCartTests({}, function (testsuite) {
+        const [, slow, fast, unknown] = testsuite;
+        expect(slow.testcase[1].properties.property.map((property) => property._attr)).to.deep.equal([
+          { name: 'issue', value: 'SHOP-1' },
+          { name: 'durationRegression', value: '45.5x' },
+        ]);
+        expect(slow.testcase[2]).to.deep.equal({
+          'system-out': 'Duration regression: took 0.500s, 45.5x the median of 0.011s over the last 3 runs',
+        });
+        expect(fast.testcase).to.have.lengthOf(1);
+        expect(unknown.testcase).to.have.lengthOf(1);
+
+        expect(JSON.parse(fs.readFileSync(durationHistoryFile, 'utf-8')).testcases).to.deep.equal({
+          Cart: {
+            'adds items': [0.01, 0.012, 0.011, 0.5],
+            'removes items': [0.01, 0.01, 0.01, 0.02],
+            'empties the cart': [0.7],
+          },
+        });
+        done();
+      });
+    });
+
+    it('uses the "durationRegressionFactor" and "durationRegressionMinTime" thresholds', function (done) {
+      runCartTests({ durationRegressionFactor: 50, durationRegressionMinTime: 5 }, function (testsuite) {
+        expect(testsuite[1].testcase).to.have.lengthOf(2);
+        expect(testsuite[2].testcase).to.have.lengthOf(1);
+        done();
+      });
+    });
+
+    it('lists the regressions after the console reporter output', function (done) {
+      const stdout = mockStdout();
+      runCartTests({ consoleReporter: 'dot' }, function () {
+        stdout.restore();
+        const output = stdout.output.join('');
+        expect(output).to.have.string('Duration regressions (1):');
+        expect(output).to.have.string('45.5x  Cart adds items: 0.500s, median 0.011s');
+        done();
+      });
+    });
+
+    it('throws an error for an invalid factor', function () {
+      expect(() => createReporter({ durationRegressionFactor: 0 })).to.throw(
+        TypeError,
+        'durationRegressionFactor must be a positive number, got: 0'
+      );
+    });
+  });
+
+  describe('when "flakinessReports" option is specified', function () {
+    const reportsDirectory = path.join(__dirname, 'output', 'previous');
+    const flakinessFile = path.join(__dirname, 'output', 'flaky-tests.json');
+
+    it('scores testcases by how often their outcome flipped in previous reports', function (done) {
+      // In the two previous runs, "adds items" failed and then passed
+      const previousRuns = [
+        { file: 'test-results-1.xml', fails: true },
+        { file: 'test-results-2.xml', fails: false },
+      ];
+      fs.mkdirSync(reportsDirectory, { recursive: true });
+      for (const { file, fails } of previousRuns) {
+        fs.writeFileSync(
+          path.join(reportsDirectory, file),
+          '<testsuites><testsuite name="Cart" timestamp="' +
+            (fails ? '2024-01-01T10:00:00' : '2024-01-02T10:00:00') +
+            '"><testcase name="adds items" classname="Cart">' +
+            (fails ? '<failure message="boom"/>' : '') +
+            '</testcase><testcase name="removes items" classname="Cart"/></testsuite></testsuites>'
+        );
+      }
+
+      const reporter = createReporter({
+        mochaFile: 'test/output/mocha.xml',
+        flakinessReports: reportsDirectory,
+        flakinessFile,
+      });
+      const suite = Suite.create(reporter.runner.suite, 'Cart');
+      suite.addTest(
+        createTest('adds items', function () {
+          throw new Error('boom');
+        })
+      );
+      suite.addTest(createTest('removes items'));
+
+      runRunner(reporter.runner, function () {
+        const [, flaky, stable] = reporter._testsuites[1].testsuite;
+        expect(flaky.testcase[1].properties.property[0]._attr).to.deep.equal({ name: 'flakiness', value: '1.00' });
+        expect(stable.testcase).to.have.lengthOf(1);
+        expect(JSON.parse(fs.readFileSync(flakinessFile, 'utf-8'))).to.deep.equal({
+          runs: 3,
+          tests: [{ classname: 'Cart', name: 'adds items', flakiness: 1, flips: 2, failures: 2, runs: 3 }],
+        });
+        done();
+      });
+    });
+
+    it('writes no flaky testcases file by default', function (done) {
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', flakinessFile });
+      Suite.create(reporter.runner.suite, 'Cart').addTest(createTest('adds items'));
+      runRunner(reporter.runner, function () {
+        expect(fs.existsSync(flakinessFile)).to.be.false;
+        done();
+      });
+    });
+  });
+
+  describe('when "quarantineFile" option is specified', function () {
+    const quarantineFile = path.join(__dirname, 'output', 'quarantine.yml');
+    const reportsDirectory = path.join(__dirname, 'output', 'previous');
+
+    beforeEach(function () {
+      fs.mkdirSync(path.dirname(quarantineFile), { recursive: true });
+      fs.writeFileSync(
+        quarantineFile,
+        [
+          '# Known flaky tests',
+          '- classname: Cart',
+          '  name: adds *',
+          '  owner: "@shop-team"',
+          '  issue: https://gitlab.com/shop/shop/-/issues/12',
+        ].join('\n')
+      );
+    });
+
+    function runCartTests(options, addsItemsFails, callback) {
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', quarantineFile, ...options });
+      const suite = Suite.create(reporter.runner.suite, 'Cart');
+      suite.addTest(
+        createTest('adds items', function () {
+          if (addsItemsFails) {
+            throw new Error('boom');
+          }
+        })
+      );
+      suite.addTest(
+        createTest('removes items', function () {
+          throw new Error('bang');
+        })
+      );
+      runRunner(reporter.runner, function () {
+        callback(reporter, reporter._testsuites[1].testsuite);
+      });
+    }
+
+    it('reports quarantined tests that failed as skipped, with the failure in system-err', function (done) {
+      runCartTests({}, true, function (reporter, testsuite) {
+        const [attributes, quarantined, failed] = testsuite;
+        expect(quarantined.testcase).to.have.lengthOf(3);
+        expect(quarantined.testcase[1]['system-err']).to.match(/^Error: boom\n/);
+        expect(quarantined.testcase[2]).to.deep.equal({
+          skipped: {
+            _attr: { message: 'quarantined: https://gitlab.com/shop/shop/-/issues/12, owner @shop-team' },
+          },
+        });
+        expect(Object.keys(failed.testcase.at(-1))).to.deep.equal(['error']);
+        expect(attributes._attr).to.include({ failures: 0, errors: 1, skipped: 1 });
+        expect(reporter._totals).to.include({ tests: 2, failures: 0, errors: 1, skipped: 1 });
+        done();
+      });
+    });
+
+    it('reports quarantined tests that passed as passed', function (done) {
+      runCartTests({}, false, function (reporter, testsuite) {
+        expect(testsuite[1].testcase).to.have.lengthOf(1);
+        done();
+      });
+    });
+
+    it('flags quarantined tests that passed in the last "quarantinePasses" runs', function (done) {
+      fs.mkdirSync(reportsDirectory, { recursive: true });
+      for (const [file, timestamp, child] of [
+        ['test-results-1.xml', '2024-01-01T10:00:00', '<skipped message="quarantined: #12"/>'],
+        ['test-results-2.xml', '2024-01-02T10:00:00', ''],
+        ['test-results-3.xml', '2024-01-03T10:00:00', ''],
+      ]) {
+        fs.writeFileSync(
+          path.join(reportsDirectory, file),
+          `<testsuites><testsuite name="Cart" timestamp="${timestamp}">` +
+            `<testcase name="adds items" classname="Cart">${child}</testcase></testsuite></testsuites>`
+        );
+      }
+
+      const stdout = mockStdout();
+      const flakinessFile = path.join(__dirname, 'output', 'flaky-tests.json');
+      runCartTests({ flakinessReports: reportsDirectory, flakinessFile }, false, function () {
+        stdout.restore();
+        const output = stdout.output.join('');
+        expect(output).to.have.string('Quarantined tests passing again (1):');
+        expect(output).to.have.string(
+          'Cart adds items: passed 3 runs in a row (https://gitlab.com/shop/shop/-/issues/12, owner @shop-team)'
+        );
+        done();
+      });
+    });
+
+    it('does not flag quarantined tests before they passed "quarantinePasses" runs in a row', function (done) {
+      const stdout = mockStdout();
+      runCartTests({}, false, function () {
+        stdout.restore();
+        expect(stdout.output.join('')).not.to.have.string('Quarantined tests');
+        done();
+      });
+    });
+
+    it('leaves quarantined tests out of the rerun manifest', function (done) {
+      const rerunFile = path.join(__dirname, 'output', 'rerun.json');
+      runCartTests({ rerunFile }, true, function () {
+        const manifest = JSON.parse(fs.readFileSync(rerunFile, 'utf-8'));
+        expect(manifest).to.include({ failures: 1, grep: '^(?:Cart removes items$)' });
+        done();
+      });
+    });
+
+    it('throws an error for an invalid number of passes', function () {
+      expect(() => createReporter({ quarantineFile, quarantinePasses: 0 })).to.throw(
+        TypeError,
+        'quarantinePasses must be a positive integer, got: 0'
+      );
+    });
+  });
+
+  describe('when "rerunFile" option is specified', function () {
+    const rerunFile = path.join(__dirname, 'output', 'rerun.json');
+
+    it('writes the original files and a grep pattern of the failed tests', function (done) {
+      const reporter = createReporter({
+        mochaFile: 'test/output/mocha.xml',
+        rerunFile,
+        filePathTransforms: "[{search: '^test/'| replace: 'spec/'}]",
+      });
+      const cart = Suite.create(reporter.runner.suite, 'Cart (v2)');
+      cart.file = path.join(__dirname, 'cart.spec.js');
+      cart.addTest(createTest('adds items', function () {}));
+      cart.addTest(
+        createTest('removes items?', function () {
+          throw new Error('boom');
+        })
+      );
+      const checkout = Suite.create(reporter.runner.suite, 'Checkout');
+      checkout.file = path.join(__dirname, 'checkout.spec.js');
+      checkout.beforeAll('setup', function () {
+        throw new Error('bang');
+      });
+      checkout.addTest(createTest('pays'));
+
+      runRunner(reporter.runner, function () {
+        expect(JSON.parse(fs.readFileSync(rerunFile, 'utf-8'))).to.deep.equal({
+          version: 1,
+          failures: 2,
+          files: ['test/cart.spec.js', 'test/checkout.spec.js'],
+          grep: String.raw`^(?:Cart \(v2\) removes items\?$|Checkout )`,
+        });
+        done();
+      });
+    });
+
+    it('leaves tests excluded from the report out of the manifest', function (done) {
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', rerunFile, excludeTags: 'slow' });
+      const suite = Suite.create(reporter.runner.suite, 'Cart');
+      suite.addTest(
+        createTest('adds items @slow', function () {
+          throw new Error('boom');
+        })
+      );
+      suite.addTest(
+        createTest('removes items', function () {
+          throw new Error('bang');
+        })
+      );
+
+      runRunner(reporter.runner, function () {
+        const manifest = JSON.parse(fs.readFileSync(rerunFile, 'utf-8'));
+        expect(manifest).to.include({ failures: 1, grep: '^(?:Cart removes items$)' });
+        done();
+      });
+    });
+
+    it('writes an empty manifest when no tests failed', function (done) {
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', rerunFile });
+      Suite.create(reporter.runner.suite, 'Cart').addTest(createTest('adds items'));
+      runRunner(reporter.runner, function () {
+        expect(JSON.parse(fs.readFileSync(rerunFile, 'utf-8'))).to.deep.equal({
+          version: 1,
+          failures: 0,
+          files: [],
+          grep: null,
+        });
+        done();
+      });
+    });
+  });
+
+  describe('boolean options', function () {
+    const BOOLEAN_OPTIONS = [
+      'attachments',
+      'toConsole',
+      'outputs',
+      'includePending',
+      'incremental',
+      'captureConsole',
+      'tags',
+      'stripTags',
+      'tagClassname',
+      'filterStack',
+      'sourceMaps',
+      'sourceExcerpt',
+      'blobLinks',
+    ];
+
+    for (const option of BOOLEAN_OPTIONS) {
+      it(`turns "${option}" off with the string "false"`, function () {
+        const reporter = createReporter({ [option]: 'false' });
+        expect(reporter._options[option]).to.equal(false);
+      });
+
+      it(`turns "${option}" on with the string "1"`, function () {
+        const reporter = createReporter({ [option]: '1' });
+        expect(reporter._options[option]).to.equal(true);
+      });
+    }
+
+    it('turns an option off with the string "false" in its environment variable', function () {
+      process.env.ATTACHMENTS = 'false';
+      try {
+        const reporter = createReporter({ attachments: true });
+        expect(reporter._options.attachments).to.equal(false);
+      } finally {
+        delete process.env.ATTACHMENTS;
+      }
+    });
+
+    it('does not report pending tests with includePending "false"', function (done) {
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', includePending: 'false' });
+      const suite = Suite.create(reporter.runner.suite, 'pending suite');
+      suite.addTest(createTest('pending', null, null));
+      suite.addTest(createTest('passing'));
+
+      runRunner(reporter.runner, function () {
+        const xml = fs.readFileSync('test/output/mocha.xml', 'utf-8');
+        expect(xml).to.include('<testcase name="passing"');
+        expect(xml).to.not.include('<testcase name="pending"');
+        done();
+      });
+    });
+
+    it('turns an option on with any other truthy value', function () {
+      const reporter = createReporter({ outputs: 'yes', toConsole: 1, includePending: 'TRUE' });
+      expect(reporter._options).to.include({ outputs: true, toConsole: true, includePending: true });
+    });
+  });
+
+  describe('error classification', function () {
+    function runErrors(options, callback) {
+      const reporter = createReporter(options);
+      const suite = Suite.create(reporter.runner.suite, 'errors');
+      const errors = {
+        assertion: Object.assign(new Error('1 == 2'), { name: 'AssertionError' }),
+        comparison: Object.assign(new Error('expected 1 to be 2'), {
+          name: 'ExpectationError',
+          actual: 1,
+          expected: 2,
+        }),
+        type: new TypeError('x is not a function'),
+        timeout: Object.assign(new Error('Timeout of 2000ms exceeded.'), { code: 'ERR_MOCHA_TIMEOUT' }),
+      };
+      for (const [title, err] of Object.entries(errors)) {
+        suite.addTest(
+          createTest(title, function () {
+            throw err;
+          })
+        );
+      }
+
+      runRunner(reporter.runner, function () {
+        const elements = {};
+        for (const testcase of reporter._testsuites[1].testsuite.slice(1)) {
+          elements[testcase.testcase[0]._attr.name] = Object.keys(testcase.testcase.at(-1))[0];
+        }
+        callback(reporter, elements);
+      });
+    }
+
+    it('reports assertion errors as failures and other errors as errors', function (done) {
+      runErrors({}, function (reporter, elements) {
+        expect(elements).to.deep.equal({
+          assertion: 'failure',
+          comparison: 'failure',
+          type: 'error',
+          timeout: 'error',
+        });
+        expect(reporter._testsuites[1].testsuite[0]._attr).to.include({ failures: 2, errors: 2 });
+        expect(reporter._xml).to.match(
+          /<testsuites name="Mocha Tests" time="[\d.]+" tests="4" failures="2" errors="2">/
+        );
+        done();
+      });
+    });
+
+    it('reports the error types listed in "failureTypes" as failures', function (done) {
+      runErrors({ failureTypes: 'AssertionError, TypeError' }, function (reporter, elements) {
+        expect(elements).to.deep.equal({
+          assertion: 'failure',
+          comparison: 'failure',
+          type: 'failure',
+          timeout: 'error',
+        });
+        done();
+      });
+    });
+
+    it('reports every error as a failure with "failureTypes=*"', function (done) {
+      process.env.FAILURE_TYPES = '*';
+      runErrors({}, function (reporter, elements) {
+        delete process.env.FAILURE_TYPES;
+        expect(Object.values(elements)).to.deep.equal(['failure', 'failure', 'failure', 'failure']);
+        expect(reporter._xml).not.to.include('errors=');
+        done();
+      });
+    });
+  });
+
+  describe('when "codeQualityFile" option is specified', function () {
+    it('writes a Code Quality finding for each failed test', function (done) {
+      const codeQualityFile = path.join(__dirname, 'output', 'gl-code-quality-report.json');
+      const reporter = createReporter({
+        mochaFile: 'test/output/mocha.xml',
+        codeQualityFile,
+        filePathTransforms: "[{search: '^test/'| replace: 'spec/'}]",
+      });
+      const suite = Suite.create(reporter.runner.suite, 'Calculator');
+      const failingTest = createTest('adds numbers', function () {
+        expect(1 + 2).to.equal(4);
+      });
+      failingTest.file = __filename;
+      suite.addTest(failingTest);
+      suite.addTest(createTest('subtracts numbers'));
+
+      runRunner(reporter.runner, function () {
+        const issues = JSON.parse(fs.readFileSync(codeQualityFile, 'utf-8'));
+        expect(issues).to.have.lengthOf(1);
+        expect(issues[0]).to.deep.include({
+          description: 'Calculator adds numbers: expected 3 to equal 4',
+          check_name: 'mocha-test-failure',
+          severity: 'major',
+        });
+        expect(issues[0].location.path).to.equal('spec/mocha-gitlab-reporter.spec.js');
+        // the line of the failing assertion
+        expect(fs.readFileSync(__filename, 'utf-8').split('\n')[issues[0].location.lines.begin - 1]).to.include(
+          'expect(1 + 2).to.equal(4);'
+        );
+        done();
+      });
+    });
+  });
+
+  describe('when the run is interrupted', function () {
+    function runInterrupted(interrupt, callback) {
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml' });
+      const rootSuite = reporter.runner.suite;
+      const started = Suite.create(rootSuite, 'started');
+      started.addTest(createTest('passes'));
+      started.addTest(
+        createTest('is running', function () {
+          interrupt(reporter);
+        })
+      );
+      started.addTest(createTest('never runs'));
+      Suite.create(rootSuite, 'not started').addTest(createTest('never runs either'));
+
+      runRunner(reporter.runner, function () {
+        callback(reporter, fs.readFileSync('test/output/mocha.xml', 'utf-8'));
+      });
+    }
+
+    it('writes the report when a signal is received', function (done) {
+      const listenerCount = process.listenerCount('SIGTERM');
+      // keeps the signal from being raised again, which would end the test run
+      const keepAlive = function () {};
+      runInterrupted(
+        function () {
+          process.on('SIGTERM', keepAlive);
+          process.emit('SIGTERM', 'SIGTERM');
+          process.removeListener('SIGTERM', keepAlive);
+        },
+        function (reporter, xml) {
+          expect(xml).xml.to.be.valid();
+          expect(xml).to.match(
+            /<testsuites name="Mocha Tests" time="[\d.]+" tests="4" failures="0" errors="1" skipped="2">\n\s*<properties>/
+          );
+          expect(xml).to.include('<property name="incomplete" value="true">');
+          expect(xml).to.include('<property name="interruptedBy" value="SIGTERM">');
+          expect(xml).to.include('<testcase name="passes"');
+          expect(xml).to.include(
+            '<error message="Test run interrupted while running: received SIGTERM" type="Interrupted">'
+          );
+          expect(xml).to.include('<skipped message="Test run interrupted before the test ran: received SIGTERM">');
+          expect(xml).to.include('<testsuite name="not started"');
+          expect(xml).to.include('<testcase name="never runs either"');
+          expect(process.listenerCount('SIGTERM')).to.equal(listenerCount);
+          done();
+        }
+      );
+    });
+
+    it('writes the report when the process exits before the run ends', function (done) {
+      runInterrupted(
+        function (reporter) {
+          reporter._interruptionHandlers.exit(7);
+        },
+        function (reporter, xml) {
+          expect(xml).xml.to.be.valid();
+          expect(xml).to.include('<property name="interruptedBy" value="exit">');
+          expect(xml).to.include('message="Test run interrupted while running: the process exited with code 7"');
+          done();
+        }
+      );
+    });
+
+    it('removes its listeners when the run ends', function (done) {
+      const listenerCount = process.listenerCount('exit');
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml' });
+      Suite.create(reporter.runner.suite, 'suite').addTest(
+        createTest('passes', function () {
+          expect(process.listenerCount('exit')).to.equal(listenerCount + 1);
+        })
+      );
+
+      runRunner(reporter.runner, function () {
+        expect(process.listenerCount('exit')).to.equal(listenerCount);
+        expect(reporter._xml).not.to.include('<properties>');
+        done();
+      });
+    });
+  });
+
+  describe('when "summaryFile" option is specified', function () {
+    afterEach(function () {
+      delete process.env.CI_PROJECT_URL;
+      delete process.env.CI_COMMIT_SHA;
+    });
+
+    it('writes a Markdown summary of the run', function (done) {
+      process.env.CI_PROJECT_URL = 'https://gitlab.example.com/group/project';
+      process.env.CI_COMMIT_SHA = 'abc123';
+      const summaryFile = path.join(__dirname, 'output', 'summary.md');
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', summaryFile });
+      const suite = Suite.create(reporter.runner.suite, 'Calculator');
+      const failingTest = createTest('adds numbers', function () {
+        expect(1 + 2).to.equal(4);
+      });
+      failingTest.file = __filename;
+      suite.addTest(failingTest);
+      suite.addTest(createTest('subtracts numbers'));
+
+      runRunner(reporter.runner, function () {
+        const summary = fs.readFileSync(summaryFile, 'utf-8');
+        expect(summary).to.include('## Test results: 1 of 2 failed');
+        expect(summary).to.match(/\| 2 \| 1 \| 1 \| 0 \| 0 \| [\d.]+s \|/);
+        expect(summary).to.include('<summary>Failures (1)</summary>');
+        expect(summary).to.include('#### Calculator adds numbers');
+        expect(summary).to.include(
+          '[test/mocha-gitlab-reporter.spec.js](https://gitlab.example.com/group/project/-/blob/abc123/test/mocha-gitlab-reporter.spec.js)'
+        );
+        expect(summary).to.include('expected 3 to equal 4');
+        done();
+      });
+    });
+
+    it('keeps the summary within "summaryMaxLength"', function (done) {
+      const summaryFile = path.join(__dirname, 'output', 'summary.md');
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', summaryFile, summaryMaxLength: 600 });
+      const suite = Suite.create(reporter.runner.suite, 'Many');
+      for (let index = 0; index < 20; index++) {
+        suite.addTest(
+          createTest(`fails ${index}`, function () {
+            throw new Error('x'.repeat(100));
+          })
+        );
+      }
+
+      runRunner(reporter.runner, function () {
+        const summary = fs.readFileSync(summaryFile, 'utf-8');
+        expect(summary.length).to.be.at.most(600);
+        expect(summary).to.match(/_\d+ more not shown_/);
+        expect(summary).to.match(/<\/details>\n$/);
+        done();
+      });
+    });
+  });
+
+  describe('when a hook fails', function () {
+    function runFailingBeforeAll(options, callback) {
+      const reporter = createReporter(options);
+      const rootSuite = reporter.runner.suite;
+      const brokenSuite = Suite.create(rootSuite, 'broken');
+      brokenSuite.beforeAll('setup', function () {
+        throw new Error('setup failed');
+      });
+      brokenSuite.addTest(createTest('a'));
+      brokenSuite.addTest(createTest('b'));
+      Suite.create(brokenSuite, 'inner').addTest(createTest('c'));
+      Suite.create(rootSuite, 'good').addTest(createTest('d'));
+
+      runRunner(reporter.runner, function () {
+        callback(reporter, reporter._testsuites[1].testsuite);
+      });
+    }
+
+    it('reports the hook as a testcase with an error by default', function (done) {
+      runFailingBeforeAll({}, function (reporter, broken) {
+        expect(broken).to.have.lengthOf(2);
+        expect(broken[1].testcase[0]._attr.name).to.match(/^"before all" hook: setup/);
+        expect(broken[1].testcase[1].error._attr).to.deep.equal({ message: 'setup failed', type: 'Error' });
+
+        expect(reporter._xml).xml.to.be.valid();
+        expect(reporter._xml).to.match(
+          /<testsuites name="Mocha Tests" time="[\d.]+" tests="2" failures="0" errors="1">/
+        );
+        expect(reporter._xml).to.include('<testsuite name="broken" timestamp="1970-01-01T00:00:00" tests="1"');
+        done();
+      });
+    });
+
+    it('reports every test that did not run with the hook\'s error with "hookFailures=fail"', function (done) {
+      runFailingBeforeAll({ hookFailures: 'fail' }, function (reporter, broken) {
+        expect(broken.slice(1).map((testcase) => testcase.testcase[0]._attr.name)).to.deep.equal(['a', 'b', 'c']);
+        expect(broken[3].testcase[0]._attr.classname).to.equal('broken.inner');
+        for (const testcase of broken.slice(1)) {
+          expect(testcase.testcase[1].error._attr.message).to.equal('setup failed');
+        }
+
+        expect(reporter._xml).to.match(
+          /<testsuites name="Mocha Tests" time="[\d.]+" tests="4" failures="0" errors="3">/
+        );
+        done();
+      });
+    });
+
+    it('reports every test that did not run as skipped with "hookFailures=skip"', function (done) {
+      runFailingBeforeAll({ hookFailures: 'skip' }, function (reporter, broken) {
+        expect(broken).to.have.lengthOf(5);
+        expect(broken[1].testcase[1].skipped._attr.message).to.match(/^"before all" hook: setup.* failed$/);
+        expect(broken[4].testcase[1].error._attr.message).to.equal('setup failed');
+
+        expect(reporter._xml).xml.to.be.valid();
+        expect(reporter._xml).to.match(
+          /<testsuites name="Mocha Tests" time="[\d.]+" tests="5" failures="0" errors="1" skipped="3">/
+        );
+        done();
+      });
+    });
+
+    it('reports a failing "after all" hook itself with "hookFailures=fail"', function (done) {
+      const reporter = createReporter({ hookFailures: 'fail' });
+      const suite = Suite.create(reporter.runner.suite, 'teardown');
+      suite.afterAll('cleanup', function () {
+        throw new Error('cleanup failed');
+      });
+      suite.addTest(createTest('passes'));
+
+      runRunner(reporter.runner, function () {
+        const testsuite = reporter._testsuites[1].testsuite;
+        expect(testsuite).to.have.lengthOf(3);
+        expect(testsuite[2].testcase[1].error._attr.message).to.equal('cleanup failed');
+        expect(reporter._xml).to.include('tests="2" failures="0" errors="1"');
+        done();
+      });
+    });
+
+    it('throws an error for an unknown policy', function () {
+      expect(() => createReporter({ hookFailures: 'ignore' })).to.throw(
+        TypeError,
+        'hookFailures must be one of error, fail, skip, got: ignore'
+      );
+    });
+  });
+
+  describe('when "captureConsole" option is specified', function () {
+    it('adds the output of each test and of the hooks of each suite to the report', function (done) {
+      const reporter = createReporter({ captureConsole: true });
+      mockStdout();
+      const stderr = testConsole.stderr.inspect();
+
+      const suite = Suite.create(reporter.runner.suite, 'noisy suite');
+      suite.beforeAll('setup', function () {
+        console.log('setting up');
+      });
+      suite.addTest(
+        createTest('logs', function () {
+          console.log('hello from the test');
+          console.error('something went wrong');
+          process.stdout.write('raw write\n');
+        })
+      );
+      suite.addTest(createTest('is quiet'));
+
+      runRunner(reporter.runner, function () {
+        const testsuite = reporter._testsuites[1].testsuite;
+        expect(testsuite).to.have.lengthOf(4);
+        expect(testsuite[1].testcase[1]).to.have.property('system-out', 'hello from the test\nraw write');
+        expect(testsuite[1].testcase[2]).to.have.property('system-err', 'something went wrong');
+        expect(testsuite[2].testcase).to.have.lengthOf(1);
+        expect(testsuite[3]).to.deep.equal({ 'system-out': 'setting up' });
+
+        expect(reporter._xml).xml.to.be.valid();
+        expect(reporter._xml).to.include('tests="2" failures="0"');
+        stderr.restore();
+        expect(stdout.output).to.include('hello from the test\n');
+        expect(stderr.output).to.deep.equal(['something went wrong\n']);
+        done();
+      });
+    });
+
+    it('adds the output of "before each" hooks and of the test after them to the test', function (done) {
+      const reporter = createReporter({ captureConsole: true });
+      mockStdout();
+
+      const suite = Suite.create(reporter.runner.suite, 'noisy suite');
+      suite.beforeEach('prepare', function () {
+        console.log('preparing');
+      });
+      suite.afterEach('clean up', function () {
+        console.log('cleaning up');
+      });
+      suite.addTest(
+        createTest('logs', function () {
+          console.log('hello from the test');
+        })
+      );
+
+      runRunner(reporter.runner, function () {
+        const testsuite = reporter._testsuites[1].testsuite;
+        expect(testsuite[1].testcase[1]).to.have.property('system-out', 'preparing\nhello from the test');
+        expect(testsuite[2]).to.deep.equal({ 'system-out': 'cleaning up' });
+        done();
+      });
+    });
+
+    it('truncates output beyond "captureConsoleLimit"', function (done) {
+      const reporter = createReporter({ captureConsole: true, captureConsoleLimit: 5 });
+      mockStdout();
+
+      const suite = Suite.create(reporter.runner.suite, 'noisy suite');
+      suite.addTest(
+        createTest('logs a lot', function () {
+          console.log('0123456789');
+        })
+      );
+
+      runRunner(reporter.runner, function () {
+        expect(reporter._testsuites[1].testsuite[1].testcase[1]).to.have.property(
+          'system-out',
+          '01234\n[truncated 6 characters]'
+        );
+        done();
+      });
+    });
+  });
+
+  describe('when tests are retried', function () {
+    it('adds a flakyFailure for each failed attempt of a test that eventually passes', function (done) {
+      const reporter = createReporter({ outputs: true, failureTypes: 'TypeError' });
+      let attempt = 0;
+
+      const suite = Suite.create(reporter.runner.suite, 'flaky suite');
+      suite.retries(2);
+      suite.addTest(
+        createTest('passes on the third attempt', function () {
+          attempt++;
+          if (attempt < 3) {
+            const err = new TypeError(`attempt ${attempt} failed`);
+            err.stack = `TypeError: attempt ${attempt} failed\n    at flaky.spec.js:1:1`;
+            throw err;
+          }
+        })
+      );
+      // every attempt runs on a new clone of the test
+      reporter.runner.on('test', function (test) {
+        test.consoleOutputs = [`attempt ${attempt + 1}`];
+      });
+
+      runRunner(reporter.runner, function () {
+        const testcase = reporter._testsuites[1].testsuite[1].testcase;
+        expect(testcase).to.have.lengthOf(4);
+        expect(testcase[2].flakyFailure).to.deep.equal([
+          { _attr: { message: 'attempt 1 failed', type: 'TypeError' } },
+          { stackTrace: { _cdata: 'TypeError: attempt 1 failed\n    at flaky.spec.js:1:1' } },
+          { 'system-out': 'attempt 1' },
+        ]);
+        expect(testcase[3].flakyFailure[0]._attr.message).to.equal('attempt 2 failed');
+
+        expect(reporter._xml).xml.to.be.valid();
+        expect(reporter._xml).to.include('<testsuite name="flaky suite" timestamp="1970-01-01T00:00:00" tests="1"');
+        expect(reporter._xml).to.include('failures="0"');
+        expect(reporter._xml).not.to.include('<failure');
+        done();
+      });
+    });
+
+    it('adds a rerunError for each earlier attempt of a test that fails every attempt with an error', function (done) {
+      const reporter = createReporter();
+      let attempt = 0;
+
+      const suite = Suite.create(reporter.runner.suite, 'broken suite');
+      suite.retries(1);
+      suite.addTest(
+        createTest('always fails', function () {
+          attempt++;
+          throw new Error(`attempt ${attempt} failed`);
+        })
+      );
+
+      runRunner(reporter.runner, function () {
+        const testcase = reporter._testsuites[1].testsuite[1].testcase;
+        expect(testcase).to.have.lengthOf(3);
+        expect(testcase[1].error._attr.message).to.equal('attempt 2 failed');
+        expect(testcase[2].rerunError[0]._attr).to.deep.equal({ message: 'attempt 1 failed', type: 'Error' });
+        expect(testcase[2].rerunError[1].stackTrace._cdata).to.match(/^Error: attempt 1 failed\n/);
+        expect(testcase[2].rerunError).to.have.lengthOf(2);
+
+        expect(reporter._xml).xml.to.be.valid();
+        expect(reporter._testsuites[1].testsuite[0]._attr.errors).to.equal(1);
+        done();
+      });
+    });
+  });
+
+  describe('when "incremental" option is specified', function () {
+    it('produces the same final report', function (done) {
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', incremental: true });
+      runTests(reporter, function () {
+        verifyMochaFile(reporter.runner, filePath);
+        done();
+      });
+    });
+
+    it('writes finished testcases to disk while the run is in progress', function (done) {
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', incremental: true });
+      let partialXml;
+
+      const suite = Suite.create(reporter.runner.suite, 'incremental suite');
+      suite.addTest(createTest('first test'));
+      suite.addTest(
+        createTest('second test', function (done) {
+          done(new Error('first failure'));
+        })
+      );
+      suite.addTest(
+        createTest('reads partial report', function () {
+          partialXml = fs.readFileSync(filePath, 'utf-8');
+        })
+      );
+
+      runRunner(reporter.runner, function () {
+        expect(partialXml).xml.to.be.valid();
+        expect(partialXml).to.include('<testsuite name="incremental suite" timestamp="1970-01-01T00:00:00" tests="3">');
+        expect(partialXml).to.include('name="first test"');
+        expect(partialXml).to.include('<error message="first failure"');
+        expect(partialXml).not.to.include('reads partial report');
+
+        expect(reporter._xml).to.include('errors="1"');
+        expect(fs.readFileSync(filePath, 'utf-8')).to.equal(reporter._xml);
+        done();
+      });
+    });
+
+    it('writes testcases to their own testsuite and patches in its totals when it ends', function (done) {
+      const reporter = createReporter({ mochaFile: 'test/output/mocha.xml', incremental: true });
+      let partialXml;
+
+      const parent = Suite.create(reporter.runner.suite, 'parent suite');
+      parent.addTest(createTest('parent test'));
+      parent.afterAll('tear down', function () {
+        throw new Error('tear down failed');
+      });
+      Suite.create(parent, 'child suite').addTest(createTest('child test'));
+      Suite.create(reporter.runner.suite, 'later suite').addTest(
+        createTest('reads partial report', function () {
+          partialXml = fs.readFileSync(filePath, 'utf-8');
+        })
+      );
+
+      runRunner(reporter.runner, function () {
+        expect(partialXml).xml.to.be.valid();
+        const [parentXml, childXml] = partialXml.split('<testsuite name="child suite"');
+        expect(parentXml).to.match(
+          /<testsuite name="parent suite" timestamp="[^"]+" tests="2" failures="0" errors="1">/
+        );
+        expect(parentXml).to.include('&quot;after all&quot; hook: tear down');
+        expect(childXml).to.match(/^ timestamp="[^"]+" tests="1" time="[\d.]+" failures="0">/);
+        expect(childXml.split('</testsuite>')[0]).not.to.include('after all');
+        done();
+      });
+    });
+
+    it('removes the partial report when the final filename has placeholders', function (done) {
+      const dir = 'test/output/';
+      const reporter = createReporter({ mochaFile: dir + 'results.[hash].xml', incremental: true });
+      expect(reporter.getIncrementalFilename()).to.equal(dir + 'results.partial.xml');
+
+      runTests(reporter, function () {
+        expect(fs.existsSync(dir + 'results.partial.xml')).to.be.false;
+        verifyMochaFile(reporter.runner, dir + getFileNameWithHash(dir));
+        done();
+      });
+    });
+  });
+
   describe('Output', function () {
     it('skips suites with empty title', function (done) {
       const reporter = createReporter();
@@ -751,7 +2146,7 @@ describe('mocha-junit-reporter', function () {
         expect(reporter._xml).to.include('name="test_valid_login"');
         expect(reporter._xml).to.include('classname="Authentication Tests.LoginTest"');
         expect(reporter._xml).to.include('file="test/auth_test.js"');
-        expect(reporter._xml).to.include('<failure');
+        expect(reporter._xml).to.include('<error');
 
         done();
       });
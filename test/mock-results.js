@@ -10,7 +10,8 @@ module.exports = function (stats) {
         _attr: {
           name: 'Mocha Tests',
           tests: 4,
-          failures: '2',
+          failures: '0',
+          errors: '2',
           time: ((stats.duration || 0) / 1000).toFixed(3),
         },
       },
@@ -34,7 +35,8 @@ module.exports = function (stats) {
               name: 'Foo Bar',
               timestamp: '1970-01-01T00:00:00',
               tests: '3',
-              failures: '2',
+              failures: '0',
+              errors: '2',
               time: '100.001',
             },
           },
@@ -57,7 +59,7 @@ module.exports = function (stats) {
                 },
               },
               {
-                failure: {
+                error: {
                   _attr: {
                     message: 'expected garthog to be dead',
                     type: 'Error',
@@ -77,7 +79,7 @@ module.exports = function (stats) {
                 },
               },
               {
-                failure: {
+                error: {
                   _attr: {
                     message: 'expected baz to be masher, a hustler, an uninvited grasper of cone',
                     type: 'BazError',
@@ -0,0 +1,231 @@
+'use strict';
+
+const Reporter = require('../src/index');
+
+const mochaVersion = process.env.MOCHA_VERSION || '';
+const mochaModule = 'mocha' + mochaVersion;
+const Mocha = require(mochaModule);
+const ParallelBuffered = require(mochaModule + '/lib/nodejs/reporters/parallel-buffered');
+const { serialize, deserialize, SerializableWorkerResult } = require(mochaModule + '/lib/nodejs/serializer');
+const Runner = Mocha.Runner;
+const Suite = Mocha.Suite;
+const Test = Mocha.Test;
+
+const childProcess = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const chai = require('chai');
+const chaiXML = require('chai-xml');
+const FakeTimer = require('@sinonjs/fake-timers');
+
+const expect = chai.expect;
+chai.use(chaiXML);
+
+/**
+ * Runs suites the way a parallel mode worker does and returns the events the main process receives.
+ */
+function runWorker(file, buildSuites) {
+  const rootSuite = new Suite('', 'root', true);
+  rootSuite.timeout(0);
+  rootSuite.file = file;
+  buildSuites(rootSuite);
+
+  const runner = new Runner(rootSuite);
+  const buffered = new ParallelBuffered(runner);
+
+  return new Promise(function (resolve) {
+    runner.run(function (failures) {
+      if (runner.dispose) {
+        runner.dispose();
+      }
+      // Round-trip through JSON as the worker pool does when transferring results
+      const result = JSON.parse(JSON.stringify(serialize(SerializableWorkerResult.create(buffered.events, failures))));
+      resolve(deserialize(result).events);
+    });
+  });
+}
+
+function createSuite(parent, title, file) {
+  const suite = Suite.create(parent, title);
+  suite.file = file;
+  return suite;
+}
+
+function createTest(suite, title, fn) {
+  // Mocha's interfaces set the file of each test; Test itself does not
+  const test = new Test(title, fn);
+  test.file = suite.file;
+  suite.addTest(test);
+  return test;
+}
+
+function createReporter(options) {
+  const runner = new Runner(new Suite('', 'root', true));
+  runner.isParallelMode = () => true;
+  return new Reporter(runner, {
+    reporterOptions: Object.assign({ mochaFile: 'test/output/parallel.xml' }, options),
+    Date: FakeTimer.createClock(0).Date,
+  });
+}
+
+function replay(reporter, events) {
+  const runner = reporter.runner;
+  runner.emit('start');
+  for (const event of events) {
+    runner.emit(event.eventName, event.data, event.error);
+  }
+  runner.emit('end');
+}
+
+function firstWorker() {
+  return runWorker('test/first.spec.js', function (rootSuite) {
+    const suite = createSuite(rootSuite, 'First file', 'test/first.spec.js');
+    createTest(suite, 'passes', function () {});
+    const nested = createSuite(suite, 'nested suite', 'test/first.spec.js');
+    createTest(nested, 'fails', function () {
+      throw new TypeError('first file failure');
+    });
+    createTest(suite, 'also passes', function () {});
+  });
+}
+
+function secondWorker() {
+  return runWorker('test/second.spec.js', function (rootSuite) {
+    const suite = createSuite(rootSuite, 'Second file', 'test/second.spec.js');
+    createTest(suite, 'passes', function () {});
+    suite.afterAll('failing hook', function () {
+      throw new Error('after all failure');
+    });
+  });
+}
+
+function getTestsuite(reporter, name) {
+  return reporter._testsuites.find((testsuite) => testsuite.testsuite[0]._attr.name === name).testsuite;
+}
+
+describe('parallel mode', function () {
+  let MOCHA_FILE;
+
+  before(function () {
+    MOCHA_FILE = process.env.MOCHA_FILE;
+    delete process.env.MOCHA_FILE;
+  });
+
+  after(function () {
+    if (MOCHA_FILE !== undefined) {
+      process.env.MOCHA_FILE = MOCHA_FILE;
+    }
+  });
+
+  afterEach(async function () {
+    await fs.promises.rm(path.join(__dirname, 'output'), { recursive: true, force: true });
+  });
+
+  it('rebuilds suites, classnames and files from serialized events', async function () {
+    const reporter = createReporter();
+    replay(reporter, [...(await firstWorker()), ...(await secondWorker())]);
+
+    const names = reporter._testsuites.map((testsuite) => testsuite.testsuite[0]._attr.name);
+    expect(names).to.deep.equal(['Root Suite', 'First file', 'nested suite', 'Second file']);
+
+    const first = getTestsuite(reporter, 'First file');
+    expect(first[0]._attr.tests).to.equal(2);
+    // The durations are those of the worker's run, so they are not compared
+    const attributes = first.slice(1).map((testcase) => testcase.testcase[0]._attr);
+    expect(attributes.map(({ name, classname, file }) => ({ name, classname, file }))).to.deep.equal([
+      { name: 'passes', classname: 'First file', file: 'test/first.spec.js' },
+      { name: 'also passes', classname: 'First file', file: 'test/first.spec.js' },
+    ]);
+    for (const { time } of attributes) {
+      expect(time).to.match(/^\d+\.\d{3}$/);
+    }
+
+    const nested = getTestsuite(reporter, 'nested suite');
+    expect(nested[0]._attr.tests).to.equal(1);
+    expect(nested[1].testcase[0]._attr.classname).to.equal('First file.nested suite');
+    expect(nested[1].testcase[1].error._attr).to.deep.equal({ message: 'first file failure', type: 'TypeError' });
+
+    expect(reporter._xml).xml.to.be.valid();
+    expect(reporter._xml).to.match(/<testsuites name="Mocha Tests" time="[\d.]+" tests="5" failures="0" errors="2">/);
+  });
+
+  it('attributes hook failures to the suite that owns the hook', async function () {
+    const reporter = createReporter();
+    replay(reporter, await secondWorker());
+
+    const second = getTestsuite(reporter, 'Second file');
+    expect(second).to.have.lengthOf(3);
+    expect(second[2].testcase[0]._attr).to.include({ classname: 'Second file', file: 'test/second.spec.js' });
+    expect(second[2].testcase[1].error._attr.message).to.equal('after all failure');
+  });
+
+  it('does not depend on the order in which workers report', async function () {
+    const first = await firstWorker();
+    const second = await secondWorker();
+    const interleaved = [];
+    for (let i = 0; i < Math.max(first.length, second.length); i++) {
+      interleaved.push(...first.slice(i, i + 1), ...second.slice(i, i + 1));
+    }
+
+    const reporter = createReporter();
+    replay(reporter, interleaved);
+
+    expect(getTestsuite(reporter, 'First file')).to.have.lengthOf(3);
+    expect(getTestsuite(reporter, 'nested suite')).to.have.lengthOf(2);
+    expect(getTestsuite(reporter, 'Second file')).to.have.lengthOf(3);
+    const rootSuites = reporter._testsuites.filter((testsuite) => testsuite.testsuite[0]._attr.name === 'Root Suite');
+    expect(rootSuites).to.have.lengthOf(1);
+  });
+
+  it('attaches suite properties although every event brings a new copy of the suite', async function () {
+    const events = await secondWorker();
+    for (const event of events) {
+      if (event.eventName === 'suite end' && event.data.title === 'Second file') {
+        event.data.ctx = { properties: { component: 'checkout' } };
+      }
+    }
+    const reporter = createReporter();
+    replay(reporter, events);
+
+    const second = getTestsuite(reporter, 'Second file');
+    expect(second.find((node) => 'properties' in node).properties).to.deep.equal({
+      property: [{ _attr: { name: 'component', value: 'checkout' } }],
+    });
+  });
+
+  it('produces a report when run with `mocha --parallel`', function () {
+    this.timeout(30000);
+    const packageJson = require(mochaModule + '/package.json');
+    const mochaBin = path.join(path.dirname(require.resolve(mochaModule + '/package.json')), packageJson.bin.mocha);
+    const mochaFile = path.join(__dirname, 'output', 'parallel-run.xml');
+    const env = Object.assign({}, process.env);
+    delete env.MOCHA_FILE;
+
+    const result = childProcess.spawnSync(
+      process.execPath,
+      [
+        mochaBin,
+        '--parallel',
+        '--jobs',
+        '2',
+        '--reporter',
+        path.join(__dirname, '..', 'src', 'index.js'),
+        '--reporter-options',
+        `mochaFile=${mochaFile}`,
+        path.join(__dirname, 'fixtures', 'parallel', '*.spec.js'),
+      ],
+      { encoding: 'utf-8', timeout: 30000, env }
+    );
+    expect(result.status, result.stderr).to.equal(1);
+
+    const xml = fs.readFileSync(mochaFile, 'utf-8');
+    expect(xml).xml.to.be.valid();
+    expect(xml).to.include('tests="5" failures="0" errors="1" skipped="1"');
+    expect(xml.match(/<testsuite name="Root Suite"/g)).to.have.lengthOf(1);
+    expect(xml).to.match(
+      /<testcase name="fails" time="[\d.]+" classname="First file.nested suite" file="[^"]*first.spec.js">/
+    );
+    expect(xml).to.include('<error message="first file failure" type="TypeError">');
+    expect(xml).to.match(/<testcase name="passes" time="[\d.]+" classname="Second file" file="[^"]*second.spec.js">/);
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const { expect } = require('chai');
+const { Suite, Test, Hook } = require('mocha');
+const { normalizeProperties, getSuiteProperties, setProperty } = require('../src/lib/properties');
+
+describe('properties', function () {
+  describe('normalizeProperties', function () {
+    it('should list the entries of an object', function () {
+      expect(normalizeProperties({ owner: 'team-a', retries: 2, flaky: false })).to.deep.equal([
+        { name: 'owner', value: 'team-a' },
+        { name: 'retries', value: '2' },
+        { name: 'flaky', value: 'false' },
+      ]);
+    });
+
+    it('should repeat a property for each value of an array', function () {
+      expect(normalizeProperties({ issue: ['ABC-1', 'ABC-2'] })).to.deep.equal([
+        { name: 'issue', value: 'ABC-1' },
+        { name: 'issue', value: 'ABC-2' },
+      ]);
+    });
+
+    it('should accept a list of name and value pairs', function () {
+      expect(normalizeProperties([{ name: 'owner', value: 'team-a' }])).to.deep.equal([
+        { name: 'owner', value: 'team-a' },
+      ]);
+    });
+
+    it('should leave out properties without a name or value', function () {
+      expect(normalizeProperties({ owner: null, issue: undefined, '': 'x' })).to.deep.equal([]);
+      expect(normalizeProperties(undefined)).to.deep.equal([]);
+      expect(normalizeProperties('owner')).to.deep.equal([]);
+    });
+  });
+
+  describe('getSuiteProperties', function () {
+    it('should ignore the properties of the parent suite', function () {
+      const root = new Suite('', undefined, true);
+      const parent = Suite.create(root, 'parent');
+      const child = Suite.create(parent, 'child');
+      parent.ctx.properties = { owner: 'team-a' };
+
+      expect(getSuiteProperties(parent)).to.deep.equal([{ name: 'owner', value: 'team-a' }]);
+      expect(getSuiteProperties(child)).to.deep.equal([]);
+    });
+  });
+
+  describe('setProperty', function () {
+    let suite;
+    let test;
+
+    beforeEach(function () {
+      suite = Suite.create(new Suite('', undefined, true), 'suite');
+      test = new Test('test', function () {});
+      suite.addTest(test);
+    });
+
+    it('should set a property of the running test', function () {
+      setProperty({ test }, 'owner', 'team-a');
+      setProperty(test, 'issue', 'ABC-12');
+
+      expect(test.properties).to.deep.equal({ owner: 'team-a', issue: 'ABC-12' });
+    });
+
+    it('should set a property of the current test in an "each" hook', function () {
+      const hook = new Hook('"before each" hook', function () {});
+      hook.parent = suite;
+
+      setProperty({ test: hook, currentTest: test }, 'owner', 'team-a');
+
+      expect(test.properties).to.deep.equal({ owner: 'team-a' });
+    });
+
+    it('should set a property of the suite in an "all" hook or describe()', function () {
+      const hook = new Hook('"before all" hook', function () {});
+      hook.parent = suite;
+      const child = Suite.create(suite, 'child');
+
+      setProperty({ test: hook, currentTest: test }, 'owner', 'team-a');
+      setProperty(child, 'owner', 'team-b');
+
+      expect(suite.ctx.properties).to.deep.equal({ owner: 'team-a' });
+      expect(child.ctx.properties).to.deep.equal({ owner: 'team-b' });
+      expect(test).not.to.have.property('properties');
+    });
+
+    it('should add to properties given as a list', function () {
+      test.properties = [{ name: 'issue', value: 'ABC-1' }];
+
+      setProperty(test, 'issue', 'ABC-2');
+
+      expect(normalizeProperties(test.properties)).to.deep.equal([
+        { name: 'issue', value: 'ABC-1' },
+        { name: 'issue', value: 'ABC-2' },
+      ]);
+    });
+
+    it('should require a test and a name', function () {
+      expect(() => setProperty(undefined, 'owner', 'team-a')).to.throw(TypeError, 'expected a test');
+      expect(() => setProperty(test, '', 'team-a')).to.throw(TypeError, 'a name is required');
+    });
+  });
+});
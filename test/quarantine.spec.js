@@ -0,0 +1,124 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const {
+  parseYamlList,
+  compileQuarantine,
+  loadQuarantine,
+  findQuarantineEntry,
+  formatQuarantineMessage,
+  formatReleasableSummary,
+  isQuarantineMessage,
+} = require('../src/lib/quarantine');
+
+describe('quarantine', function () {
+  describe('parseYamlList', function () {
+    it('should parse a list of mappings with comments and quoted values', function () {
+      const yaml = [
+        '---',
+        '# Known flaky tests',
+        '- classname: Cart # the whole suite',
+        '  owner: "@shop-team"',
+        '',
+        '-',
+        "  name: 'it''s #1'",
+        '  issue: "https://gitlab.com/shop/shop/-/issues/12#note_1"',
+        '  owner:',
+      ].join('\n');
+      expect(parseYamlList(yaml)).to.deep.equal([
+        { classname: 'Cart', owner: '@shop-team' },
+        { name: "it's #1", issue: 'https://gitlab.com/shop/shop/-/issues/12#note_1', owner: null },
+      ]);
+    });
+
+    it('should reject YAML beyond a list of flat mappings', function () {
+      expect(() => parseYamlList('quarantine:\n  - name: adds items')).to.throw(SyntaxError, 'line 1');
+      expect(() => parseYamlList('- name: adds items\n  - owner: me')).to.throw(SyntaxError, 'line 2');
+    });
+  });
+
+  describe('compileQuarantine', function () {
+    it('should match classnames and names with wildcards', function () {
+      const quarantine = compileQuarantine([
+        { classname: 'Cart', name: 'adds *' },
+        { classname: 'Checkout (*)' },
+        { name: 'pays.' },
+      ]);
+      expect(findQuarantineEntry(quarantine, 'Cart', 'adds items')).to.equal(quarantine[0]);
+      expect(findQuarantineEntry(quarantine, 'Cart', 'removes items')).to.be.null;
+      expect(findQuarantineEntry(quarantine, 'Shopping Cart', 'adds items')).to.be.null;
+      expect(findQuarantineEntry(quarantine, 'Checkout (card)', 'pays')).to.equal(quarantine[1]);
+      expect(findQuarantineEntry(quarantine, 'Checkout', 'pays')).to.be.null;
+      expect(findQuarantineEntry(quarantine, 'Cart', 'pays.')).to.equal(quarantine[2]);
+      expect(findQuarantineEntry(quarantine, 'Cart', 'pays!')).to.be.null;
+    });
+
+    it('should reject entries without a classname or name', function () {
+      expect(() => compileQuarantine({ name: 'adds items' })).to.throw(TypeError, 'must hold a list');
+      expect(() => compileQuarantine([{ name: 'adds items' }, { owner: 'me' }])).to.throw(
+        TypeError,
+        'Quarantine entry 2 needs a classname or a name'
+      );
+    });
+  });
+
+  describe('loadQuarantine', function () {
+    const directory = path.join(__dirname, 'output', 'quarantine');
+
+    beforeEach(function () {
+      fs.mkdirSync(directory, { recursive: true });
+    });
+
+    afterEach(function () {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should read JSON and YAML quarantine files', function () {
+      fs.writeFileSync(path.join(directory, 'quarantine.json'), JSON.stringify([{ name: 'adds items', owner: 'me' }]));
+      fs.writeFileSync(path.join(directory, 'quarantine.yaml'), '- name: adds items\n  owner: me\n');
+      for (const file of ['quarantine.json', 'quarantine.yaml']) {
+        const [entry] = loadQuarantine(path.join(directory, file));
+        expect(entry).to.include({ name: 'adds items', owner: 'me' });
+      }
+    });
+
+    it('should name the file that cannot be parsed', function () {
+      const file = path.join(directory, 'quarantine.json');
+      fs.writeFileSync(file, '[{"name": ');
+      expect(() => loadQuarantine(file)).to.throw(`Failed to parse quarantine file ${file}`);
+    });
+  });
+
+  describe('formatQuarantineMessage', function () {
+    it('should describe the entry by its issue and owner', function () {
+      expect(formatQuarantineMessage({ issue: '#12', owner: '@shop-team' })).to.equal(
+        'quarantined: #12, owner @shop-team'
+      );
+      expect(formatQuarantineMessage({ name: 'adds items' })).to.equal('quarantined');
+    });
+
+    it('should be recognized as a quarantine message', function () {
+      expect(isQuarantineMessage(formatQuarantineMessage({ issue: '#12' }))).to.be.true;
+      expect(isQuarantineMessage('quarantined')).to.be.true;
+      expect(isQuarantineMessage('quarantined tests are skipped')).to.be.false;
+      expect(isQuarantineMessage(undefined)).to.be.false;
+    });
+  });
+
+  describe('formatReleasableSummary', function () {
+    it('should list the quarantined testcases that kept passing', function () {
+      const releasable = [
+        { classname: 'Cart', name: 'adds items', passes: 3, entry: { issue: '#12' } },
+        { classname: '', name: 'pays', passes: 4, entry: {} },
+      ];
+      expect(formatReleasableSummary(releasable).split('\n')).to.deep.equal([
+        '  Quarantined tests passing again (2):',
+        '',
+        '    Cart adds items: passed 3 runs in a row (#12)',
+        '    pays: passed 4 runs in a row',
+      ]);
+    });
+  });
+});
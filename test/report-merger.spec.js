@@ -0,0 +1,191 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const chai = require('chai');
+const chaiXML = require('chai-xml');
+const testConsole = require('test-console');
+const { mergeReports } = require('../src/lib/report-merger');
+const { main } = require('../src/cli');
+
+const expect = chai.expect;
+chai.use(chaiXML);
+
+const REPORT_A = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Mocha Tests" time="1.500" tests="2" failures="1">
+  <testsuite name="Suite A" timestamp="2025-01-01T00:00:00" tests="2" time="1.000" failures="1">
+    <testcase name="passes" time="0.500" classname="Suite A" file="test/a.spec.js">
+    </testcase>
+    <testcase name="fails" time="0.500" classname="Suite A" file="test/a.spec.js">
+      <failure message="boom" type="Error"><![CDATA[Error: boom]]></failure>
+    </testcase>
+  </testsuite>
+</testsuites>
+`;
+
+const REPORT_B = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Mocha Tests" time="2.250" tests="1" failures="0" skipped="1">
+  <testsuite name="Suite B" timestamp="2025-01-01T00:00:00" tests="1" time="0.000" failures="0" skipped="1">
+    <testcase name="skips" time="0.000" classname="Suite B" file="test/b.spec.js">
+      <skipped/>
+    </testcase>
+  </testsuite>
+</testsuites>
+`;
+
+describe('report-merger', function () {
+  describe('mergeReports', function () {
+    it('combines testsuites and recomputes the totals', function () {
+      const xml = mergeReports([REPORT_A, REPORT_B]);
+
+      expect(xml).xml.to.be.valid();
+      expect(xml).to.include('<testsuites name="Mocha Tests" time="3.750" tests="3" failures="1" skipped="1">');
+      expect(xml.match(/<testsuite /g)).to.have.lengthOf(2);
+      expect(xml).to.include('<failure message="boom" type="Error"><![CDATA[Error: boom]]></failure>');
+      expect(xml).to.include('<skipped/>');
+    });
+
+    it('counts testcases when testsuite totals are missing', function () {
+      const xml = mergeReports([
+        '<testsuite name="bare"><testcase name="a" time="0.25"><failure/></testcase>' +
+          '<testcase name="b" time="0.5"><skipped/></testcase><testcase name="c"><error/></testcase></testsuite>',
+      ]);
+
+      expect(xml).to.include(
+        '<testsuites name="Mocha Tests" time="0.750" tests="3" failures="1" errors="1" skipped="1">'
+      );
+    });
+
+    it('flags the merged report incomplete if a report was interrupted', function () {
+      const interrupted = REPORT_B.replace(
+        '<testsuite name="Suite B"',
+        '<properties>\n    <property name="incomplete" value="true"/>\n' +
+          '    <property name="interruptedBy" value="SIGTERM"/>\n  </properties>\n  <testsuite name="Suite B"'
+      );
+      const xml = mergeReports([REPORT_A, interrupted]);
+
+      expect(xml).xml.to.be.valid();
+      expect(xml).to.match(
+        /<testsuites [^>]*>\n\s*<properties>\n\s*<property name="incomplete" value="true">\s*<\/property>\n\s*<\/properties>/
+      );
+      expect(xml).to.match(
+        /<testsuite name="Suite B"[^>]*>\n\s*<properties>\n\s*<property name="interruptedBy" value="SIGTERM">/
+      );
+    });
+
+    it('keeps each root property once', function () {
+      const withProperty = (xml) =>
+        xml.replace(
+          '<testsuite ',
+          '<properties><property name="nodeVersion" value="v20.0.0"/></properties><testsuite '
+        );
+      const xml = mergeReports([withProperty(REPORT_A), withProperty(REPORT_B)]);
+
+      expect(xml.match(/<property name="nodeVersion" value="v20.0.0">/g)).to.have.lengthOf(1);
+    });
+
+    it('keeps the environment properties of each parallel node on its testsuites', function () {
+      const onNode = (xml, index) =>
+        xml.replace(
+          '<testsuite ',
+          '<properties>' +
+            '<property name="CI_COMMIT_SHA" value="abc123"/>' +
+            `<property name="CI_NODE_INDEX" value="${index}"/>` +
+            `<property name="CI_JOB_URL" value="https://gitlab.example.com/jobs/${index}"/>` +
+            '</properties><testsuite '
+        );
+      const suiteA = onNode(REPORT_A, 1).replace(
+        '<testcase name="passes"',
+        '<properties><property name="component" value="cart"/></properties><testcase name="passes"'
+      );
+      const xml = mergeReports([suiteA, onNode(REPORT_B, 2)]);
+
+      expect(xml).xml.to.be.valid();
+      expect(xml).to.match(
+        /<testsuites [^>]*>\n\s*<properties>\n\s*<property name="CI_COMMIT_SHA" value="abc123">\s*<\/property>\n\s*<\/properties>/
+      );
+      expect(xml).to.match(
+        new RegExp(
+          '<testsuite name="Suite A"[^>]*>\\n\\s*<properties>\\n' +
+            '\\s*<property name="CI_NODE_INDEX" value="1">\\s*</property>\\n' +
+            '\\s*<property name="CI_JOB_URL" value="https://gitlab.example.com/jobs/1">\\s*</property>\\n' +
+            '\\s*<property name="component" value="cart">'
+        )
+      );
+      expect(xml).to.match(
+        /<testsuite name="Suite B"[^>]*>\n\s*<properties>\n\s*<property name="CI_NODE_INDEX" value="2">/
+      );
+      expect(xml.match(/<property name="CI_COMMIT_SHA"/g)).to.have.lengthOf(1);
+    });
+
+    it('uses the given name', function () {
+      expect(mergeReports([REPORT_A], { name: 'Merged' })).to.include('<testsuites name="Merged"');
+    });
+
+    it('rejects documents that are not JUnit reports', function () {
+      expect(() => mergeReports(['<html/>'])).to.throw(TypeError, 'Unexpected root element <html>');
+    });
+  });
+
+  describe('merge command', function () {
+    const outputDir = path.join(__dirname, 'output', 'merge');
+
+    beforeEach(function () {
+      fs.mkdirSync(outputDir, { recursive: true });
+      fs.writeFileSync(path.join(outputDir, 'results.1.xml'), REPORT_A);
+      fs.writeFileSync(path.join(outputDir, 'results.2.xml'), REPORT_B);
+    });
+
+    afterEach(async function () {
+      await fs.promises.rm(path.join(__dirname, 'output'), { recursive: true, force: true });
+    });
+
+    it('merges the files matching a glob into the output file', function () {
+      const output = path.join(outputDir, 'results.xml');
+      const stdout = testConsole.stdout.inspectSync(() => {
+        expect(main(['merge', '--output', output, path.join(outputDir, 'results.*.xml')])).to.equal(0);
+      });
+
+      expect(stdout.join('')).to.include('Merged 2 report file(s)');
+      expect(fs.readFileSync(output, 'utf-8')).to.equal(mergeReports([REPORT_A, REPORT_B]));
+    });
+
+    it('excludes the output file from the inputs', function () {
+      const output = path.join(outputDir, 'results.3.xml');
+      fs.writeFileSync(output, REPORT_A);
+
+      testConsole.stdout.inspectSync(() => {
+        main(['merge', '-o', output, path.join(outputDir, 'results.*.xml')]);
+      });
+
+      expect(fs.readFileSync(output, 'utf-8')).to.include('tests="3"');
+    });
+
+    it('fails when no files match', function () {
+      const stderr = testConsole.stderr.inspectSync(() => {
+        expect(main(['merge', path.join(outputDir, 'nothing-*.xml')])).to.equal(1);
+      });
+
+      expect(stderr.join('')).to.include('No report files matched');
+    });
+
+    it('names the file that cannot be parsed', function () {
+      const broken = path.join(outputDir, 'results.broken.xml');
+      fs.writeFileSync(broken, '<testsuites>');
+
+      const stderr = testConsole.stderr.inspectSync(() => {
+        expect(main(['merge', '-o', path.join(outputDir, 'out.xml'), broken])).to.equal(1);
+      });
+
+      expect(stderr.join('')).to.include(`Failed to parse ${broken}: Unclosed element <testsuites>`);
+    });
+
+    it('rejects unknown options', function () {
+      const stderr = testConsole.stderr.inspectSync(() => {
+        expect(main(['merge', '--bogus'])).to.equal(1);
+      });
+
+      expect(stderr.join('')).to.include('Unknown option: --bogus');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const testConsole = require('test-console');
+const {
+  buildGrepPattern,
+  formatRerunManifest,
+  readRerunManifest,
+  getRerunArgs,
+  quoteShellArg,
+} = require('../src/lib/rerun');
+const { main } = require('../src/cli');
+
+describe('rerun', function () {
+  describe('buildGrepPattern', function () {
+    it('should match the full titles of failed tests and the suites of failed hooks', function () {
+      const pattern = buildGrepPattern([
+        { titles: ['Cart', 'adds items (1+1)'], hook: false },
+        { titles: ['Cart', 'adds items (1+1)'], hook: false },
+        { titles: ['Checkout', 'with a card'], hook: true },
+      ]);
+      expect(pattern).to.equal(String.raw`^(?:Cart adds items \(1\+1\)$|Checkout with a card )`);
+
+      const regex = new RegExp(pattern);
+      expect(regex.test('Cart adds items (1+1)')).to.be.true;
+      expect(regex.test('Cart adds items (1+1) twice')).to.be.false;
+      expect(regex.test('Checkout with a card pays')).to.be.true;
+      expect(regex.test('Checkout with a card')).to.be.false;
+    });
+
+    it('should match every test when a root hook failed or nothing failed', function () {
+      expect(
+        buildGrepPattern([
+          { titles: ['Cart', 'adds items'], hook: false },
+          { titles: [], hook: true },
+        ])
+      ).to.be.null;
+      expect(buildGrepPattern([])).to.be.null;
+    });
+  });
+
+  describe('formatRerunManifest', function () {
+    it('should list the files of the failures', function () {
+      const manifest = JSON.parse(
+        formatRerunManifest([
+          { file: 'test/b.spec.js', titles: ['B', 'fails'], hook: false },
+          { file: 'test/a.spec.js', titles: ['A', 'fails'], hook: false },
+          { file: 'test/b.spec.js', titles: ['B', 'fails too'], hook: false },
+        ])
+      );
+      expect(manifest.files).to.deep.equal(['test/a.spec.js', 'test/b.spec.js']);
+      expect(manifest.failures).to.equal(3);
+    });
+
+    it('should list no files when a failure has none, so that all of them are rerun', function () {
+      const manifest = JSON.parse(
+        formatRerunManifest([
+          { file: 'test/a.spec.js', titles: ['A', 'fails'], hook: false },
+          { titles: ['root hook'], hook: false },
+        ])
+      );
+      expect(manifest.files).to.deep.equal([]);
+      expect(getRerunArgs(manifest)).to.deep.equal(['--grep', '^(?:A fails$|root hook$)']);
+    });
+  });
+
+  describe('quoteShellArg', function () {
+    it('should quote arguments that the shell would change', function () {
+      expect(quoteShellArg('test/a.spec.js')).to.equal('test/a.spec.js');
+      expect(quoteShellArg("^(?:it's done$)")).to.equal(String.raw`'^(?:it'\''s done$)'`);
+    });
+  });
+
+  describe('rerun-args command', function () {
+    const outputDir = path.join(__dirname, 'output', 'rerun');
+    const manifestFile = path.join(outputDir, 'rerun.json');
+
+    beforeEach(function () {
+      fs.mkdirSync(outputDir, { recursive: true });
+    });
+
+    afterEach(async function () {
+      await fs.promises.rm(path.join(__dirname, 'output'), { recursive: true, force: true });
+    });
+
+    function runRerunArgs(failures) {
+      fs.writeFileSync(manifestFile, formatRerunManifest(failures));
+      let exitCode;
+      const stdout = testConsole.stdout.inspectSync(() => {
+        exitCode = main(['rerun-args', manifestFile]);
+      });
+      return { exitCode, output: stdout.join('') };
+    }
+
+    it('prints the Mocha arguments rerunning the failed tests', function () {
+      const result = runRerunArgs([{ file: 'test/cart.spec.js', titles: ['Cart', 'adds items'], hook: false }]);
+      expect(result).to.deep.equal({ exitCode: 0, output: "--grep '^(?:Cart adds items$)' test/cart.spec.js\n" });
+      expect(readRerunManifest(manifestFile).files).to.deep.equal(['test/cart.spec.js']);
+    });
+
+    it('prints nothing when no tests failed', function () {
+      expect(runRerunArgs([])).to.deep.equal({ exitCode: 0, output: '' });
+    });
+
+    it('fails for a file that is not a rerun manifest', function () {
+      fs.writeFileSync(manifestFile, '{"files": []}');
+      const stderr = testConsole.stderr.inspectSync(() => {
+        expect(main(['rerun-args', manifestFile])).to.equal(1);
+      });
+      expect(stderr.join('')).to.include(`Unknown rerun manifest format in ${manifestFile}`);
+    });
+  });
+});
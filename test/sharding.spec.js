@@ -0,0 +1,151 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const testConsole = require('test-console');
+const { parseXml } = require('../src/lib/xml-parser');
+const { readFileDurations, planShards } = require('../src/lib/sharding');
+const { main } = require('../src/cli');
+
+function buildReport(testcases) {
+  return (
+    '<testsuites><testsuite name="Mocha Tests">' +
+    testcases
+      .map(([file, time]) => `<testcase name="test" classname="Suite" file="${file}" time="${time}"/>`)
+      .join('') +
+    '</testsuite></testsuites>'
+  );
+}
+
+describe('sharding', function () {
+  describe('readFileDurations', function () {
+    it('should sum the testcase times of each file and average them over the reports', function () {
+      const durations = readFileDurations([
+        parseXml(
+          buildReport([
+            ['test/a.spec.js', '1.000'],
+            ['test/a.spec.js', '0.500'],
+            ['./test/b.spec.js', '2'],
+          ])
+        ),
+        parseXml(buildReport([['test/a.spec.js', '0.500']])),
+        parseXml('<testsuite name="bare"><testcase name="no file" time="5"/></testsuite>'),
+      ]);
+      expect([...durations]).to.deep.equal([
+        ['test/a.spec.js', 1],
+        ['test/b.spec.js', 2],
+      ]);
+    });
+  });
+
+  describe('planShards', function () {
+    it('should balance the files by duration', function () {
+      const durations = new Map([
+        ['a.js', 5],
+        ['b.js', 4],
+        ['c.js', 3],
+        ['d.js', 3],
+        ['e.js', 1],
+      ]);
+      expect(planShards(['e.js', 'd.js', 'c.js', 'b.js', 'a.js'], durations, 2)).to.deep.equal([
+        { files: ['a.js', 'd.js'], duration: 8 },
+        { files: ['b.js', 'c.js', 'e.js'], duration: 8 },
+      ]);
+    });
+
+    it('should distribute files without a duration evenly', function () {
+      const shards = planShards(['a.js', 'b.js', 'c.js', 'd.js', 'e.js'], new Map([['a.js', 10]]), 3);
+      expect(shards.map((shard) => shard.files)).to.deep.equal([['a.js', 'b.js', 'e.js'], ['c.js'], ['d.js']]);
+    });
+
+    it('should leave shards empty when there are more shards than files', function () {
+      expect(planShards(['a.js'], new Map(), 2)).to.deep.equal([
+        { files: ['a.js'], duration: 0 },
+        { files: [], duration: 0 },
+      ]);
+    });
+  });
+
+  describe('shard command', function () {
+    const outputDir = path.join(__dirname, 'output', 'shard');
+    const specFiles = ['a', 'b', 'c', 'd'].map((name) => path.relative(process.cwd(), `${outputDir}/${name}.spec.js`));
+    let env;
+
+    beforeEach(function () {
+      env = { ...process.env };
+      delete process.env.CI_NODE_INDEX;
+      delete process.env.CI_NODE_TOTAL;
+      fs.mkdirSync(outputDir, { recursive: true });
+      for (const file of specFiles) {
+        fs.writeFileSync(file, '');
+      }
+      fs.writeFileSync(
+        path.join(outputDir, 'results.xml'),
+        buildReport([
+          [specFiles[0], '9'],
+          [specFiles[1], '5'],
+          [specFiles[2], '4'],
+        ])
+      );
+      fs.writeFileSync(path.join(outputDir, 'results.broken.xml'), '<testsuites>');
+      fs.writeFileSync(path.join(outputDir, 'results.other.xml'), '<foo/>');
+    });
+
+    afterEach(async function () {
+      process.env = env;
+      await fs.promises.rm(path.join(__dirname, 'output'), { recursive: true, force: true });
+    });
+
+    function runShard(args) {
+      let exitCode;
+      const stdout = testConsole.stdout.inspectSync(() => {
+        exitCode = main(['shard', ...args]);
+      });
+      return { exitCode, output: stdout.join('') };
+    }
+
+    it('prints the files of the node given by the GitLab CI/CD variables', function () {
+      process.env.CI_NODE_TOTAL = '2';
+      const reports = ['--reports', path.join(outputDir, 'results.xml')];
+      const specs = path.relative(process.cwd(), path.join(outputDir, '*.spec.js'));
+
+      // "d" has no duration, so it goes to the first node
+      process.env.CI_NODE_INDEX = '1';
+      expect(runShard([...reports, specs])).to.deep.equal({
+        exitCode: 0,
+        output: `${specFiles[0]}\n${specFiles[3]}\n`,
+      });
+      process.env.CI_NODE_INDEX = '2';
+      expect(runShard([...reports, specs]).output).to.equal(`${specFiles[1]}\n${specFiles[2]}\n`);
+    });
+
+    it('skips reports that cannot be read', function () {
+      let result;
+      const stderr = testConsole.stderr.inspectSync(() => {
+        result = runShard(['-r', path.join(outputDir, '*.xml'), '-i', '2', '-t', '2', ...specFiles]);
+      });
+      expect(stderr.join('')).to.include('Warning: Skipping report');
+      expect(stderr.join('')).to.include('Unexpected root element <foo>');
+      expect(result.output).to.equal(`${specFiles[1]}\n${specFiles[2]}\n`);
+    });
+
+    it('distributes the files evenly without reports', function () {
+      expect(runShard(['--index', '3', '--total', '3', ...specFiles]).output).to.equal(`${specFiles[2]}\n`);
+    });
+
+    it('rejects an index beyond the total', function () {
+      const stderr = testConsole.stderr.inspectSync(() => {
+        expect(main(['shard', '--index', '3', '--total', '2', ...specFiles])).to.equal(1);
+      });
+      expect(stderr.join('')).to.include('index must not be greater than total, got: 3 of 2');
+    });
+
+    it('rejects an invalid total', function () {
+      const stderr = testConsole.stderr.inspectSync(() => {
+        expect(main(['shard', '--total', '1.5', ...specFiles])).to.equal(1);
+      });
+      expect(stderr.join('')).to.include('total must be a positive integer, got: 1.5');
+    });
+  });
+});
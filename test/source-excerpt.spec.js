@@ -0,0 +1,97 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const { formatSourceExcerpt, readSourceExcerpt } = require('../src/lib/source-excerpt');
+const { SOURCE_EXCERPT } = require('../src/constants');
+
+describe('source-excerpt', function () {
+  const source = [
+    "describe('cart', function () {",
+    "  it('adds items', function () {",
+    '    const cart = new Cart();',
+    '    expect(cart.add(item)).to.equal(1);',
+    '  });',
+    '});',
+    '',
+  ].join('\n');
+
+  describe('formatSourceExcerpt', function () {
+    it('should mark the line and point at the column', function () {
+      expect(formatSourceExcerpt(source, 4, 17, 1)).to.equal(
+        [
+          '  3 |     const cart = new Cart();',
+          '> 4 |     expect(cart.add(item)).to.equal(1);',
+          '    |                 ^',
+          '  5 |   });',
+        ].join('\n')
+      );
+    });
+
+    it('should stop at the start and end of the file', function () {
+      expect(formatSourceExcerpt(source, 1, 1, 2).split('\n')).to.have.lengthOf(4);
+      expect(formatSourceExcerpt(source, 6, 1, 2).split('\n').at(-1)).to.equal('  7 |');
+    });
+
+    it('should show only the line without context lines', function () {
+      expect(formatSourceExcerpt(source, 5, 3, 0)).to.equal('> 5 |   });\n    |   ^');
+    });
+
+    it('should pad line numbers to the same width', function () {
+      const lines = formatSourceExcerpt('a\n'.repeat(10), 9, 1, 1).split('\n');
+      expect(lines).to.deep.equal(['   8 | a', '>  9 | a', '     | ^', '  10 | a']);
+    });
+
+    it('should keep tabs in front of the caret', function () {
+      expect(formatSourceExcerpt('\tfoo(bar);', 1, 6, 0)).to.equal('> 1 | \tfoo(bar);\n    | \t    ^');
+    });
+
+    it('should handle Windows line breaks', function () {
+      expect(formatSourceExcerpt('a\r\nb\r\n', 2, 1, 0)).to.equal('> 2 | b\n    | ^');
+    });
+
+    it('should return null for a line outside the file', function () {
+      expect(formatSourceExcerpt(source, 0, 1, 2)).to.be.null;
+      expect(formatSourceExcerpt(source, 20, 1, 2)).to.be.null;
+    });
+  });
+
+  describe('readSourceExcerpt', function () {
+    const file = path.join(__dirname, 'output', 'source-excerpt', 'cart.spec.js');
+
+    beforeEach(function () {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, source);
+    });
+
+    afterEach(function () {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it('should read the excerpt under a header with its location', function () {
+      const excerpt = readSourceExcerpt(file, 4, 5, { contextLines: 0, displayPath: 'test/cart.spec.js' });
+      expect(excerpt).to.equal(
+        'Source: test/cart.spec.js:4:5\n> 4 |     expect(cart.add(item)).to.equal(1);\n    |     ^'
+      );
+    });
+
+    it('should show the given path if no display path is given', function () {
+      expect(readSourceExcerpt(file, 1, 1).split('\n')[0]).to.equal(`Source: ${file}:1:1`);
+    });
+
+    it('should return null for a file that cannot be read', function () {
+      expect(readSourceExcerpt(path.join(path.dirname(file), 'missing.js'), 1, 1)).to.be.null;
+      expect(readSourceExcerpt(path.dirname(file), 1, 1)).to.be.null;
+    });
+
+    it('should not read files larger than the maximum size', function () {
+      fs.writeFileSync(file, 'x'.repeat(SOURCE_EXCERPT.MAX_FILE_SIZE + 1));
+      expect(readSourceExcerpt(file, 1, 1)).to.be.null;
+    });
+
+    it('should return null for a line outside the file', function () {
+      expect(readSourceExcerpt(file, 99, 1)).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { expect } = require('chai');
+const { SourceMapResolver } = require('../src/lib/source-maps');
+
+describe('source-maps', function () {
+  const outputDir = path.join(__dirname, 'output', 'source-maps-spec');
+  const compiledFile = path.join(outputDir, 'build', 'example.spec.js');
+  const sourceFile = path.join(outputDir, 'src', 'example.spec.ts');
+  // Line 1 maps to line 1 and line 2 to line 3 of the source, column 5 of line 2 to column 5
+  const sourceMap = {
+    version: 3,
+    file: 'example.spec.js',
+    sources: ['../src/example.spec.ts'],
+    names: [],
+    mappings: 'AAAA;AAEA,IAAI',
+  };
+
+  function writeCompiledFile(comment, map = sourceMap) {
+    fs.mkdirSync(path.dirname(compiledFile), { recursive: true });
+    fs.writeFileSync(compiledFile, `'use strict';\nthrow new Error('boom');\n${comment}\n`);
+    if (map) {
+      fs.writeFileSync(`${compiledFile}.map`, JSON.stringify(map));
+    }
+  }
+
+  afterEach(async function () {
+    await fs.promises.rm(path.join(__dirname, 'output'), { recursive: true, force: true });
+  });
+
+  describe('resolvePosition', function () {
+    it('should map a position through the source map of the sourceMappingURL comment', function () {
+      writeCompiledFile('//# sourceMappingURL=example.spec.js.map');
+
+      expect(new SourceMapResolver().resolvePosition(compiledFile, 2, 5)).to.deep.equal({
+        file: sourceFile,
+        line: 3,
+        column: 5,
+      });
+    });
+
+    it('should read an inline source map', function () {
+      const data = Buffer.from(JSON.stringify(sourceMap)).toString('base64');
+      writeCompiledFile(`//# sourceMappingURL=data:application/json;charset=utf-8;base64,${data}`, null);
+
+      expect(new SourceMapResolver().resolvePosition(compiledFile, 2, 1)).to.deep.equal({
+        file: sourceFile,
+        line: 3,
+        column: 1,
+      });
+    });
+
+    it('should look for a .map file next to a file without a comment', function () {
+      writeCompiledFile('');
+
+      expect(new SourceMapResolver().resolvePosition(compiledFile, 1, 1)).to.include({ file: sourceFile, line: 1 });
+    });
+
+    it('should apply the sourceRoot', function () {
+      writeCompiledFile('', { ...sourceMap, sourceRoot: '../lib', sources: ['example.spec.ts'] });
+
+      expect(new SourceMapResolver().resolvePosition(compiledFile, 1, 1).file).to.equal(
+        path.join(outputDir, 'lib', 'example.spec.ts')
+      );
+    });
+
+    it('should return null for unmapped lines and files without a source map', function () {
+      writeCompiledFile('');
+      const resolver = new SourceMapResolver();
+
+      expect(resolver.resolvePosition(compiledFile, 3, 1)).to.be.null;
+      expect(resolver.resolvePosition(sourceFile, 1, 1)).to.be.null;
+      expect(resolver.resolvePosition('node:internal/timers', 1, 1)).to.be.null;
+    });
+
+    it('should ignore an invalid source map', function () {
+      writeCompiledFile('//# sourceMappingURL=example.spec.js.map', null);
+      fs.writeFileSync(`${compiledFile}.map`, '{');
+
+      expect(new SourceMapResolver().resolvePosition(compiledFile, 1, 1)).to.be.null;
+    });
+  });
+
+  describe('resolveFile', function () {
+    it('should map a compiled file to its only source', function () {
+      writeCompiledFile('');
+
+      expect(new SourceMapResolver().resolveFile(compiledFile)).to.equal(sourceFile);
+    });
+
+    it('should keep files with several sources or no source map', function () {
+      writeCompiledFile('', { ...sourceMap, sources: ['a.ts', 'b.ts'] });
+
+      expect(new SourceMapResolver().resolveFile(compiledFile)).to.equal(compiledFile);
+      expect(new SourceMapResolver().resolveFile(sourceFile)).to.equal(sourceFile);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const path = require('node:path');
+const { expect } = require('chai');
+const { parseStackFrames, findTestFrame, cleanStack } = require('../src/lib/stack');
+
+describe('stack', function () {
+  const testFile = path.resolve('test/example.spec.js');
+  const stack = [
+    'AssertionError: expected 1 to equal 2',
+    '    at assertEqual (/repo/node_modules/chai/lib/assertion.js:10:5)',
+    '    at helper (/repo/test/helpers.js:7:3)',
+    `    at Context.<anonymous> (${testFile}:12:20)`,
+    '    at process.processImmediate (node:internal/timers:483:21)',
+    '    at file:///repo/test/module.spec.mjs:4:9',
+    '    at new Promise (<anonymous>)',
+  ].join('\n');
+
+  describe('parseStackFrames', function () {
+    it('should parse frames with and without a function name', function () {
+      const frames = parseStackFrames(stack);
+
+      expect(frames).to.have.lengthOf(5);
+      expect(frames[0]).to.deep.equal({
+        functionName: 'assertEqual',
+        file: '/repo/node_modules/chai/lib/assertion.js',
+        line: 10,
+        column: 5,
+        internal: false,
+      });
+      expect(frames[3].internal).to.be.true;
+      expect(frames[4]).to.include({ functionName: null, line: 4, column: 9 });
+    });
+
+    it('should convert file URLs to paths', function () {
+      expect(parseStackFrames(stack)[4].file).to.equal(path.resolve('/repo/test/module.spec.mjs'));
+    });
+
+    it('should return no frames for a missing stack', function () {
+      expect(parseStackFrames(undefined)).to.deep.equal([]);
+      expect(parseStackFrames('Error: no frames')).to.deep.equal([]);
+    });
+  });
+
+  describe('findTestFrame', function () {
+    it('should prefer the innermost frame in the test file', function () {
+      expect(findTestFrame(parseStackFrames(stack), 'test/example.spec.js')).to.include({ file: testFile, line: 12 });
+    });
+
+    it('should fall back to the innermost frame outside node_modules and Node.js internals', function () {
+      expect(findTestFrame(parseStackFrames(stack), 'test/other.spec.js')).to.include({
+        file: '/repo/test/helpers.js',
+      });
+      expect(findTestFrame(parseStackFrames(stack))).to.include({ line: 7 });
+    });
+
+    it('should return null if no frame qualifies', function () {
+      expect(findTestFrame(parseStackFrames('Error\n    at run (node:internal/main:1:1)'))).to.be.null;
+    });
+  });
+
+  describe('cleanStack', function () {
+    const mochaStack = [
+      'Error: boom',
+      `    at Context.<anonymous> (${testFile}:12:20)`,
+      '    at callFn (/repo/node_modules/mocha/lib/runnable.js:366:21)',
+      '    at /repo/node_modules/chai/lib/assertion.js:10:5',
+      '    at process.processImmediate (node:internal/timers:483:21)',
+    ].join('\n');
+
+    it('should keep the stack as it is without options', function () {
+      expect(cleanStack(mochaStack)).to.equal(mochaStack);
+      expect(cleanStack(undefined)).to.be.undefined;
+    });
+
+    it('should remove frames of Node.js internals and Mocha', function () {
+      expect(cleanStack(mochaStack, { removeInternals: true })).to.equal(
+        [
+          'Error: boom',
+          `    at Context.<anonymous> (${testFile}:12:20)`,
+          '    at /repo/node_modules/chai/lib/assertion.js:10:5',
+        ].join('\n')
+      );
+    });
+
+    it('should remove frames matching a pattern', function () {
+      expect(cleanStack(mochaStack, { patterns: [/node_modules/, /^\s*at process\./] })).to.equal(
+        ['Error: boom', `    at Context.<anonymous> (${testFile}:12:20)`].join('\n')
+      );
+    });
+
+    it('should map frames to their source', function () {
+      const resolvePosition = (file, line, column) =>
+        file === testFile ? { file: '/repo/src/example.spec.ts', line: line - 2, column: column - 4 } : null;
+
+      const cleaned = cleanStack(mochaStack, { resolvePosition }).split('\n');
+
+      expect(cleaned[1]).to.equal('    at Context.<anonymous> (/repo/src/example.spec.ts:10:16)');
+      expect(cleaned[3]).to.equal('    at /repo/node_modules/chai/lib/assertion.js:10:5');
+      expect(
+        cleanStack('Error\n    at /repo/test/example.spec.js:3:1', {
+          resolvePosition: () => ({ file: 'a.ts', line: 1, column: 1 }),
+        })
+      ).to.equal('Error\n    at a.ts:1:1');
+    });
+  });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const { expect } = require('chai');
+const { extractTags, normalizeTags, matchesTags } = require('../src/lib/tags');
+
+describe('tags', function () {
+  describe('extractTags', function () {
+    it('should extract and remove the tags of a title', function () {
+      expect(extractTags('logs in @smoke @auth')).to.deep.equal({ title: 'logs in', tags: ['smoke', 'auth'] });
+      expect(extractTags('@JIRA-123 logs  out @auth')).to.deep.equal({ title: 'logs out', tags: ['JIRA-123', 'auth'] });
+    });
+
+    it('should keep a title without tags as it is', function () {
+      expect(extractTags('logs in  ')).to.deep.equal({ title: 'logs in  ', tags: [] });
+    });
+
+    it('should not treat email addresses or a lone @ as tags', function () {
+      expect(extractTags('mails user@example.com @ noon')).to.deep.equal({
+        title: 'mails user@example.com @ noon',
+        tags: [],
+      });
+    });
+  });
+
+  describe('normalizeTags', function () {
+    it('should remove the @ of tags', function () {
+      expect(normalizeTags(['@smoke', 'auth', '@'])).to.deep.equal(['smoke', 'auth']);
+    });
+  });
+
+  describe('matchesTags', function () {
+    it('should include tests with one of the included tags', function () {
+      expect(matchesTags(['smoke', 'auth'], ['auth'], [])).to.equal(true);
+      expect(matchesTags(['smoke'], ['auth'], [])).to.equal(false);
+      expect(matchesTags([], ['auth'], [])).to.equal(false);
+    });
+
+    it('should exclude tests with one of the excluded tags', function () {
+      expect(matchesTags(['smoke', 'slow'], [], ['slow'])).to.equal(false);
+      expect(matchesTags(['smoke', 'slow'], ['smoke'], ['slow'])).to.equal(false);
+      expect(matchesTags([], [], ['slow'])).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const { expect } = require('chai');
+const { compileTemplate } = require('../src/lib/templates');
+
+describe('templates', function () {
+  const values = {
+    title: 'adds numbers',
+    file: 'test/math.spec.js',
+    suites: ['Math', 'add', 'integers'],
+    separator: '.',
+  };
+
+  describe('compileTemplate', function () {
+    it('should render the title, file and suites', function () {
+      expect(compileTemplate('{file}: {suites} {title}')(values)).to.equal(
+        'test/math.spec.js: Math.add.integers adds numbers'
+      );
+    });
+
+    it('should select a suite by index', function () {
+      expect(compileTemplate('{suites[0]}')(values)).to.equal('Math');
+      expect(compileTemplate('{suites[-1]} › {title}')(values)).to.equal('integers › adds numbers');
+      expect(compileTemplate('{suites[5]}')(values)).to.equal('');
+    });
+
+    it('should select a range of suites', function () {
+      expect(compileTemplate('{suites[0..2]}')(values)).to.equal('Math.add');
+      expect(compileTemplate('{suites[1..]}')(values)).to.equal('add.integers');
+      expect(compileTemplate('{suites[-2..]}')(values)).to.equal('add.integers');
+      expect(compileTemplate('{suites[..1]}')(values)).to.equal('Math');
+    });
+
+    it('should join suites with the separator', function () {
+      expect(compileTemplate('{suites}')({ ...values, separator: ' / ' })).to.equal('Math / add / integers');
+    });
+
+    it('should leave other braces alone', function () {
+      expect(compileTemplate('{title} {}')(values)).to.equal('adds numbers {}');
+    });
+
+    it('should reject unknown placeholders', function () {
+      expect(() => compileTemplate('{suite}')).to.throw(TypeError, 'Unknown placeholder {suite}');
+      expect(() => compileTemplate('{title[0]}')).to.throw(TypeError, 'Only {suites} can be indexed');
+    });
+  });
+});
@@ -1,7 +1,8 @@
 'use strict';
 
 const { expect } = require('chai');
-const { toXml, escapeXml } = require('../src/lib/xml-builder');
+const { toXml, escapeXml, buildStartTag, buildEndTag } = require('../src/lib/xml-builder');
+const { parseXml } = require('../src/lib/xml-parser');
 
 describe('xml-builder', function () {
   describe('escapeXml', function () {
@@ -37,6 +38,19 @@ describe('xml-builder', function () {
     });
   });
 
+  describe('buildStartTag / buildEndTag', function () {
+    it('should build indented opening and closing tags', function () {
+      expect(buildStartTag('testsuite', { name: 'Suite & co' }, { indent: '  ' }, 1)).to.equal(
+        '  <testsuite name="Suite &amp; co">\n'
+      );
+      expect(buildEndTag('testsuite', { indent: '  ' }, 1)).to.equal('  </testsuite>\n');
+    });
+
+    it('should build an opening tag without attributes', function () {
+      expect(buildStartTag('testsuites')).to.equal('<testsuites>\n');
+    });
+  });
+
   describe('toXml', function () {
     describe('basic elements', function () {
       it('should generate simple element with text content', function () {
@@ -129,6 +143,12 @@ describe('xml-builder', function () {
         expect(xml).to.equal('<description><![CDATA[Some <xml> content & special chars]]></description>\n');
       });
 
+      it('should split CDATA sections around their end marker', function () {
+        const xml = toXml({ description: { _cdata: 'if (a[b[0]]> 1)' } }, { indent: '  ' });
+        expect(xml).to.equal('<description><![CDATA[if (a[b[0]]]]><![CDATA[> 1)]]></description>\n');
+        expect(parseXml(xml).text).to.equal('if (a[b[0]]> 1)');
+      });
+
       it('should generate CDATA with attributes', function () {
         const data = {
           failure: {
@@ -0,0 +1,109 @@
+'use strict';
+
+const { expect } = require('chai');
+const { toXml } = require('../src/lib/xml-builder');
+const { parseXml, getChildren, toXmlObject, unescapeXml } = require('../src/lib/xml-parser');
+
+describe('xml-parser', function () {
+  describe('unescapeXml', function () {
+    it('should decode predefined entities', function () {
+      expect(unescapeXml('&lt;a&gt; &amp; &quot;b&quot; &apos;c&apos;')).to.equal('<a> & "b" \'c\'');
+    });
+
+    it('should decode character references', function () {
+      expect(unescapeXml('&#65;&#x42;&#X43;')).to.equal('ABC');
+    });
+
+    it('should reject unknown entities', function () {
+      expect(() => unescapeXml('&nbsp;')).to.throw(SyntaxError, 'Unknown XML entity: &nbsp;');
+    });
+  });
+
+  describe('parseXml', function () {
+    it('should parse elements, attributes and text', function () {
+      const root = parseXml(
+        '<?xml version="1.0" encoding="UTF-8"?>\n<!-- report -->\n' +
+          '<testsuites name="Mocha Tests">\n  <testsuite name=\'a &amp; b\' tests="1">\n' +
+          '    <system-out>hello &lt;world&gt;</system-out>\n  </testsuite>\n</testsuites>\n'
+      );
+
+      expect(root.name).to.equal('testsuites');
+      expect(root.attributes).to.deep.equal({ name: 'Mocha Tests' });
+      const [testsuite] = getChildren(root, 'testsuite');
+      expect(testsuite.attributes).to.deep.equal({ name: 'a & b', tests: '1' });
+      expect(testsuite.children[0]).to.include({ name: 'system-out', text: 'hello <world>', cdata: false });
+    });
+
+    it('should parse CDATA sections verbatim', function () {
+      const root = parseXml('<failure message="x"><![CDATA[a < b && c]]></failure>');
+      expect(root.text).to.equal('a < b && c');
+      expect(root.cdata).to.be.true;
+    });
+
+    it('should parse self-closing elements', function () {
+      const root = parseXml('<testcase name="t"><skipped/></testcase>');
+      expect(root.children).to.have.lengthOf(1);
+      expect(root.children[0]).to.include({ name: 'skipped', text: '' });
+    });
+
+    it('should skip a DOCTYPE and a byte order mark', function () {
+      const root = parseXml('\uFEFF<!DOCTYPE note [<!ENTITY x "y">]><note/>');
+      expect(root.name).to.equal('note');
+    });
+
+    it('should reject mismatched closing tags', function () {
+      expect(() => parseXml('<a><b></a></b>')).to.throw(SyntaxError, 'Unexpected closing tag </a>');
+    });
+
+    it('should reject unclosed elements', function () {
+      expect(() => parseXml('<a><b>')).to.throw(SyntaxError, 'Unclosed element <b>');
+    });
+
+    it('should reject documents without a root element', function () {
+      expect(() => parseXml('<?xml version="1.0"?>')).to.throw(SyntaxError, 'Document has no root element');
+    });
+
+    it('should reject multiple root elements', function () {
+      expect(() => parseXml('<a/><b/>')).to.throw(SyntaxError, 'Unexpected second root element <b>');
+    });
+
+    it('should reject text outside the root element', function () {
+      expect(() => parseXml('<a/>text')).to.throw(SyntaxError, 'Unexpected content outside the root element');
+    });
+  });
+
+  describe('toXmlObject', function () {
+    it('should round-trip a report generated by toXml', function () {
+      const xml = toXml(
+        {
+          testsuites: [
+            { _attr: { name: 'Mocha Tests', tests: 2 } },
+            {
+              testsuite: [
+                { _attr: { name: 'Suite', tests: 2 } },
+                { testcase: { _attr: { name: 'passes', classname: 'Suite' } } },
+                {
+                  testcase: [
+                    { _attr: { name: 'fails & "quotes"', classname: 'Suite' } },
+                    { 'system-out': 'line 1\nline <2>' },
+                    { failure: { _attr: { message: 'boom', type: 'Error' }, _cdata: 'stack <here>' } },
+                  ],
+                },
+                { testcase: [{ _attr: { name: 'skips', classname: 'Suite' } }, { skipped: null }] },
+              ],
+            },
+          ],
+        },
+        { declaration: true, indent: '  ' }
+      );
+
+      expect(toXml(toXmlObject(parseXml(xml)), { declaration: true, indent: '  ' })).to.equal(xml);
+    });
+
+    it('should keep text of elements with attributes as CDATA', function () {
+      expect(toXmlObject(parseXml('<skipped message="m">reason</skipped>'))).to.deep.equal({
+        skipped: { _cdata: 'reason', _attr: { message: 'm' } },
+      });
+    });
+  });
+});